@@ -3,6 +3,7 @@
    - Reduced memory footprint while maintaining functionality
    - Optimized string handling and removed unnecessary features
    - Added Right Tilt and Left Tilt gestures
+   - Optional 20-byte binary BLE frames (BINARY_FRAMES), see src/protocol/packet.js
 */
 
 #include <BLEDevice.h>
@@ -18,6 +19,10 @@ MPU6050 mpu;
 const uint8_t flex1Pin = 34;
 const uint8_t flex2Pin = 35;
 
+// 1: notify compact binary frames instead of text (Serial always prints text)
+#define BINARY_FRAMES 0
+#define FRAME_VERSION 1
+
 // BLE UUIDs
 #define SERVICE_UUID "4fafc201-1fb5-459e-8fcc-c5c9c331914b"
 #define CHAR_UUID    "beb5483e-36e1-4688-b7f5-ea07361b26a8"
@@ -47,6 +52,7 @@ int16_t ACC_THR = 14000;
 uint8_t currentGesture = 0;
 uint8_t gestureCount = 0;
 uint32_t lastSend = 0;
+uint8_t frameSeq = 0;
 
 class MyCallbacks: public BLEServerCallbacks {
   void onConnect(BLEServer* s) { connected = true; }
@@ -70,6 +76,33 @@ uint8_t detectGesture(int16_t f1, int16_t f2, int16_t ax, int16_t ay,
   return 0;  // IDLE
 }
 
+// CRC-8, polynomial 0x07
+uint8_t crc8(const uint8_t* data, uint8_t len) {
+  uint8_t crc = 0;
+  for (uint8_t i = 0; i < len; i++) {
+    crc ^= data[i];
+    for (uint8_t b = 0; b < 8; b++) {
+      crc = (crc & 0x80) ? (crc << 1) ^ 0x07 : crc << 1;
+    }
+  }
+  return crc;
+}
+
+// 0xA0|version, seq, gesture, 8 x int16 little-endian, crc8
+void sendFrame(uint8_t gesture, const int16_t* values) {
+  uint8_t frame[20];
+  frame[0] = 0xA0 | FRAME_VERSION;
+  frame[1] = frameSeq++;
+  frame[2] = gesture;
+  for (uint8_t i = 0; i < 8; i++) {
+    frame[3 + i * 2] = values[i] & 0xFF;
+    frame[4 + i * 2] = (values[i] >> 8) & 0xFF;
+  }
+  frame[19] = crc8(frame, 19);
+  pChar->setValue(frame, sizeof(frame));
+  pChar->notify();
+}
+
 void setup() {
   Serial.begin(115200);
   
@@ -117,17 +150,25 @@ void loop() {
     gestureCount = 0;
   }
   
-  // Send if connected and interval passed
+  // Send once the interval passed: over USB serial always, over BLE only
+  // while a central is connected
   uint32_t now = millis();
-  if (connected && gestureCount == 3 && now - lastSend >= 120) {
+  if (gestureCount == 3 && now - lastSend >= 120) {
     char buf[128];
     char name[16];
     strcpy_P(name, (char*)pgm_read_dword(&(gestureNames[currentGesture])));
     snprintf(buf, sizeof(buf), "%d:%s|%d,%d,%d,%d,%d,%d,%d,%d",
              currentGesture, name, f1, f2, ax, ay, az, gx, gy, gz);
     
-    pChar->setValue((uint8_t*)buf, strlen(buf));
-    pChar->notify();
+    if (connected) {
+#if BINARY_FRAMES
+      const int16_t values[8] = {f1, f2, ax, ay, az, gx, gy, gz};
+      sendFrame(currentGesture, values);
+#else
+      pChar->setValue((uint8_t*)buf, strlen(buf));
+      pChar->notify();
+#endif
+    }
     lastSend = now;
     Serial.println(buf);
   }
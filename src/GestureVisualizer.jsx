@@ -1,7 +1,44 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Activity, Bluetooth, BluetoothOff, Hand, Waves, TrendingUp, TrendingDown, ArrowLeft, ArrowRight, RotateCw, RotateCcw, Brain, ToggleLeft, ToggleRight } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { Bluetooth, BluetoothOff, Brain, ToggleLeft, ToggleRight, Usb, Radio, Cpu, Zap, Crosshair, GitMerge, LineChart, Box } from 'lucide-react';
 import GestureClassifier from './ml/GestureClassifier';
 import GestureTrainer from './components/GestureTrainer';
+import SimulatorPanel from './components/SimulatorPanel';
+import SessionPanel from './components/SessionPanel';
+import SessionRecorder from './session/SessionRecorder';
+import ActionBindings from './components/ActionBindings';
+import ActionEngine from './actions/ActionEngine';
+import CalibrationWizard from './components/CalibrationWizard';
+import CalibrationStore from './calibration/CalibrationStore';
+import PredictionSmoother from './ml/PredictionSmoother';
+import SmoothingSettings from './components/SmoothingSettings';
+import GestureFusion, { DECISION_MODES } from './ml/GestureFusion';
+import FusionPanel from './components/FusionPanel';
+import UnknownDetector, { REJECTION_REASONS } from './ml/UnknownDetector';
+import OpenSetPanel from './components/OpenSetPanel';
+import CorrectionSelect from './components/CorrectionSelect';
+import FineTunePanel from './components/FineTunePanel';
+import SensorCharts from './components/SensorCharts';
+import TimeSeriesBuffer from './charts/TimeSeriesBuffer';
+import HandView3D from './components/HandView3D';
+import OrientationFilter from './orientation/OrientationFilter';
+import DevicePanel from './components/DevicePanel';
+import DeviceList from './components/DeviceList';
+import DeviceManager from './devices/DeviceManager';
+import ReplayTransport from './transport/ReplayTransport';
+import { transportTypes, createTransport, BLETransport } from './transport';
+import { parsePacket } from './protocol/packet';
+import PacketStats from './protocol/PacketStats';
+import LinkStats from './components/LinkStats';
+import ConnectionSettings from './components/ConnectionSettings';
+import { loadConnectionSettings, saveConnectionSettings } from './transport/connectionSettings';
+import { gestureRegistry, UNKNOWN_GESTURE_ID } from './gestures/GestureRegistry';
+import { GestureIcon } from './gestures/icons';
+import { useGestures } from './gestures/useGestures';
+import { DEFAULT_WS_URL } from './transport/WebSocketTransport';
+
+const HISTORY_LENGTH = 10;
+// Packets kept per history entry for corrections, after the model's own input
+const MAX_EPISODE_PACKETS = 40;
 
 const GestureVisualizer = () => {
   const [isConnected, setIsConnected] = useState(false);
@@ -13,119 +50,326 @@ const GestureVisualizer = () => {
   });
   const [history, setHistory] = useState([]);
   const [error, setError] = useState('');
-  const [useML, setUseML] = useState(false);
+  const [decisionMode, setDecisionMode] = useState('esp32'); // esp32, fusion or ml
+  const useML = decisionMode !== 'esp32';
   const [mlConfidence, setMlConfidence] = useState(0);
   const [mlPrediction, setMlPrediction] = useState(null);
+  const [mlRaw, setMlRaw] = useState(null);
+  const [disagreement, setDisagreement] = useState(null);
+  const [rejection, setRejection] = useState(null); // reasons the latest frame was rejected
+  const [inference, setInference] = useState(null); // worker latency and dropped frames
   const [showTrainer, setShowTrainer] = useState(false);
-  const characteristicRef = useRef(null);
-  const deviceRef = useRef(null);
+  const [showActions, setShowActions] = useState(false);
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [showCharts, setShowCharts] = useState(false);
+  const [showHand, setShowHand] = useState(false);
+  const [devices, setDevices] = useState([]); // additional gloves
+  const [twoHanded, setTwoHanded] = useState(false);
+  const calibrationStoreRef = useRef(new CalibrationStore());
+  const [calibration, setCalibration] = useState(() => calibrationStoreRef.current.getActive());
+  const [modelCalibration, setModelCalibration] = useState({}); // hands -> profile id the active model was trained with
+  const [transportType, setTransportType] = useState('ble');
+  const [wsUrl, setWsUrl] = useState(DEFAULT_WS_URL);
+  const [sourceLabel, setSourceLabel] = useState('');
+  const [simSettings, setSimSettings] = useState({ gestureId: 0, intensity: 1, noise: 1, binary: false, packetLoss: 0 });
+  const [replay, setReplay] = useState(null);
+  const [connectionSettings, setConnectionSettings] = useState(loadConnectionSettings);
+  const [linkState, setLinkState] = useState({ status: 'disconnected' }); // primary glove
+  const [rememberedDevice, setRememberedDevice] = useState(null);
+  useGestures(); // re-render when icons/colors change
+  const transportRef = useRef(null);
+  const recorderRef = useRef(new SessionRecorder());
+  const actionEngineRef = useRef(new ActionEngine());
   const classifierRef = useRef(null);
-
-  const SERVICE_UUID = '4fafc201-1fb5-459e-8fcc-c5c9c331914b';
-  const CHAR_UUID = 'beb5483e-36e1-4688-b7f5-ea07361b26a8';
-
-  const gestureNames = [
-    'IDLE', 'FIST', 'OPEN_HAND', 'WAVE_LEFT', 'WAVE_RIGHT',
-    'TILT_UP', 'TILT_DOWN', 'TILT_RIGHT', 'TILT_LEFT'
-  ];
+  const pairClassifierRef = useRef(null); // two-handed gestures
+  const deviceManagerRef = useRef(new DeviceManager());
+  const smootherRef = useRef(new PredictionSmoother());
+  const fusionRef = useRef(new GestureFusion());
+  const unknownRef = useRef(new UnknownDetector({ registry: gestureRegistry }));
+  const episodeRef = useRef(null); // history entry of the gesture shown now
+  const seriesRef = useRef(new TimeSeriesBuffer());
+  const statsRef = useRef(new PacketStats());
+  const orientationRef = useRef(new OrientationFilter());
+  const packetListenersRef = useRef(new Set()); // trainer capture, per packet
+  // parseData is bound to the transport when connecting, so it reads the
+  // decision mode through a ref
+  const decisionModeRef = useRef(decisionMode);
+  decisionModeRef.current = decisionMode;
+  const twoHandedRef = useRef(twoHanded);
+  twoHandedRef.current = twoHanded;
 
   // Initialize ML classifier
   useEffect(() => {
     const initClassifier = async () => {
       classifierRef.current = new GestureClassifier();
+      classifierRef.current.setCalibration(calibrationStoreRef.current.getActive());
       await classifierRef.current.initialize();
+      pairClassifierRef.current = new GestureClassifier({ hands: 2 });
+      pairClassifierRef.current.setCalibration(calibrationStoreRef.current.getActive());
+      await pairClassifierRef.current.initialize();
+
+      // A model expects features normalized with the profile it was trained
+      // with; follow model loads and switches to warn about a mismatch
+      [classifierRef.current, pairClassifierRef.current].forEach(classifier => {
+        const update = () => {
+          const id = classifier.trainedCalibrationId();
+          setModelCalibration(prev => (prev[classifier.hands] === id ? prev : { ...prev, [classifier.hands]: id }));
+        };
+        update();
+        classifier.subscribe(update);
+      });
     };
     initClassifier();
   }, []);
 
-  const gestureIcons = {
-    0: <Activity className="w-12 h-12" />,
-    1: <Hand className="w-12 h-12" />,
-    2: <Hand className="w-12 h-12" />,
-    3: <ArrowLeft className="w-12 h-12" />,
-    4: <ArrowRight className="w-12 h-12" />,
-    5: <TrendingUp className="w-12 h-12" />,
-    6: <TrendingDown className="w-12 h-12" />,
-    7: <RotateCw className="w-12 h-12" />,
-    8: <RotateCcw className="w-12 h-12" />
+  useEffect(() => deviceManagerRef.current.subscribe((next) => {
+    // Devices are updated in place, so copy to re-render on each packet
+    setDevices([...next]);
+    if (next.length === 0) {
+      setTwoHanded(false);
+    }
+  }), []);
+
+  // Apply calibration to the classifier's feature normalization and the
+  // orientation filter's gyro bias. The second hand of two-handed features
+  // uses the profile saved for the partner glove's device, if any
+  const partnerLabel = devices.length > 0 ? devices[0].label : '';
+  useEffect(() => {
+    const partnerProfile = partnerLabel ? calibrationStoreRef.current.forDevice(partnerLabel) : undefined;
+    [classifierRef.current, pairClassifierRef.current].forEach(classifier => {
+      if (classifier) {
+        classifier.setCalibration(calibration, partnerProfile);
+      }
+    });
+    orientationRef.current.setCalibration(calibration);
+  }, [calibration, partnerLabel]);
+
+  // Threshold overlays for the charts' confidence lane
+  const getChartThresholds = useCallback(() => {
+    const { enterThreshold, exitThreshold } = smootherRef.current.settings;
+    return [
+      { value: enterThreshold, label: 'enter', color: '#4ade80' },
+      { value: exitThreshold, label: 'exit', color: '#f87171' }
+    ];
+  }, []);
+
+  // Two-handed mode classifies the primary glove's packet together with the
+  // latest packet of the first additional glove
+  const classifierInput = (sensorDataObj) => {
+    const partnerData = deviceManagerRef.current.partnerData();
+    if (twoHandedRef.current && partnerData) {
+      return { classifier: pairClassifierRef.current, input: [sensorDataObj, partnerData] };
+    }
+    return { classifier: classifierRef.current, input: sensorDataObj };
+  };
+
+  // Training samples in two-handed mode pair the primary packet with the
+  // partner glove's latest one; null until the partner has sent data
+  const trainerInput = (sensorDataObj) => {
+    if (!twoHandedRef.current) {
+      return sensorDataObj;
+    }
+    const partnerData = deviceManagerRef.current.partnerData();
+    return partnerData ? [sensorDataObj, partnerData] : null;
   };
 
-  const gestureColors = {
-    0: 'from-gray-400 to-gray-600',
-    1: 'from-red-500 to-orange-600',
-    2: 'from-blue-500 to-cyan-600',
-    3: 'from-purple-500 to-pink-600',
-    4: 'from-green-500 to-emerald-600',
-    5: 'from-yellow-500 to-amber-600',
-    6: 'from-indigo-500 to-purple-600',
-    7: 'from-teal-500 to-cyan-600',
-    8: 'from-rose-500 to-pink-600'
+  // The trainer records from here rather than from sensorData, since React
+  // renders packets that arrive in a burst only once
+  const subscribePackets = useCallback((listener) => {
+    packetListenersRef.current.add(listener);
+    return () => packetListenersRef.current.delete(listener);
+  }, []);
+
+  const gestureInfo = (id) => gestureRegistry.get(id) || { icon: null, color: 'from-gray-400 to-gray-600' };
+
+  const transportIcons = {
+    ble: Bluetooth,
+    serial: Usb,
+    websocket: Radio,
+    simulator: Cpu
   };
 
-  const connectBLE = async () => {
+  // A Bluetooth glove picked in an earlier visit can be reused without the
+  // chooser, and connected right away if the user asked for that
+  useEffect(() => {
+    let cancelled = false;
+    BLETransport.findRememberedDevice().then(device => {
+      if (cancelled || !device) return;
+      setRememberedDevice(device);
+      if (connectionSettings.connectOnLoad) {
+        setTransportType('ble');
+        startTransport(createTransport('ble', { device, ...connectionSettings }));
+      }
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const changeConnectionSettings = (settings) => {
+    saveConnectionSettings(settings);
+    setConnectionSettings(settings);
+    if (transportRef.current instanceof BLETransport) {
+      transportRef.current.autoReconnect = settings.autoReconnect;
+      transportRef.current.maxAttempts = settings.maxAttempts;
+    }
+  };
+
+  // Push simulator controls into the running simulator
+  useEffect(() => {
+    if (transportRef.current && transportRef.current.setSettings) {
+      transportRef.current.setSettings(simSettings);
+    }
+  }, [simSettings]);
+
+  const startTransport = async (transport) => {
     try {
       setError('');
-      
-      if (!navigator.bluetooth) {
-        setError('Web Bluetooth not supported. Use Chrome/Edge on desktop or Android.');
-        return;
+      // Only one source feeds the app; close the current one first
+      if (transportRef.current) {
+        await disconnect();
       }
+      statsRef.current.reset();
 
-      const device = await navigator.bluetooth.requestDevice({
-        filters: [{ name: 'ESP32_Gesture' }],
-        optionalServices: [SERVICE_UUID]
-      });
+      transport.onData = (data) => {
+        recorderRef.current.recordPacket(data);
+        parseData(data);
+      };
+      transport.onDisconnect = handleDisconnect;
+      transport.onStateChange = handleStateChange;
 
-      deviceRef.current = device;
-      device.addEventListener('gattserverdisconnected', handleDisconnect);
+      await transport.connect();
 
-      const server = await device.gatt.connect();
-      const service = await server.getPrimaryService(SERVICE_UUID);
-      const characteristic = await service.getCharacteristic(CHAR_UUID);
-      
-      characteristicRef.current = characteristic;
-      await characteristic.startNotifications();
-      
-      characteristic.addEventListener('characteristicvaluechanged', handleDataReceived);
-      
+      transportRef.current = transport;
+      if (transport instanceof BLETransport) {
+        setRememberedDevice(transport.device);
+      }
+      setLinkState({ status: 'connected' });
+      if (classifierRef.current) {
+        classifierRef.current.resetBuffer();
+      }
+      smootherRef.current.reset();
+      fusionRef.current.reset();
+      unknownRef.current.reset();
+      episodeRef.current = null;
+      orientationRef.current.reset();
+      setSourceLabel(transport.label);
       setIsConnected(true);
+      recorderRef.current.recordEvent('connect', { source: transport.label });
+      return true;
     } catch (err) {
       setError(`Connection failed: ${err.message}`);
       console.error(err);
+      return false;
     }
   };
 
-  const handleDataReceived = (event) => {
-    const value = new TextDecoder().decode(event.target.value);
-    parseData(value);
+  const transportOptions = () => ({
+    url: wsUrl,
+    settings: simSettings,
+    autoReconnect: connectionSettings.autoReconnect,
+    maxAttempts: connectionSettings.maxAttempts
+  });
+
+  // chooseDevice skips the remembered Bluetooth glove and opens the chooser
+  const connect = (chooseDevice = false) => {
+    const device = transportType === 'ble' && !chooseDevice ? rememberedDevice : null;
+    startTransport(createTransport(transportType, { ...transportOptions(), device }));
+  };
+
+  const startReplay = async (session) => {
+    const transport = new ReplayTransport({ session });
+    if (await startTransport(transport)) {
+      setReplay(transport);
+    }
   };
 
   const parseData = async (data) => {
+    let packet;
     try {
-      // Format: "id:name|f1,f2,ax,ay,az,gx,gy,gz"
-      const [gesturePart, sensorPart] = data.split('|');
-      const [id, name] = gesturePart.split(':');
-      const [f1, f2, ax, ay, az, gx, gy, gz] = sensorPart.split(',').map(Number);
+      packet = parsePacket(data);
+    } catch (err) {
+      // Rejected packets show up in the link statistics
+      statsRef.current.recordError(err);
+      return;
+    }
+    statsRef.current.record(packet);
 
-      const sensorDataObj = { flex1: f1, flex2: f2, ax, ay, az, gx, gy, gz };
+    try {
+      const { gesture: espGesture, sensorData: sensorDataObj } = packet;
       setSensorData(sensorDataObj);
+      orientationRef.current.update(sensorDataObj);
+      const sample = trainerInput(sensorDataObj);
+      if (sample) {
+        packetListenersRef.current.forEach(listener => listener(sample));
+      }
 
-      let gesture = { id: parseInt(id), name };
+      let gesture = espGesture;
+      let confidenceLevel = null;
+      let packets = null; // what the model saw for this decision
       
       // Use ML prediction if enabled and model is available
-      if (useML && classifierRef.current && classifierRef.current.model) {
+      const mode = decisionModeRef.current;
+      const { classifier, input } = classifierInput(sensorDataObj);
+      if (mode !== 'esp32' && classifier && classifier.model) {
         try {
-          const prediction = await classifierRef.current.predict(sensorDataObj);
-          if (prediction.confidence > 0.5) { // Only use ML if confidence > 50%
+          const prediction = await classifier.predict(input);
+          // Dropped because a newer packet is already waiting for inference,
+          // or the decision mode changed meanwhile
+          if (!prediction || decisionModeRef.current !== mode) {
+            return;
+          }
+          if (prediction.latencyMs !== undefined) {
+            setInference(classifier.inferenceStats());
+          }
+          packets = prediction.packets || null;
+          const { classIds } = prediction;
+          let { probabilities } = prediction;
+
+          // Open-set rejection: a rejected frame counts as no evidence for
+          // any gesture, so the smoothed probabilities decay
+          const reasons = unknownRef.current.check(prediction, classifier.openSet);
+          if (reasons.length > 0) {
+            unknownRef.current.reject({ prediction, reasons, frames: prediction.packets, hands: classifier.hands });
+          } else {
+            unknownRef.current.accept();
+          }
+          setRejection(reasons.length > 0 ? reasons : null);
+
+          // Fusion: the ESP32 label acts as a prior on the ML probabilities
+          if (mode === 'fusion' && probabilities.length > 0) {
+            setDisagreement(fusionRef.current.compare({
+              espId: gesture.id,
+              mlId: prediction.gestureId,
+              mlConfidence: prediction.confidence,
+              sensorData: input,
+              packets: prediction.packets
+            }));
+            probabilities = fusionRef.current.fuse(probabilities, classIds, gesture.id);
+          } else {
+            setDisagreement(null);
+          }
+          if (reasons.length > 0) {
+            probabilities = probabilities.map(() => 0);
+          }
+
+          const { smoothed, level } = smootherRef.current.update({ probabilities }, classIds);
+          confidenceLevel = level;
+          setMlRaw(probabilities.length > 0
+            ? { gestureId: prediction.gestureId, confidence: prediction.confidence }
+            : null);
+          if (smoothed) {
             gesture = {
-              id: prediction.gestureId,
-              name: gestureNames[prediction.gestureId] || 'UNKNOWN',
+              id: smoothed.gestureId,
+              name: gestureRegistry.getName(smoothed.gestureId),
               mlPredicted: true
             };
-            setMlConfidence(prediction.confidence);
+            setMlConfidence(smoothed.confidence);
             setMlPrediction(prediction);
+          } else if (unknownRef.current.isUnknown(smootherRef.current.settings.voteWindow)) {
+            gesture = { id: UNKNOWN_GESTURE_ID, name: 'UNKNOWN', mlPredicted: true, unknown: true };
+            setMlConfidence(0);
+            setMlPrediction(null);
           } else {
-            // Fall back to ESP32 detection if ML confidence is low
+            // Fall back to ESP32 detection until a gesture passes the smoothing stage
             setMlConfidence(0);
             setMlPrediction(null);
           }
@@ -133,39 +377,163 @@ const GestureVisualizer = () => {
           console.error('ML prediction error:', err);
           setMlConfidence(0);
           setMlPrediction(null);
+          setMlRaw(null);
+          setRejection(null);
         }
       } else {
         setMlConfidence(0);
         setMlPrediction(null);
+        setMlRaw(null);
+        setDisagreement(null);
+        setRejection(null);
       }
 
+      seriesRef.current.push(sensorDataObj, gesture.id, confidenceLevel);
       setCurrentGesture(gesture);
+      actionEngineRef.current.update(gesture);
       
-      setHistory(prev => {
-        const newHistory = [{ ...gesture, timestamp: Date.now() }, ...prev];
-        return newHistory.slice(0, 10);
-      });
+      // The history lists gesture changes; each entry keeps the packets
+      // behind it while the ML model ran, so it can be corrected later
+      const episode = episodeRef.current;
+      if (!episode || episode.id !== gesture.id) {
+        const entry = {
+          ...gesture,
+          timestamp: Date.now(),
+          frames: packets ? [...packets] : null,
+          hands: classifier ? classifier.hands : 1,
+          maxFrames: packets ? packets.length + MAX_EPISODE_PACKETS : 0
+        };
+        episodeRef.current = entry;
+        setHistory(prev => [entry, ...prev].slice(0, HISTORY_LENGTH));
+      } else if (episode.frames && packets && !episode.corrected && episode.frames.length < episode.maxFrames) {
+        // Packets whose own inference was dropped are still in the window
+        const seen = packets.lastIndexOf(episode.frames[episode.frames.length - 1]);
+        episode.frames.push(...packets.slice(seen + 1));
+      }
     } catch (err) {
-      console.error('Parse error:', err);
+      console.error('Packet handling error:', err);
     }
   };
 
+  // "That was actually X": the entry's packets become a correction take
+  const correct = (entry, gestureId) => {
+    const classifier = [classifierRef.current, pairClassifierRef.current]
+      .find(c => c && c.hands === entry.hands);
+    if (!classifier || !entry.frames || entry.correctedId !== undefined) return;
+    classifier.addCorrection(entry.frames, gestureId);
+    // Packets arriving after the correction are not added to it
+    entry.corrected = true;
+    setHistory(prev => prev.map(item => (item === entry ? { ...item, correctedId: gestureId } : item)));
+  };
+
+  // Reconnection of the primary glove; the session continues afterwards
+  const handleStateChange = (status, detail) => {
+    if (status === 'reconnecting') {
+      // Nothing arrives until the link is back, so release held keys
+      actionEngineRef.current.reset();
+      setCurrentGesture({ id: 0, name: 'IDLE' });
+      recorderRef.current.recordEvent('reconnecting', { attempt: detail.attempt });
+    } else if (status === 'connected') {
+      [classifierRef.current, pairClassifierRef.current].forEach(classifier => {
+        if (classifier) {
+          classifier.resetBuffer();
+        }
+      });
+      smootherRef.current.reset();
+      unknownRef.current.reset();
+      orientationRef.current.reset();
+      recorderRef.current.recordEvent('reconnect', { source: transportRef.current?.label });
+    }
+    setLinkState({ status, ...detail });
+  };
+
+  // The additional gloves are only listed while connected, so they are
+  // dropped with the primary glove as on a manual disconnect
   const handleDisconnect = () => {
+    deviceManagerRef.current.removeAll()
+      .catch(err => console.error('Error disconnecting additional gloves:', err));
+    setLinkState({ status: 'disconnected' });
+    actionEngineRef.current.reset();
+    recorderRef.current.recordEvent('disconnect', { reason: 'lost' });
+    transportRef.current = null;
+    setReplay(null);
     setIsConnected(false);
     setCurrentGesture({ id: 0, name: 'IDLE' });
     setError('Device disconnected');
   };
 
-  const disconnect = () => {
-    if (deviceRef.current && deviceRef.current.gatt.connected) {
-      deviceRef.current.gatt.disconnect();
+  const disconnect = async () => {
+    await deviceManagerRef.current.removeAll();
+    if (transportRef.current) {
+      await transportRef.current.disconnect();
+      transportRef.current = null;
+      recorderRef.current.recordEvent('disconnect', { reason: 'user' });
     }
+    actionEngineRef.current.reset();
+    setLinkState({ status: 'disconnected' });
+    setReplay(null);
     setIsConnected(false);
   };
 
-  const normalizeValue = (value, min, max) => {
-    return Math.max(0, Math.min(100, ((value - min) / (max - min)) * 100));
+  // Connect another glove from the selected source
+  const addDevice = async () => {
+    try {
+      setError('');
+      await deviceManagerRef.current.add(createTransport(transportType, transportOptions()));
+    } catch (err) {
+      setError(`Connection failed: ${err.message}`);
+      console.error(err);
+    }
+  };
+
+  const changeTwoHanded = (enabled) => {
+    smootherRef.current.reset();
+    fusionRef.current.reset();
+    unknownRef.current.reset();
+    episodeRef.current = null;
+    // Logged frames only fit the classifier they were logged for
+    fusionRef.current.clearDisagreements();
+    [classifierRef.current, pairClassifierRef.current].forEach(classifier => {
+      if (classifier) {
+        classifier.resetBuffer();
+      }
+    });
+    setDisagreement(null);
+    setTwoHanded(enabled);
+  };
+
+  const activeClassifier = twoHanded ? pairClassifierRef.current : classifierRef.current;
+  const modelProfileId = modelCalibration[twoHanded ? 2 : 1];
+  const calibrationMismatch = modelProfileId !== undefined && modelProfileId !== (calibration ? calibration.id : null);
+  const modelProfile = calibrationMismatch && modelProfileId
+    ? calibrationStoreRef.current.list().find(p => p.id === modelProfileId) || null
+    : null;
+
+  const applyModelCalibration = (profile) => {
+    calibrationStoreRef.current.setActive(profile ? profile.id : null);
+    setCalibration(profile);
   };
+  const partnerData = devices.length > 0 ? devices[0].sensorData : null;
+  // Shown to the trainer to check that data arrives; samples come through
+  // subscribePackets
+  const trainerData = useMemo(
+    () => (twoHanded ? partnerData && [sensorData, partnerData] : sensorData),
+    [sensorData, twoHanded]
+  );
+  // Devices re-render on every packet; only rebuild the links when a glove
+  // comes, goes or changes link state
+  const deviceLinks = devices.map(d => `${d.id}:${d.link.status}:${d.link.attempt || 0}`).join(',');
+  const links = useMemo(() => [
+    { id: 'primary', label: sourceLabel, stats: statsRef.current, link: linkState },
+    ...devices.map(d => ({ id: d.id, label: d.label, stats: d.stats, link: d.link }))
+  ], [sourceLabel, linkState, deviceLinks]);
+  // Each additional glove is shown with the profile saved for its device
+  const deviceLabels = devices.map(d => `${d.id}:${d.label}`).join(',');
+  const deviceProfiles = useMemo(() => new Map(devices.map(d =>
+    [d.id, d.label ? calibrationStoreRef.current.forDevice(d.label) : null])), [deviceLabels, calibration]);
+  const roleTitle = (slot, label) => `${deviceManagerRef.current.roleOf(slot)} · ${label}`;
+
+  const ConnectIcon = transportIcons[transportType];
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-blue-900 to-slate-900 text-white p-6">
@@ -177,25 +545,30 @@ const GestureVisualizer = () => {
           </h1>
           <p className="text-gray-400">Real-time ESP32 gesture visualization with ML</p>
           
-          {/* ML Toggle */}
+          {/* Decision Mode */}
           <div className="flex items-center justify-center gap-4 mt-4">
-            <span className={`text-sm ${!useML ? 'text-white' : 'text-gray-400'}`}>ESP32 Detection</span>
-            <button
-              onClick={() => setUseML(!useML)}
-              className={`relative w-14 h-7 rounded-full transition-colors ${
-                useML ? 'bg-purple-600' : 'bg-gray-600'
-              }`}
-            >
-              <div
-                className={`absolute top-1 left-1 w-5 h-5 bg-white rounded-full transition-transform ${
-                  useML ? 'translate-x-7' : 'translate-x-0'
-                }`}
-              />
-            </button>
-            <span className={`text-sm flex items-center gap-1 ${useML ? 'text-white' : 'text-gray-400'}`}>
-              <Brain className="w-4 h-4" />
-              ML Prediction
-            </span>
+            <div className="flex rounded-lg overflow-hidden border border-slate-600">
+              {DECISION_MODES.map(({ id, name }) => (
+                <button
+                  key={id}
+                  onClick={() => {
+                    smootherRef.current.reset();
+                    fusionRef.current.reset();
+                    unknownRef.current.reset();
+                    setDisagreement(null);
+                    setRejection(null);
+                    setDecisionMode(id);
+                  }}
+                  className={`flex items-center gap-1 px-4 py-2 text-sm font-semibold transition-colors ${
+                    decisionMode === id ? 'bg-purple-600 text-white' : 'bg-slate-700 text-gray-400 hover:bg-slate-600'
+                  }`}
+                >
+                  {id === 'ml' && <Brain className="w-4 h-4" />}
+                  {id === 'fusion' && <GitMerge className="w-4 h-4" />}
+                  {name}
+                </button>
+              ))}
+            </div>
             <button
               onClick={() => setShowTrainer(!showTrainer)}
               className="ml-4 px-4 py-2 bg-purple-600 hover:bg-purple-700 rounded-lg text-sm font-semibold transition-colors flex items-center gap-2"
@@ -203,19 +576,97 @@ const GestureVisualizer = () => {
               <Brain className="w-4 h-4" />
               {showTrainer ? 'Hide' : 'Show'} Trainer
             </button>
+            <button
+              onClick={() => setShowActions(!showActions)}
+              className="px-4 py-2 bg-amber-600 hover:bg-amber-700 rounded-lg text-sm font-semibold transition-colors flex items-center gap-2"
+            >
+              <Zap className="w-4 h-4" />
+              {showActions ? 'Hide' : 'Show'} Actions
+            </button>
+            <button
+              onClick={() => setShowCalibration(!showCalibration)}
+              className="px-4 py-2 bg-teal-600 hover:bg-teal-700 rounded-lg text-sm font-semibold transition-colors flex items-center gap-2"
+            >
+              <Crosshair className="w-4 h-4" />
+              Calibrate
+            </button>
+            <button
+              onClick={() => setShowCharts(!showCharts)}
+              className="px-4 py-2 bg-sky-600 hover:bg-sky-700 rounded-lg text-sm font-semibold transition-colors flex items-center gap-2"
+            >
+              <LineChart className="w-4 h-4" />
+              Charts
+            </button>
+            <button
+              onClick={() => setShowHand(!showHand)}
+              className="px-4 py-2 bg-rose-600 hover:bg-rose-700 rounded-lg text-sm font-semibold transition-colors flex items-center gap-2"
+            >
+              <Box className="w-4 h-4" />
+              3D Hand
+            </button>
           </div>
         </div>
 
+        {/* Source Picker */}
+        <div className="flex flex-wrap items-center justify-center gap-2 mb-4">
+          {transportTypes.map(({ id, name }) => {
+            const Icon = transportIcons[id];
+            return (
+              <button
+                key={id}
+                onClick={() => setTransportType(id)}
+                disabled={isConnected}
+                className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold transition-colors disabled:cursor-not-allowed ${
+                  transportType === id ? 'bg-blue-600' : 'bg-slate-700 hover:bg-slate-600 disabled:opacity-50'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                {name}
+              </button>
+            );
+          })}
+          {transportType === 'websocket' && (
+            <input
+              type="text"
+              value={wsUrl}
+              onChange={(e) => setWsUrl(e.target.value)}
+              disabled={isConnected}
+              className="w-64 bg-slate-700 text-white text-sm rounded-lg px-3 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none font-mono"
+            />
+          )}
+        </div>
+
+        {transportType !== 'simulator' && (
+          <ConnectionSettings
+            settings={connectionSettings}
+            onChange={changeConnectionSettings}
+            rememberedDevice={rememberedDevice}
+          />
+        )}
+
+        {transportType === 'simulator' && (
+          <SimulatorPanel settings={simSettings} onChange={setSimSettings} />
+        )}
+
         {/* Connection Button */}
         <div className="flex justify-center mb-8">
           {!isConnected ? (
-            <button
-              onClick={connectBLE}
-              className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 px-8 py-4 rounded-full text-lg font-semibold shadow-lg transform hover:scale-105 transition-all"
-            >
-              <Bluetooth className="w-6 h-6" />
-              Connect to ESP32
-            </button>
+            <div className="flex flex-col items-center gap-2">
+              <button
+                onClick={() => connect()}
+                className="flex items-center gap-2 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 px-8 py-4 rounded-full text-lg font-semibold shadow-lg transform hover:scale-105 transition-all"
+              >
+                <ConnectIcon className="w-6 h-6" />
+                {transportType === 'ble' && rememberedDevice
+                  ? `Connect to ${rememberedDevice.name || 'ESP32'}`
+                  : 'Connect to ESP32'}
+              </button>
+              {transportType === 'ble' && rememberedDevice && (
+                <button onClick={() => connect(true)} className="text-sm text-gray-400 hover:text-white underline">
+                  Choose another device…
+                </button>
+              )}
+            </div>
           ) : (
             <button
               onClick={disconnect}
@@ -227,17 +678,51 @@ const GestureVisualizer = () => {
           )}
         </div>
 
+        {isConnected && (
+          <DeviceList
+            manager={deviceManagerRef.current}
+            devices={devices}
+            primaryLabel={sourceLabel}
+            canAdd={!replay}
+            onAdd={addDevice}
+            twoHanded={twoHanded}
+            onTwoHandedChange={changeTwoHanded}
+          />
+        )}
+
+        {isConnected && <LinkStats links={links} staleMs={connectionSettings.staleMs} />}
+
         {error && (
           <div className="bg-red-500/20 border border-red-500 rounded-lg p-4 mb-6 text-center">
             {error}
           </div>
         )}
 
+        {useML && calibrationMismatch && (
+          <div className="flex flex-wrap items-center justify-center gap-3 bg-yellow-500/20 border border-yellow-500 rounded-lg p-4 mb-6 text-center">
+            <span>
+              {modelProfileId === null
+                ? 'The active model was trained without a calibration profile, but one is active now.'
+                : modelProfile
+                  ? `The active model was trained with the calibration profile of ${modelProfile.user} on ${modelProfile.device}, not the active one.`
+                  : 'The active model was trained with a calibration profile that is not on this device. Retrain it with the active profile.'}
+            </span>
+            {(modelProfileId === null || modelProfile) && (
+              <button
+                onClick={() => applyModelCalibration(modelProfile)}
+                className="px-3 py-1 rounded-lg bg-yellow-600 hover:bg-yellow-700 font-semibold text-sm"
+              >
+                {modelProfile ? 'Use that profile' : 'Use raw values'}
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Main Gesture Display */}
-        <div className={`bg-gradient-to-br ${gestureColors[currentGesture.id]} rounded-3xl p-12 mb-8 shadow-2xl transform transition-all duration-300 ${isConnected ? 'scale-100' : 'scale-95 opacity-50'}`}>
+        <div className={`bg-gradient-to-br ${gestureInfo(currentGesture.id).color} rounded-3xl p-12 mb-8 shadow-2xl transform transition-all duration-300 ${isConnected ? 'scale-100' : 'scale-95 opacity-50'}`}>
           <div className="text-center">
             <div className="flex justify-center mb-6 text-white animate-pulse">
-              {gestureIcons[currentGesture.id]}
+              <GestureIcon name={gestureInfo(currentGesture.id).icon} />
             </div>
             <h2 className="text-6xl font-bold mb-2">{currentGesture.name}</h2>
             <p className="text-2xl opacity-80">Gesture ID: {currentGesture.id}</p>
@@ -255,156 +740,162 @@ const GestureVisualizer = () => {
                 </div>
               </div>
             )}
+            {useML && mlRaw && (
+              <p className="text-sm mt-2 opacity-70 font-mono">
+                raw {gestureRegistry.getName(mlRaw.gestureId)} {(mlRaw.confidence * 100).toFixed(0)}%
+                {' → '}
+                {decisionMode === 'fusion' ? 'fused' : 'smoothed'}{' '}
+                {currentGesture.mlPredicted ? currentGesture.name : 'none (ESP32)'}
+              </p>
+            )}
+            {useML && rejection && (
+              <p className="inline-block text-sm mt-2 px-3 py-1 rounded-full bg-slate-900/40 border border-white/30">
+                Rejected: {rejection.map(reason => REJECTION_REASONS[reason]).join(', ')}
+              </p>
+            )}
+            {decisionMode === 'fusion' && disagreement && (
+              <p className="inline-block text-sm mt-2 px-3 py-1 rounded-full bg-amber-500/30 border border-amber-400">
+                ESP32 says {gestureRegistry.getName(disagreement.espId)}, ML says {gestureRegistry.getName(disagreement.mlId)}
+              </p>
+            )}
             {currentGesture.mlPredicted && (
               <p className="text-sm mt-2 opacity-70">ML Predicted</p>
             )}
+            {useML && history.length > 0 && history[0].frames && (
+              <div className="flex items-center justify-center gap-2 text-sm mt-2">
+                {history[0].correctedId !== undefined ? (
+                  <span className="opacity-80">Saved as {gestureRegistry.getName(history[0].correctedId)}</span>
+                ) : (
+                  <>
+                    <span className="opacity-70">That was actually</span>
+                    <CorrectionSelect
+                      currentId={history[0].id}
+                      onCorrect={(gestureId) => correct(history[0], gestureId)}
+                      className="bg-slate-900/40 border-white/30"
+                    />
+                  </>
+                )}
+              </div>
+            )}
+            {useML && inference && (
+              <p className="text-xs mt-2 opacity-60 font-mono" title="Time from packet to probabilities, including waiting for the worker">
+                {inference.worker ? 'worker' : 'main thread'} · {inference.backend || '…'}
+                {' · '}{inference.latencyMs.toFixed(1)} ms (avg {inference.averageMs.toFixed(1)}, model {inference.inferenceMs.toFixed(1)})
+                {' · '}{inference.dropped} dropped
+              </p>
+            )}
           </div>
         </div>
 
+        {useML && <SmoothingSettings smoother={smootherRef.current} />}
+
+        {useML && (
+          <OpenSetPanel
+            detector={unknownRef.current}
+            classifier={activeClassifier}
+            classifiers={[classifierRef.current, pairClassifierRef.current]}
+          />
+        )}
+
+        {useML && <FineTunePanel classifier={activeClassifier} />}
+
+        {decisionMode === 'fusion' && (
+          <FusionPanel fusion={fusionRef.current} classifier={activeClassifier} />
+        )}
+
         {/* ML Trainer */}
         {showTrainer && (
           <div className="mb-8">
             <GestureTrainer
-              sensorData={sensorData}
-              classifier={classifierRef.current}
+              key={twoHanded ? 'two-handed' : 'single'}
+              sensorData={trainerData}
+              subscribePackets={subscribePackets}
+              classifier={activeClassifier}
+              deviceName={twoHanded ? [sourceLabel, ...devices.map(d => d.label)].join(' + ') : sourceLabel}
               onTrainingComplete={() => {
                 console.log('Training completed');
               }}
+              onCalibrationImport={(profile) => {
+                calibrationStoreRef.current.save(profile);
+                setCalibration(profile);
+              }}
             />
           </div>
         )}
 
-        <div className="grid md:grid-cols-2 gap-6 mb-8">
-          {/* Flex Sensors */}
-          <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
-            <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <Hand className="w-5 h-5" />
-              Flex Sensors
-            </h3>
-            
-            <div className="space-y-4">
-              <div>
-                <div className="flex justify-between text-sm mb-2">
-                  <span>Flex 1</span>
-                  <span className="font-mono">{sensorData.flex1}</span>
-                </div>
-                <div className="h-3 bg-slate-700 rounded-full overflow-hidden">
-                  <div 
-                    className="h-full bg-gradient-to-r from-blue-500 to-cyan-500 transition-all duration-300"
-                    style={{ width: `${normalizeValue(sensorData.flex1, 1000, 3000)}%` }}
-                  />
-                </div>
-              </div>
-
-              <div>
-                <div className="flex justify-between text-sm mb-2">
-                  <span>Flex 2</span>
-                  <span className="font-mono">{sensorData.flex2}</span>
-                </div>
-                <div className="h-3 bg-slate-700 rounded-full overflow-hidden">
-                  <div 
-                    className="h-full bg-gradient-to-r from-purple-500 to-pink-500 transition-all duration-300"
-                    style={{ width: `${normalizeValue(sensorData.flex2, 1000, 3000)}%` }}
-                  />
-                </div>
-              </div>
-            </div>
+        {/* Calibration */}
+        {showCalibration && (
+          <div className="mb-8">
+            <CalibrationWizard
+              sensorData={sensorData}
+              isConnected={isConnected}
+              deviceName={sourceLabel || 'unknown'}
+              store={calibrationStoreRef.current}
+              activeProfile={calibration}
+              onProfileChange={setCalibration}
+            />
           </div>
+        )}
 
-          {/* Accelerometer */}
-          <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
-            <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <Activity className="w-5 h-5" />
-              Accelerometer
-            </h3>
-            
-            <div className="space-y-3">
-              {['X', 'Y', 'Z'].map((axis, i) => {
-                const value = [sensorData.ax, sensorData.ay, sensorData.az][i];
-                const colors = ['from-red-500 to-orange-500', 'from-green-500 to-emerald-500', 'from-blue-500 to-cyan-500'];
-                return (
-                  <div key={axis} className="flex items-center gap-3">
-                    <span className="w-6 font-semibold">{axis}:</span>
-                    <div className="flex-1 h-2 bg-slate-700 rounded-full relative overflow-hidden">
-                      <div 
-                        className={`absolute h-full bg-gradient-to-r ${colors[i]} transition-all duration-300`}
-                        style={{ 
-                          left: value < 0 ? `${50 + (value / 32768) * 50}%` : '50%',
-                          right: value > 0 ? `${50 - (value / 32768) * 50}%` : '50%'
-                        }}
-                      />
-                    </div>
-                    <span className="w-16 text-right font-mono text-sm">{value}</span>
-                  </div>
-                );
-              })}
-            </div>
-          </div>
+        {/* Live Charts */}
+        {showCharts && (
+          <SensorCharts buffer={seriesRef.current} getThresholds={getChartThresholds} />
+        )}
 
-          {/* Gyroscope */}
-          <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
-            <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
-              <Waves className="w-5 h-5" />
-              Gyroscope
-            </h3>
-            
-            <div className="space-y-3">
-              {['X', 'Y', 'Z'].map((axis, i) => {
-                const value = [sensorData.gx, sensorData.gy, sensorData.gz][i];
-                const colors = ['from-yellow-500 to-amber-500', 'from-purple-500 to-pink-500', 'from-indigo-500 to-blue-500'];
-                return (
-                  <div key={axis} className="flex items-center gap-3">
-                    <span className="w-6 font-semibold">{axis}:</span>
-                    <div className="flex-1 h-2 bg-slate-700 rounded-full relative overflow-hidden">
-                      <div 
-                        className={`absolute h-full bg-gradient-to-r ${colors[i]} transition-all duration-300`}
-                        style={{ 
-                          left: value < 0 ? `${50 + (value / 32768) * 50}%` : '50%',
-                          right: value > 0 ? `${50 - (value / 32768) * 50}%` : '50%'
-                        }}
-                      />
-                    </div>
-                    <span className="w-16 text-right font-mono text-sm">{value}</span>
-                  </div>
-                );
-              })}
-            </div>
-          </div>
+        {/* 3D Hand */}
+        {showHand && (
+          <HandView3D filter={orientationRef.current} calibration={calibration} />
+        )}
 
-          {/* History */}
-          <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
-            <h3 className="text-xl font-semibold mb-4">Recent Gestures</h3>
-            <div className="space-y-2 max-h-48 overflow-y-auto">
-              {history.length === 0 ? (
-                <p className="text-gray-500 text-center py-8">No gestures yet</p>
-              ) : (
-                history.map((item, i) => (
-                  <div 
-                    key={i}
-                    className="flex items-center justify-between bg-slate-700/50 rounded-lg p-3 hover:bg-slate-700 transition-colors"
-                  >
-                    <div className="flex items-center gap-3">
-                      <div className="text-gray-400">
-                        {gestureIcons[item.id]}
-                      </div>
-                      <span className="font-semibold">{item.name}</span>
-                    </div>
-                    <span className="text-sm text-gray-400">
-                      {new Date(item.timestamp).toLocaleTimeString()}
-                    </span>
-                  </div>
-                ))
-              )}
-            </div>
+        {/* Gesture Actions */}
+        {showActions && (
+          <div className="mb-8">
+            <ActionBindings engine={actionEngineRef.current} />
           </div>
+        )}
+
+        <DevicePanel
+          sensorData={sensorData}
+          history={history}
+          onCorrect={correct}
+          calibration={calibration}
+          title={devices.length > 0 ? roleTitle(0, sourceLabel) : null}
+        />
+
+        {devices.map((device, i) => (
+          <DevicePanel
+            key={device.id}
+            sensorData={device.sensorData}
+            history={device.history}
+            calibration={deviceProfiles.get(device.id)}
+            title={roleTitle(i + 1, device.label)}
+            gesture={device.gesture}
+          />
+        ))}
+
+        {/* Session Recording & Replay */}
+        <div className="mb-8">
+          <SessionPanel
+            recorder={recorderRef.current}
+            isConnected={isConnected}
+            sourceLabel={sourceLabel}
+            replay={replay}
+            onReplay={startReplay}
+            onStopReplay={disconnect}
+          />
         </div>
 
         {/* Status Footer */}
         <div className="text-center text-gray-500 text-sm">
-          {isConnected ? (
+          {isConnected && linkState.status === 'reconnecting' ? (
+            <p className="flex items-center justify-center gap-2">
+              <span className="w-2 h-2 bg-amber-500 rounded-full animate-pulse" />
+              Reconnecting to {sourceLabel} (attempt {linkState.attempt} of {linkState.maxAttempts})
+            </p>
+          ) : isConnected ? (
             <p className="flex items-center justify-center gap-2">
               <span className="w-2 h-2 bg-green-500 rounded-full animate-pulse" />
-              Connected to ESP32_Gesture
+              Connected to {sourceLabel}
             </p>
           ) : (
             <p>Click "Connect to ESP32" to start</p>
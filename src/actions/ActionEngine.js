@@ -0,0 +1,210 @@
+import { createId } from '../utils/id';
+
+const BINDINGS_KEY = 'gesture-bindings';
+const ARMED_KEY = 'gesture-bindings-armed';
+
+export const TRIGGERS = ['enter', 'hold', 'release'];
+export const ACTION_TYPES = ['keyboard', 'event', 'script', 'websocket', 'http'];
+
+export const createBinding = (gestureId) => ({
+  id: createId('binding'),
+  gestureId,
+  trigger: 'enter',
+  holdMs: 500,
+  cooldownMs: 1000,
+  enabled: true,
+  action: {
+    type: 'keyboard',
+    key: 'ArrowRight',
+    ctrlKey: false,
+    shiftKey: false,
+    altKey: false,
+    metaKey: false,
+    eventName: 'gesture',
+    script: '',
+    url: ''
+  }
+});
+
+/**
+ * Gesture-to-action engine
+ * Fed with every recognized gesture; fires bindings on enter, after a hold
+ * time, or on release, each with its own cooldown
+ */
+class ActionEngine {
+  constructor() {
+    this.bindings = this.loadBindings();
+    this.armed = localStorage.getItem(ARMED_KEY) === 'true';
+    this.current = null;
+    this.enteredAt = 0;
+    this.heldBindings = new Set();
+    this.lastFired = new Map();
+    this.sockets = new Map();
+    this.onFire = null;
+  }
+
+  loadBindings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (err) {
+      console.error('Error loading bindings:', err);
+      return [];
+    }
+  }
+
+  setBindings(bindings) {
+    this.bindings = bindings;
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+  }
+
+  setArmed(armed) {
+    this.armed = armed;
+    localStorage.setItem(ARMED_KEY, String(armed));
+    if (!armed) {
+      this.closeSockets();
+    }
+  }
+
+  /**
+   * Process the latest recognized gesture ({ id, name })
+   */
+  update(gesture, now = performance.now()) {
+    const previous = this.current;
+
+    if (!previous || previous.id !== gesture.id) {
+      if (previous) {
+        this.fireMatching(previous, 'release', now);
+      }
+      this.current = gesture;
+      this.enteredAt = now;
+      this.heldBindings.clear();
+      this.fireMatching(gesture, 'enter', now);
+    }
+
+    // Hold bindings fire once per continuous hold
+    const heldFor = now - this.enteredAt;
+    this.bindings.forEach(binding => {
+      if (binding.trigger === 'hold' && binding.gestureId === gesture.id &&
+          heldFor >= binding.holdMs && !this.heldBindings.has(binding.id)) {
+        this.heldBindings.add(binding.id);
+        this.fire(binding, gesture, now);
+      }
+    });
+  }
+
+  /**
+   * Forget the current gesture, e.g. on disconnect, releasing it first
+   */
+  reset(now = performance.now()) {
+    if (this.current) {
+      this.fireMatching(this.current, 'release', now);
+    }
+    this.current = null;
+    this.heldBindings.clear();
+  }
+
+  fireMatching(gesture, trigger, now) {
+    this.bindings
+      .filter(b => b.trigger === trigger && b.gestureId === gesture.id)
+      .forEach(binding => this.fire(binding, gesture, now));
+  }
+
+  fire(binding, gesture, now) {
+    if (!this.armed || !binding.enabled) return;
+
+    const last = this.lastFired.get(binding.id);
+    if (last !== undefined && now - last < binding.cooldownMs) return;
+    this.lastFired.set(binding.id, now);
+
+    // The action starts right away; it is reported once it has completed
+    new Promise(resolve => resolve(this.execute(binding.action, gesture, binding.trigger)))
+      .then(() => this.report(binding, gesture, null))
+      .catch(err => {
+        console.error('Action failed:', err);
+        this.report(binding, gesture, err);
+      });
+  }
+
+  report(binding, gesture, error) {
+    if (this.onFire) {
+      this.onFire({
+        bindingId: binding.id,
+        gesture: gesture.name,
+        trigger: binding.trigger,
+        type: binding.action.type,
+        error: error ? error.message : null,
+        timestamp: Date.now()
+      });
+    }
+  }
+
+  /**
+   * Run an action; returns a promise for scripts and HTTP requests, which
+   * rejects if the script fails or the server answers with an error status
+   */
+  execute(action, gesture, trigger) {
+    const detail = { gestureId: gesture.id, gesture: gesture.name, trigger, timestamp: Date.now() };
+
+    switch (action.type) {
+      case 'keyboard': {
+        const init = {
+          key: action.key,
+          code: action.key,
+          ctrlKey: action.ctrlKey,
+          shiftKey: action.shiftKey,
+          altKey: action.altKey,
+          metaKey: action.metaKey,
+          bubbles: true,
+          cancelable: true
+        };
+        const target = document.activeElement || document.body;
+        target.dispatchEvent(new KeyboardEvent('keydown', init));
+        target.dispatchEvent(new KeyboardEvent('keyup', init));
+        break;
+      }
+      case 'event':
+        window.dispatchEvent(new CustomEvent(action.eventName || 'gesture', { detail }));
+        break;
+      case 'script':
+        return Promise.resolve(new Function('gesture', 'detail', action.script)(gesture, detail));
+      case 'websocket':
+        this.sendSocket(action.url, detail);
+        break;
+      case 'http':
+        return fetch(action.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(detail)
+        }).then(response => {
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+          }
+        });
+      default:
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
+    return undefined;
+  }
+
+  sendSocket(url, detail) {
+    let socket = this.sockets.get(url);
+    if (!socket || socket.readyState > WebSocket.OPEN) {
+      socket = new WebSocket(url);
+      this.sockets.set(url, socket);
+    }
+    const message = JSON.stringify(detail);
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(message);
+    } else {
+      socket.addEventListener('open', () => socket.send(message), { once: true });
+    }
+  }
+
+  closeSockets() {
+    this.sockets.forEach(socket => socket.close());
+    this.sockets.clear();
+  }
+}
+
+export default ActionEngine;
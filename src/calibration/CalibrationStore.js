@@ -0,0 +1,61 @@
+const PROFILES_KEY = 'gesture-calibration-profiles';
+const ACTIVE_KEY = 'gesture-calibration-active';
+
+/**
+ * Calibration profiles, one per user and device, saved in localStorage
+ */
+class CalibrationStore {
+  list() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PROFILES_KEY));
+      return Array.isArray(stored) ? stored : [];
+    } catch (err) {
+      console.error('Error loading calibration profiles:', err);
+      return [];
+    }
+  }
+
+  /**
+   * Save a profile, replacing the existing one for the same user and device
+   */
+  save(profile) {
+    const profiles = this.list().filter(p => !(p.user === profile.user && p.device === profile.device));
+    localStorage.setItem(PROFILES_KEY, JSON.stringify([...profiles, profile]));
+    this.setActive(profile.id);
+  }
+
+  remove(id) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(this.list().filter(p => p.id !== id)));
+    if (localStorage.getItem(ACTIVE_KEY) === id) {
+      localStorage.removeItem(ACTIVE_KEY);
+    }
+  }
+
+  getActive() {
+    const id = localStorage.getItem(ACTIVE_KEY);
+    return this.list().find(p => p.id === id) || null;
+  }
+
+  /**
+   * Profile for a glove by its device label: the active profile if it was
+   * made on that device, otherwise the newest one saved for it
+   */
+  forDevice(device) {
+    const active = this.getActive();
+    if (active && active.device === device) {
+      return active;
+    }
+    const matches = this.list().filter(p => p.device === device);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+  }
+
+  setActive(id) {
+    if (id) {
+      localStorage.setItem(ACTIVE_KEY, id);
+    } else {
+      localStorage.removeItem(ACTIVE_KEY);
+    }
+  }
+}
+
+export default CalibrationStore;
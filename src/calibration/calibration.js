@@ -0,0 +1,142 @@
+/**
+ * Per-user calibration
+ * Turns frames captured during the calibration steps into a profile with
+ * flex ranges, accelerometer rest/range and gyro bias, and applies it when
+ * normalizing features and drawing sensor bars
+ */
+
+export const CALIBRATION_STEPS = [
+  { id: 'open', title: 'Open hand', instruction: 'Stretch your fingers out flat and keep them there.' },
+  { id: 'fist', title: 'Fist', instruction: 'Close your hand into a tight fist.' },
+  { id: 'still', title: 'Hold still', instruction: 'Rest your hand palm-down and do not move.' },
+  { id: 'tilt_up', title: 'Tilt up', instruction: 'Tilt your hand up as far as is comfortable.' },
+  { id: 'tilt_down', title: 'Tilt down', instruction: 'Tilt your hand down as far as is comfortable.' },
+  { id: 'tilt_left', title: 'Tilt left', instruction: 'Roll your hand to the left.' },
+  { id: 'tilt_right', title: 'Tilt right', instruction: 'Roll your hand to the right.' }
+];
+
+export const STEP_DURATION_MS = 2000;
+
+// Defaults used without a profile; match the original fixed normalization
+const DEFAULT_FLEX_RANGE = { min: 1000, max: 3000 };
+const ADC_MAX = 4095;
+const INT16_RANGE = 32768;
+
+const FLEX_CHANNELS = ['flex1', 'flex2'];
+const ACCEL_CHANNELS = ['ax', 'ay', 'az'];
+const GYRO_CHANNELS = ['gx', 'gy', 'gz'];
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const column = (frames, channel) => frames.map(f => f[channel]);
+
+/**
+ * Build a profile from the frames captured for each step
+ */
+export const computeProfile = (recordings, { user, device }) => {
+  CALIBRATION_STEPS.forEach(step => {
+    if (!recordings[step.id] || recordings[step.id].length === 0) {
+      throw new Error(`No data captured for "${step.title}"`);
+    }
+  });
+
+  const flex = {};
+  FLEX_CHANNELS.forEach(channel => {
+    const open = median(column(recordings.open, channel));
+    const fist = median(column(recordings.fist, channel));
+    if (Math.abs(fist - open) < 50) {
+      throw new Error(`${channel} barely changed between open hand and fist`);
+    }
+    flex[channel] = { min: Math.min(open, fist), max: Math.max(open, fist) };
+  });
+
+  const still = recordings.still;
+  const rest = {};
+  ACCEL_CHANNELS.forEach(channel => {
+    rest[channel] = mean(column(still, channel));
+  });
+  const gravity = Math.sqrt(ACCEL_CHANNELS.reduce((sum, c) => sum + rest[c] ** 2, 0));
+
+  const tiltFrames = ['tilt_up', 'tilt_down', 'tilt_left', 'tilt_right']
+    .flatMap(id => recordings[id]);
+  const accel = {};
+  ACCEL_CHANNELS.forEach(channel => {
+    const values = [...column(tiltFrames, channel), ...column(still, channel)];
+    accel[channel] = {
+      rest: rest[channel],
+      min: Math.min(...values),
+      max: Math.max(...values)
+    };
+  });
+
+  const bias = {};
+  GYRO_CHANNELS.forEach(channel => {
+    bias[channel] = mean(column(still, channel));
+  });
+
+  return {
+    id: `profile-${Date.now()}`,
+    user: user || 'default',
+    device: device || 'unknown',
+    createdAt: new Date().toISOString(),
+    flex,
+    accel,
+    gravity,
+    gyroBias: bias
+  };
+};
+
+/**
+ * Normalize the 8 raw features for the classifier
+ * Without a profile flex is divided by the ADC range and IMU values by 32768
+ */
+export const normalizeWithProfile = (features, profile) => {
+  if (!profile) {
+    return [
+      features[0] / ADC_MAX,
+      features[1] / ADC_MAX,
+      ...features.slice(2).map(v => v / INT16_RANGE)
+    ];
+  }
+
+  const flex = FLEX_CHANNELS.map((channel, i) => {
+    const { min, max } = profile.flex[channel];
+    return (features[i] - min) / (max - min);
+  });
+  // Accel relative to the rest pose, in units of g
+  const accel = ACCEL_CHANNELS.map((channel, i) =>
+    (features[2 + i] - profile.accel[channel].rest) / profile.gravity);
+  const gyro = GYRO_CHANNELS.map((channel, i) =>
+    (features[5 + i] - profile.gyroBias[channel]) / INT16_RANGE);
+
+  return [...flex, ...accel, ...gyro];
+};
+
+/**
+ * Flex bar fill (0-100)
+ */
+export const flexPercent = (value, channel, profile) => {
+  const { min, max } = profile ? profile.flex[channel] : DEFAULT_FLEX_RANGE;
+  return Math.max(0, Math.min(100, ((value - min) / (max - min)) * 100));
+};
+
+/**
+ * Signed IMU bar position (-1 to 1) around the calibrated rest/bias
+ */
+export const imuFraction = (value, channel, profile) => {
+  if (!profile) {
+    return value / INT16_RANGE;
+  }
+  if (profile.gyroBias[channel] !== undefined) {
+    return (value - profile.gyroBias[channel]) / INT16_RANGE;
+  }
+  const { rest, min, max } = profile.accel[channel];
+  const span = Math.max(rest - min, max - rest, 1);
+  return Math.max(-1, Math.min(1, (value - rest) / span));
+};
@@ -0,0 +1,58 @@
+export const CHANNELS = ['flex1', 'flex2', 'ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+const DEFAULT_RETENTION_MS = 60000;
+
+/**
+ * Rolling store of recent packets for the live charts
+ * Written from the packet handler and read by the chart's animation loop, so
+ * new data never goes through React state
+ */
+class TimeSeriesBuffer {
+  constructor({ retentionMs = DEFAULT_RETENTION_MS } = {}) {
+    this.retentionMs = retentionMs;
+    this.samples = []; // { t, values, gestureId, confidence }
+    this.markers = []; // { t, gestureId } where the recognized gesture changed
+    this.lastGestureId = null;
+  }
+
+  /**
+   * Add one packet; confidence is the ML confidence or null without ML
+   */
+  push(sensorData, gestureId, confidence = null, t = performance.now()) {
+    this.samples.push({ t, values: CHANNELS.map(c => sensorData[c]), gestureId, confidence });
+    if (gestureId !== this.lastGestureId) {
+      this.markers.push({ t, gestureId });
+      this.lastGestureId = gestureId;
+    }
+    this.trim(t);
+  }
+
+  trim(now) {
+    const cutoff = now - this.retentionMs;
+    // Drop in chunks; shifting one sample per packet would copy the array each time
+    if (this.samples.length > 0 && this.samples[0].t < cutoff - 1000) {
+      const first = this.samples.findIndex(s => s.t >= cutoff);
+      this.samples.splice(0, first === -1 ? this.samples.length : first);
+      this.markers = this.markers.filter(m => m.t >= cutoff);
+    }
+  }
+
+  /**
+   * Samples with from <= t <= to
+   */
+  range(from, to) {
+    return this.samples.filter(s => s.t >= from && s.t <= to);
+  }
+
+  markersIn(from, to) {
+    return this.markers.filter(m => m.t >= from && m.t <= to);
+  }
+
+  clear() {
+    this.samples = [];
+    this.markers = [];
+    this.lastGestureId = null;
+  }
+}
+
+export default TimeSeriesBuffer;
@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import { Zap, Plus, Trash2, Power } from 'lucide-react';
+import { TRIGGERS, ACTION_TYPES, createBinding } from '../actions/ActionEngine';
+import { useGestures } from '../gestures/useGestures';
+
+const KEY_PRESETS = [
+  'ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Enter', 'Escape', ' ',
+  'PageUp', 'PageDown', 'MediaPlayPause', 'MediaTrackNext', 'MediaTrackPrevious',
+  'AudioVolumeUp', 'AudioVolumeDown', 'AudioVolumeMute'
+];
+
+const inputClass = 'bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none';
+
+const ActionBindings = ({ engine }) => {
+  const gestures = useGestures();
+  const [bindings, setBindings] = useState(engine.bindings);
+  const [armed, setArmed] = useState(engine.armed);
+  const [log, setLog] = useState([]);
+
+  useEffect(() => {
+    engine.onFire = (entry) => setLog(prev => [entry, ...prev].slice(0, 5));
+    return () => {
+      engine.onFire = null;
+    };
+  }, [engine]);
+
+  const save = (next) => {
+    engine.setBindings(next);
+    setBindings(next);
+  };
+
+  const updateBinding = (id, changes) => {
+    save(bindings.map(b => (b.id === id ? { ...b, ...changes } : b)));
+  };
+
+  const updateAction = (id, changes) => {
+    save(bindings.map(b => (b.id === id ? { ...b, action: { ...b.action, ...changes } } : b)));
+  };
+
+  const toggleArmed = () => {
+    engine.setArmed(!armed);
+    setArmed(!armed);
+  };
+
+  const renderActionFields = (binding) => {
+    const { action } = binding;
+    switch (action.type) {
+      case 'keyboard':
+        return (
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              list="action-key-presets"
+              value={action.key}
+              onChange={(e) => updateAction(binding.id, { key: e.target.value })}
+              className={`${inputClass} w-40`}
+            />
+            {['ctrlKey', 'shiftKey', 'altKey', 'metaKey'].map(modifier => (
+              <label key={modifier} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={action[modifier]}
+                  onChange={(e) => updateAction(binding.id, { [modifier]: e.target.checked })}
+                />
+                {modifier.replace('Key', '')}
+              </label>
+            ))}
+          </div>
+        );
+      case 'event':
+        return (
+          <input
+            value={action.eventName}
+            onChange={(e) => updateAction(binding.id, { eventName: e.target.value })}
+            placeholder="CustomEvent name"
+            className={`${inputClass} w-full`}
+          />
+        );
+      case 'script':
+        return (
+          <textarea
+            value={action.script}
+            onChange={(e) => updateAction(binding.id, { script: e.target.value })}
+            placeholder="// gesture: { id, name }, detail: { gestureId, gesture, trigger, timestamp }"
+            rows={3}
+            className={`${inputClass} w-full font-mono`}
+          />
+        );
+      default:
+        return (
+          <input
+            value={action.url}
+            onChange={(e) => updateAction(binding.id, { url: e.target.value })}
+            placeholder={action.type === 'websocket' ? 'ws://localhost:8080' : 'http://localhost:8080/gesture'}
+            className={`${inputClass} w-full font-mono`}
+          />
+        );
+    }
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-semibold flex items-center gap-2">
+          <Zap className="w-5 h-5" />
+          Actions
+        </h3>
+        <button
+          onClick={toggleArmed}
+          className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-semibold transition-colors ${
+            armed ? 'bg-green-600 hover:bg-green-700' : 'bg-gray-600 hover:bg-gray-500'
+          }`}
+        >
+          <Power className="w-4 h-4" />
+          {armed ? 'Armed' : 'Disarmed'}
+        </button>
+      </div>
+
+      <datalist id="action-key-presets">
+        {KEY_PRESETS.map(key => <option key={key} value={key} />)}
+      </datalist>
+
+      <div className="space-y-3 text-sm mb-4">
+        {bindings.length === 0 && (
+          <p className="text-gray-500 text-center py-4">No bindings yet</p>
+        )}
+        {bindings.map(binding => (
+          <div key={binding.id} className="p-3 bg-slate-700/50 rounded-lg space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="checkbox"
+                checked={binding.enabled}
+                onChange={(e) => updateBinding(binding.id, { enabled: e.target.checked })}
+              />
+              <select
+                value={binding.gestureId}
+                onChange={(e) => updateBinding(binding.id, { gestureId: parseInt(e.target.value) })}
+                className={inputClass}
+              >
+                {gestures.map(g => (
+                  <option key={g.id} value={g.id}>{g.name}</option>
+                ))}
+              </select>
+              <select
+                value={binding.trigger}
+                onChange={(e) => updateBinding(binding.id, { trigger: e.target.value })}
+                className={inputClass}
+              >
+                {TRIGGERS.map(t => <option key={t} value={t}>on {t}</option>)}
+              </select>
+              {binding.trigger === 'hold' && (
+                <label className="flex items-center gap-1">
+                  <input
+                    type="number"
+                    min="0"
+                    step="100"
+                    value={binding.holdMs}
+                    onChange={(e) => updateBinding(binding.id, { holdMs: parseInt(e.target.value) || 0 })}
+                    className={`${inputClass} w-20`}
+                  />
+                  ms
+                </label>
+              )}
+              <select
+                value={binding.action.type}
+                onChange={(e) => updateAction(binding.id, { type: e.target.value })}
+                className={inputClass}
+              >
+                {ACTION_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+              <label className="flex items-center gap-1 text-gray-400">
+                cooldown
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  value={binding.cooldownMs}
+                  onChange={(e) => updateBinding(binding.id, { cooldownMs: parseInt(e.target.value) || 0 })}
+                  className={`${inputClass} w-20`}
+                />
+                ms
+              </label>
+              <button
+                onClick={() => save(bindings.filter(b => b.id !== binding.id))}
+                className="ml-auto text-red-400 hover:text-red-300"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            {renderActionFields(binding)}
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={() => save([...bindings, createBinding(gestures[0].id)])}
+        className="w-full flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg font-semibold transition-colors"
+      >
+        <Plus className="w-4 h-4" />
+        Add Binding
+      </button>
+
+      {log.length > 0 && (
+        <div className="mt-4 space-y-1 text-xs font-mono">
+          {log.map((entry, i) => (
+            <div key={i} className={entry.error ? 'text-red-400' : 'text-gray-400'}>
+              {new Date(entry.timestamp).toLocaleTimeString()} {entry.gesture} ({entry.trigger}) → {entry.type}
+              {entry.error && `: ${entry.error}`}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActionBindings;
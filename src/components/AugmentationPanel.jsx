@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { Shuffle, ChevronDown, ChevronRight, Eye } from 'lucide-react';
+import { FEATURE_NAMES } from '../ml/datasetIO';
+import { gestureRegistry } from '../gestures/GestureRegistry';
+
+const inputClass = 'w-full bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none';
+
+const CHART = { width: 120, height: 44, pad: 3 };
+const COPY_COLORS = ['#60a5fa', '#c084fc', '#34d399', '#fbbf24'];
+
+/**
+ * One channel of the preview: the original in white, augmented copies in
+ * color; a single frame (snapshot model) is drawn as dots
+ */
+const ChannelPreview = ({ label, series }) => {
+  const values = series.flat();
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  const length = series[0].length;
+  const x = (i) => (length === 1 ? CHART.width / 2 : CHART.pad + (i / (length - 1)) * (CHART.width - 2 * CHART.pad));
+  const y = (v) => CHART.height - CHART.pad - ((v - min) / span) * (CHART.height - 2 * CHART.pad);
+  const color = (s) => (s === 0 ? '#ffffff' : COPY_COLORS[(s - 1) % COPY_COLORS.length]);
+
+  return (
+    <div>
+      <div className="text-gray-400 font-mono">{label}</div>
+      <svg width={CHART.width} height={CHART.height} className="bg-slate-900/50 rounded">
+        {series.map((points, s) => (length === 1 ? (
+          <circle key={s} cx={x(0) + (s - series.length / 2) * 6} cy={y(points[0])} r={s === 0 ? 3 : 2} fill={color(s)} />
+        ) : (
+          <polyline
+            key={s}
+            points={points.map((v, i) => `${x(i)},${y(v)}`).join(' ')}
+            fill="none"
+            stroke={color(s)}
+            strokeWidth={s === 0 ? 1.5 : 1}
+            opacity={s === 0 ? 1 : 0.7}
+          />
+        )))}
+      </svg>
+    </div>
+  );
+};
+
+const AugmentationPanel = ({ classifier, modelType, disabled }) => {
+  const [settings, setSettings] = useState(classifier.augmentation);
+  const [expanded, setExpanded] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    const refresh = () => setSettings(classifier.augmentation);
+    refresh();
+    return classifier.subscribe(refresh);
+  }, [classifier]);
+
+  const apply = (changes) => {
+    classifier.setAugmentation(changes);
+    setPreview(null);
+  };
+
+  const numberField = (label, key, props, scale = 1) => (
+    <label className="block">
+      <span className="text-gray-400">{label}</span>
+      <input
+        type="number"
+        value={typeof settings[key] === 'number' ? +(settings[key] * scale).toFixed(3) : settings[key]}
+        onChange={(e) => setSettings({ ...settings, [key]: Number(e.target.value) / scale })}
+        onBlur={(e) => apply({ [key]: Number(e.target.value) / scale })}
+        disabled={disabled}
+        className={inputClass}
+        {...props}
+      />
+    </label>
+  );
+
+  // Channels of the first hand
+  const channelSeries = preview
+    ? FEATURE_NAMES.map((name, k) => ({
+      name,
+      series: [preview.original, ...preview.augmented].map(frames => frames.map(frame => frame[k]))
+    }))
+    : [];
+
+  return (
+    <div className="mb-4 p-3 bg-slate-700/50 rounded-lg text-sm">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center gap-2 font-semibold"
+        >
+          {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          <Shuffle className="w-4 h-4" />
+          Augmentation
+        </button>
+        <label className="ml-auto flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => apply({ enabled: e.target.checked })}
+            disabled={disabled}
+          />
+          Augment training data
+        </label>
+      </div>
+
+      {expanded && (
+        <div className="mt-3">
+          <div className="grid grid-cols-2 gap-2">
+            {numberField('Copies per sample', 'copies', { min: 0, max: 20 })}
+            {numberField('Flex jitter (ADC)', 'jitterFlex', { min: 0, max: 1000 })}
+            {numberField('Accel jitter (raw)', 'jitterAccel', { min: 0, max: 8000 })}
+            {numberField('Gyro jitter (raw)', 'jitterGyro', { min: 0, max: 8000 })}
+            {numberField('Flex gain (± %)', 'flexGain', { min: 0, max: 50 }, 100)}
+            {numberField('Flex offset (± ADC)', 'flexOffset', { min: 0, max: 1000 })}
+            {numberField('IMU rotation (± °)', 'rotationDeg', { min: 0, max: 45 })}
+            {modelType === 'windowed' && numberField('Time warp (± %)', 'timeWarp', { min: 0, max: 30 }, 100)}
+            <label className="col-span-2 flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={settings.oversample}
+                onChange={(e) => apply({ oversample: e.target.checked })}
+                disabled={disabled}
+              />
+              Oversample smaller classes up to the largest
+            </label>
+            <p className="col-span-2 text-xs text-gray-500">
+              Only the training split is augmented; validation and evaluation test data stay as recorded.
+            </p>
+          </div>
+
+          <div className="mt-3 pt-3 border-t border-slate-600">
+            <button
+              onClick={() => setPreview(classifier.previewAugmentation(COPY_COLORS.length))}
+              disabled={classifier.trainingData.length === 0}
+              className="flex items-center gap-2 bg-slate-600 hover:bg-slate-500 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-1 rounded-lg font-semibold transition-colors"
+            >
+              <Eye className="w-4 h-4" />
+              Preview
+            </button>
+            {preview === null && (
+              <p className="text-xs text-gray-500 mt-2">Shows a random training sample (white) and augmented copies.</p>
+            )}
+            {preview && (
+              <div className="mt-2">
+                <div className="text-xs text-gray-400 mb-1">
+                  {gestureRegistry.getName(preview.gestureId)} · {preview.original.length === 1 ? 'snapshot' : `${preview.original.length}-packet window`}
+                  {classifier.hands > 1 && ' · first glove'}
+                </div>
+                <div className="grid grid-cols-4 gap-2 text-xs">
+                  {channelSeries.map(({ name, series }) => (
+                    <ChannelPreview key={name} label={name} series={series} />
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AugmentationPanel;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Crosshair, Play, Check, Trash2, RotateCcw } from 'lucide-react';
+import { CALIBRATION_STEPS, STEP_DURATION_MS, computeProfile } from '../calibration/calibration';
+
+const COUNTDOWN_SECONDS = 3;
+
+const CalibrationWizard = ({ sensorData, isConnected, deviceName, store, activeProfile, onProfileChange }) => {
+  const [profiles, setProfiles] = useState(store.list());
+  const [user, setUser] = useState(activeProfile ? activeProfile.user : '');
+  const [stepIndex, setStepIndex] = useState(null);
+  const [phase, setPhase] = useState('idle'); // idle, countdown, capturing, review
+  const [countdown, setCountdown] = useState(0);
+  const [recordings, setRecordings] = useState({});
+  const [error, setError] = useState('');
+  const captureRef = useRef(null);
+  const timersRef = useRef([]);
+  // finishStep runs from a timer, so it reads the step index through a ref
+  const stepIndexRef = useRef(stepIndex);
+  stepIndexRef.current = stepIndex;
+
+  useEffect(() => () => timersRef.current.forEach(clearTimeout), []);
+
+  // Capture one frame per packet while a step is running
+  useEffect(() => {
+    if (phase === 'capturing' && captureRef.current) {
+      captureRef.current.push({ ...sensorData });
+    }
+  }, [sensorData]);
+
+  const step = stepIndex !== null ? CALIBRATION_STEPS[stepIndex] : null;
+
+  const begin = () => {
+    setError('');
+    setRecordings({});
+    setStepIndex(0);
+    setPhase('idle');
+  };
+
+  const runStep = () => {
+    setPhase('countdown');
+    setCountdown(COUNTDOWN_SECONDS);
+    for (let i = 1; i <= COUNTDOWN_SECONDS; i++) {
+      timersRef.current.push(setTimeout(() => setCountdown(COUNTDOWN_SECONDS - i), i * 1000));
+    }
+    timersRef.current.push(setTimeout(() => {
+      captureRef.current = [];
+      setPhase('capturing');
+      timersRef.current.push(setTimeout(finishStep, STEP_DURATION_MS));
+    }, COUNTDOWN_SECONDS * 1000));
+  };
+
+  const finishStep = () => {
+    const frames = captureRef.current;
+    captureRef.current = null;
+    const current = CALIBRATION_STEPS[stepIndexRef.current];
+
+    if (!frames || frames.length < 3) {
+      setError('Not enough packets received. Is the glove connected?');
+      setPhase('idle');
+      return;
+    }
+
+    setError('');
+    setRecordings(prev => ({ ...prev, [current.id]: frames }));
+    setPhase('review');
+  };
+
+  const nextStep = () => {
+    if (stepIndex < CALIBRATION_STEPS.length - 1) {
+      setStepIndex(stepIndex + 1);
+      setPhase('idle');
+      return;
+    }
+
+    try {
+      const profile = computeProfile(recordings, { user: user.trim(), device: deviceName });
+      store.save(profile);
+      setProfiles(store.list());
+      onProfileChange(profile);
+      setStepIndex(null);
+      setPhase('idle');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const cancel = () => {
+    timersRef.current.forEach(clearTimeout);
+    timersRef.current = [];
+    captureRef.current = null;
+    setStepIndex(null);
+    setPhase('idle');
+  };
+
+  const selectProfile = (id) => {
+    store.setActive(id || null);
+    onProfileChange(store.getActive());
+  };
+
+  const deleteProfile = (id) => {
+    store.remove(id);
+    setProfiles(store.list());
+    onProfileChange(store.getActive());
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
+      <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+        <Crosshair className="w-5 h-5" />
+        Calibration
+      </h3>
+
+      {/* Profiles */}
+      <div className="mb-4 text-sm">
+        <label className="block font-medium mb-2">Active profile:</label>
+        <div className="flex gap-2">
+          <select
+            value={activeProfile ? activeProfile.id : ''}
+            onChange={(e) => selectProfile(e.target.value)}
+            disabled={step !== null}
+            className="flex-1 bg-slate-700 text-white rounded-lg px-3 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
+          >
+            <option value="">None (fixed ranges)</option>
+            {profiles.map(p => (
+              <option key={p.id} value={p.id}>
+                {p.user} · {p.device}
+              </option>
+            ))}
+          </select>
+          {activeProfile && (
+            <button
+              onClick={() => deleteProfile(activeProfile.id)}
+              disabled={step !== null}
+              className="p-2 rounded-lg bg-red-600 hover:bg-red-700 disabled:bg-gray-600 transition-colors"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {step === null ? (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={user}
+            onChange={(e) => setUser(e.target.value)}
+            placeholder="Your name"
+            className="flex-1 min-w-0 bg-slate-700 text-white text-sm rounded-lg px-3 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
+          />
+          <button
+            onClick={begin}
+            disabled={!isConnected || !user.trim()}
+            className="flex items-center gap-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-4 py-2 rounded-lg text-sm font-semibold transition-colors"
+          >
+            <Play className="w-4 h-4" />
+            Calibrate
+          </button>
+        </div>
+      ) : (
+        <div className="p-3 bg-blue-900/30 rounded-lg border border-blue-500/50 text-sm">
+          <div className="flex justify-between text-gray-400 mb-1">
+            <span>Step {stepIndex + 1} of {CALIBRATION_STEPS.length}</span>
+            <span>{user} · {deviceName}</span>
+          </div>
+          <div className="text-lg font-semibold">{step.title}</div>
+          <p className="mb-3 text-gray-300">{step.instruction}</p>
+
+          {phase === 'countdown' && (
+            <div className="text-4xl font-bold text-center mb-3">{countdown}</div>
+          )}
+          {phase === 'capturing' && (
+            <div className="text-center mb-3 text-red-400 animate-pulse">Hold it...</div>
+          )}
+          {phase === 'review' && (
+            <div className="text-center mb-3 text-green-400">
+              Captured {recordings[step.id].length} packets
+            </div>
+          )}
+
+          <div className="flex gap-2">
+            {(phase === 'idle' || phase === 'review') && (
+              <button
+                onClick={runStep}
+                className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 px-3 py-2 rounded-lg font-semibold transition-colors"
+              >
+                {phase === 'review' ? <RotateCcw className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                {phase === 'review' ? 'Redo' : 'Start'}
+              </button>
+            )}
+            {phase === 'review' && (
+              <button
+                onClick={nextStep}
+                className="flex items-center gap-2 bg-green-600 hover:bg-green-700 px-3 py-2 rounded-lg font-semibold transition-colors"
+              >
+                <Check className="w-4 h-4" />
+                {stepIndex < CALIBRATION_STEPS.length - 1 ? 'Next' : 'Save Profile'}
+              </button>
+            )}
+            <button
+              onClick={cancel}
+              className="ml-auto px-3 py-2 rounded-lg bg-slate-600 hover:bg-slate-500 font-semibold transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && <div className="mt-3 text-sm text-red-400">{error}</div>}
+    </div>
+  );
+};
+
+export default CalibrationWizard;
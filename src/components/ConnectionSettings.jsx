@@ -0,0 +1,60 @@
+import React from 'react';
+
+/**
+ * Reconnection and link health options
+ * Reconnection and connect-on-load only apply to Bluetooth; the stale
+ * threshold applies to every source
+ */
+const ConnectionSettings = ({ settings, onChange, rememberedDevice }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-x-6 gap-y-2 mb-4 text-sm text-gray-300">
+      <label className="flex items-center gap-2" title="Reconnect to the same glove with exponential backoff when the Bluetooth link drops">
+        <input
+          type="checkbox"
+          checked={settings.autoReconnect}
+          onChange={(e) => update('autoReconnect', e.target.checked)}
+        />
+        Auto-reconnect
+      </label>
+      <label className="flex items-center gap-2">
+        Attempts
+        <input
+          type="number"
+          min="1"
+          max="20"
+          value={settings.maxAttempts}
+          disabled={!settings.autoReconnect}
+          onChange={(e) => update('maxAttempts', Math.max(1, Number(e.target.value) || 1))}
+          className="w-16 bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none disabled:opacity-50"
+        />
+      </label>
+      <label
+        className={`flex items-center gap-2 ${rememberedDevice ? '' : 'text-gray-500'}`}
+        title="Connect to the remembered Bluetooth glove when the page opens"
+      >
+        <input
+          type="checkbox"
+          checked={settings.connectOnLoad}
+          onChange={(e) => update('connectOnLoad', e.target.checked)}
+        />
+        Connect on page load{rememberedDevice ? ` (${rememberedDevice.name || 'remembered glove'})` : ''}
+      </label>
+      <label className="flex items-center gap-2" title="Flag a glove as stale after this long without a valid packet">
+        Stale after
+        <input
+          type="number"
+          min="100"
+          step="100"
+          value={settings.staleMs}
+          onChange={(e) => update('staleMs', Math.max(100, Number(e.target.value) || 100))}
+          className="w-20 bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+        />
+        ms
+      </label>
+    </div>
+  );
+};
+
+export default ConnectionSettings;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { useGestures } from '../gestures/useGestures';
+
+/**
+ * "That was actually X" picker for a live prediction
+ */
+const CorrectionSelect = ({ currentId, onCorrect, className = '' }) => {
+  const gestures = useGestures();
+
+  return (
+    <select
+      value=""
+      onChange={(e) => onCorrect(parseInt(e.target.value))}
+      title="Save the packets behind this prediction as a sample of the right gesture"
+      className={`text-white text-xs rounded px-1 py-1 border ${className}`}
+    >
+      <option value="" disabled>Actually…</option>
+      {gestures.filter(g => g.id !== currentId).map(g => (
+        <option key={g.id} value={g.id} className="bg-slate-700">{g.name}</option>
+      ))}
+    </select>
+  );
+};
+
+export default CorrectionSelect;
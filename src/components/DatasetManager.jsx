@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { FolderOpen, Plus, Pencil, Trash2, ChevronDown, ChevronRight, X } from 'lucide-react';
+
+const DatasetManager = ({ classifier, gestures, disabled }) => {
+  const [datasets, setDatasets] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [takes, setTakes] = useState([]);
+  const [expandedTake, setExpandedTake] = useState(null);
+
+  useEffect(() => {
+    if (!classifier) return undefined;
+    refresh();
+    return classifier.subscribe(refresh);
+  }, [classifier]);
+
+  const refresh = async () => {
+    setTakes(classifier.getTakes());
+    setActiveId(classifier.dataset ? classifier.dataset.id : null);
+    try {
+      setDatasets(await classifier.listDatasets());
+    } catch (err) {
+      console.error('Error listing datasets:', err);
+    }
+  };
+
+  const createDataset = async () => {
+    const name = prompt('Dataset name:');
+    if (name && name.trim()) {
+      await classifier.createDataset(name.trim());
+    }
+  };
+
+  const renameDataset = async () => {
+    const current = datasets.find(d => d.id === activeId);
+    const name = prompt('Rename dataset:', current ? current.name : '');
+    if (name && name.trim()) {
+      await classifier.renameDataset(activeId, name.trim());
+    }
+  };
+
+  const deleteDataset = async () => {
+    const current = datasets.find(d => d.id === activeId);
+    if (current && confirm(`Delete dataset "${current.name}" and all its samples?`)) {
+      await classifier.deleteDataset(activeId);
+    }
+  };
+
+  const gestureName = (id) => {
+    const gesture = gestures.find(g => g.id === id);
+    return gesture ? gesture.name : `#${id}`;
+  };
+
+  const takeSamples = (takeId) => classifier.getDataset().filter(s => s.takeId === takeId);
+
+  return (
+    <div className="mb-4 p-3 bg-slate-700/50 rounded-lg">
+      <div className="flex items-center gap-2 mb-2">
+        <FolderOpen className="w-4 h-4" />
+        <span className="font-semibold">Stored Datasets</span>
+      </div>
+
+      <div className="flex gap-2 mb-3">
+        <select
+          value={activeId || ''}
+          onChange={(e) => classifier.switchDataset(e.target.value)}
+          disabled={disabled}
+          className="flex-1 min-w-0 bg-slate-700 text-white text-sm rounded-lg px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+        >
+          {datasets.map(dataset => (
+            <option key={dataset.id} value={dataset.id}>{dataset.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={createDataset}
+          disabled={disabled}
+          className="p-2 rounded-lg bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+        >
+          <Plus className="w-3 h-3" />
+        </button>
+        <button
+          onClick={renameDataset}
+          disabled={disabled || !activeId}
+          className="p-2 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+        >
+          <Pencil className="w-3 h-3" />
+        </button>
+        <button
+          onClick={deleteDataset}
+          disabled={disabled || !activeId}
+          className="p-2 rounded-lg bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+        >
+          <Trash2 className="w-3 h-3" />
+        </button>
+      </div>
+
+      {/* Recording Takes */}
+      <div className="space-y-1 max-h-48 overflow-y-auto text-xs">
+        {takes.length === 0 ? (
+          <p className="text-gray-500 text-center py-2">No stored samples</p>
+        ) : (
+          takes.map(take => (
+            <div key={take.takeId} className="bg-slate-800/60 rounded">
+              <div className="flex items-center gap-2 p-2">
+                <button
+                  onClick={() => setExpandedTake(expandedTake === take.takeId ? null : take.takeId)}
+                  className="text-gray-400 hover:text-white"
+                >
+                  {expandedTake === take.takeId ? <ChevronDown className="w-3 h-3" /> : <ChevronRight className="w-3 h-3" />}
+                </button>
+                <span className="font-semibold flex-1 truncate">{gestureName(take.gestureId)}</span>
+                <span className="font-mono">{take.count}</span>
+                <span className="text-gray-400">{new Date(take.createdAt).toLocaleString()}</span>
+                <button
+                  onClick={() => classifier.deleteTake(take.takeId)}
+                  disabled={disabled}
+                  className="text-red-400 hover:text-red-300 disabled:text-gray-600"
+                >
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+              {expandedTake === take.takeId && (
+                <div className="px-2 pb-2 space-y-1">
+                  {takeSamples(take.takeId).map(sample => (
+                    <div key={sample.id} className="flex items-center gap-2 font-mono text-gray-300">
+                      <span className="flex-1 truncate">{sample.raw.join(', ')}</span>
+                      <button
+                        onClick={() => classifier.deleteSamples([sample.id])}
+                        disabled={disabled}
+                        className="text-red-400 hover:text-red-300 disabled:text-gray-600"
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DatasetManager;
@@ -0,0 +1,86 @@
+import React, { useState } from 'react';
+import { Plus, Users, X } from 'lucide-react';
+
+/**
+ * Connected gloves with their roles
+ * The primary glove is the one connected with the main button; more can be
+ * added from the selected source
+ */
+const DeviceList = ({ manager, devices, primaryLabel, canAdd, onAdd, twoHanded, onTwoHandedChange }) => {
+  const [adding, setAdding] = useState(false);
+  const [, setRolesVersion] = useState(0);
+
+  const add = async () => {
+    setAdding(true);
+    try {
+      await onAdd();
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const changeRole = (slot, role) => {
+    manager.setRole(slot, role);
+    setRolesVersion(v => v + 1);
+  };
+
+  const slots = [
+    { slot: 0, label: primaryLabel, primary: true },
+    ...devices.map((device, i) => ({ slot: i + 1, label: device.label, id: device.id }))
+  ];
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-4 border border-slate-700 mb-8 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className="flex items-center gap-2 font-semibold">
+          <Users className="w-4 h-4" />
+          Gloves
+        </span>
+        {slots.map(({ slot, label, primary, id }) => (
+          <div key={id || 'primary'} className="flex items-center gap-2 px-2 py-1 rounded-lg bg-slate-700/50">
+            <input
+              type="text"
+              value={manager.roleOf(slot)}
+              onChange={(e) => changeRole(slot, e.target.value)}
+              className="w-20 bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+            />
+            <span className="text-gray-400">{label}</span>
+            {primary ? (
+              <span className="text-xs text-gray-500">primary</span>
+            ) : (
+              <button
+                onClick={() => manager.remove(id)}
+                title="Disconnect this glove"
+                className="p-1 text-gray-400 hover:text-white"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        ))}
+        <button
+          onClick={add}
+          disabled={!canAdd || adding}
+          className="flex items-center gap-1 px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-xs font-semibold transition-colors"
+        >
+          <Plus className="w-3 h-3" />
+          {adding ? 'Connecting…' : 'Add Glove'}
+        </button>
+        <label
+          className={`ml-auto flex items-center gap-2 ${devices.length === 0 ? 'text-gray-500' : ''}`}
+          title="Classify the packets of the first two gloves together, with their own datasets and models"
+        >
+          <input
+            type="checkbox"
+            checked={twoHanded}
+            disabled={devices.length === 0}
+            onChange={(e) => onTwoHandedChange(e.target.checked)}
+          />
+          Two-handed gestures
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceList;
@@ -0,0 +1,173 @@
+import React from 'react';
+import { Activity, Hand, Waves } from 'lucide-react';
+import { flexPercent, imuFraction } from '../calibration/calibration';
+import { gestureRegistry } from '../gestures/GestureRegistry';
+import { GestureIcon } from '../gestures/icons';
+import CorrectionSelect from './CorrectionSelect';
+
+const EMPTY_SENSOR_DATA = { flex1: 0, flex2: 0, ax: 0, ay: 0, az: 0, gx: 0, gy: 0, gz: 0 };
+
+/**
+ * Sensor bars and recent gestures of one glove
+ * With a title (several gloves connected) a header shows the glove's role
+ * and its current ESP32 gesture. With onCorrect, entries that carry the
+ * packets behind an ML prediction can be relabeled.
+ */
+const DevicePanel = ({ sensorData, history, calibration, title, gesture, onCorrect }) => {
+  const data = sensorData || EMPTY_SENSOR_DATA;
+  const gestureInfo = (id) => gestureRegistry.get(id) || { icon: null, color: 'from-gray-400 to-gray-600' };
+
+  return (
+    <div className="mb-8">
+      {title && (
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <h3 className="text-2xl font-semibold">{title}</h3>
+          {gesture && (
+            <span className={`px-3 py-1 rounded-full bg-gradient-to-r ${gestureInfo(gesture.id).color} text-sm font-semibold`}>
+              {gesture.name}
+            </span>
+          )}
+        </div>
+      )}
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* Flex Sensors */}
+        <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
+          <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+            <Hand className="w-5 h-5" />
+            Flex Sensors
+          </h3>
+          
+          <div className="space-y-4">
+            <div>
+              <div className="flex justify-between text-sm mb-2">
+                <span>Flex 1</span>
+                <span className="font-mono">{data.flex1}</span>
+              </div>
+              <div className="h-3 bg-slate-700 rounded-full overflow-hidden">
+                <div 
+                  className="h-full bg-gradient-to-r from-blue-500 to-cyan-500 transition-all duration-300"
+                  style={{ width: `${flexPercent(data.flex1, 'flex1', calibration)}%` }}
+                />
+              </div>
+            </div>
+
+            <div>
+              <div className="flex justify-between text-sm mb-2">
+                <span>Flex 2</span>
+                <span className="font-mono">{data.flex2}</span>
+              </div>
+              <div className="h-3 bg-slate-700 rounded-full overflow-hidden">
+                <div 
+                  className="h-full bg-gradient-to-r from-purple-500 to-pink-500 transition-all duration-300"
+                  style={{ width: `${flexPercent(data.flex2, 'flex2', calibration)}%` }}
+                />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        {/* Accelerometer */}
+        <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
+          <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+            <Activity className="w-5 h-5" />
+            Accelerometer
+          </h3>
+          
+          <div className="space-y-3">
+            {['X', 'Y', 'Z'].map((axis, i) => {
+              const value = [data.ax, data.ay, data.az][i];
+              const fraction = imuFraction(value, ['ax', 'ay', 'az'][i], calibration);
+              const colors = ['from-red-500 to-orange-500', 'from-green-500 to-emerald-500', 'from-blue-500 to-cyan-500'];
+              return (
+                <div key={axis} className="flex items-center gap-3">
+                  <span className="w-6 font-semibold">{axis}:</span>
+                  <div className="flex-1 h-2 bg-slate-700 rounded-full relative overflow-hidden">
+                    <div 
+                      className={`absolute h-full bg-gradient-to-r ${colors[i]} transition-all duration-300`}
+                      style={{ 
+                        left: fraction < 0 ? `${50 + fraction * 50}%` : '50%',
+                        right: fraction > 0 ? `${50 - fraction * 50}%` : '50%'
+                      }}
+                    />
+                  </div>
+                  <span className="w-16 text-right font-mono text-sm">{value}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Gyroscope */}
+        <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
+          <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+            <Waves className="w-5 h-5" />
+            Gyroscope
+          </h3>
+          
+          <div className="space-y-3">
+            {['X', 'Y', 'Z'].map((axis, i) => {
+              const value = [data.gx, data.gy, data.gz][i];
+              const fraction = imuFraction(value, ['gx', 'gy', 'gz'][i], calibration);
+              const colors = ['from-yellow-500 to-amber-500', 'from-purple-500 to-pink-500', 'from-indigo-500 to-blue-500'];
+              return (
+                <div key={axis} className="flex items-center gap-3">
+                  <span className="w-6 font-semibold">{axis}:</span>
+                  <div className="flex-1 h-2 bg-slate-700 rounded-full relative overflow-hidden">
+                    <div 
+                      className={`absolute h-full bg-gradient-to-r ${colors[i]} transition-all duration-300`}
+                      style={{ 
+                        left: fraction < 0 ? `${50 + fraction * 50}%` : '50%',
+                        right: fraction > 0 ? `${50 - fraction * 50}%` : '50%'
+                      }}
+                    />
+                  </div>
+                  <span className="w-16 text-right font-mono text-sm">{value}</span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* History */}
+        <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
+          <h3 className="text-xl font-semibold mb-4">Recent Gestures</h3>
+          <div className="space-y-2 max-h-48 overflow-y-auto">
+            {history.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">No gestures yet</p>
+            ) : (
+              history.map((item, i) => (
+                <div 
+                  key={i}
+                  className="flex items-center justify-between bg-slate-700/50 rounded-lg p-3 hover:bg-slate-700 transition-colors"
+                >
+                  <div className="flex items-center gap-3">
+                    <div className="text-gray-400">
+                      <GestureIcon name={gestureInfo(item.id).icon} />
+                    </div>
+                    <span className="font-semibold">{item.name}</span>
+                  </div>
+                  <div className="flex items-center gap-3">
+                    {item.correctedId !== undefined ? (
+                      <span className="text-sm text-green-400">→ {gestureRegistry.getName(item.correctedId)}</span>
+                    ) : onCorrect && item.frames && (
+                      <CorrectionSelect
+                        currentId={item.id}
+                        onCorrect={(gestureId) => onCorrect(item, gestureId)}
+                        className="bg-slate-700 border-slate-600"
+                      />
+                    )}
+                    <span className="text-sm text-gray-400">
+                      {new Date(item.timestamp).toLocaleTimeString()}
+                    </span>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DevicePanel;
@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { ClipboardCheck, Play, Download } from 'lucide-react';
+import { downloadFile } from '../utils/download';
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+const EvaluationReport = ({ classifier, gestures, disabled, onRunningChange }) => {
+  const [method, setMethod] = useState('holdout');
+  const [folds, setFolds] = useState(5);
+  const [progress, setProgress] = useState(null);
+  const [report, setReport] = useState(classifier ? classifier.lastEvaluation : null);
+  const [error, setError] = useState('');
+
+  const gestureName = (id) => {
+    const gesture = gestures.find(g => g.id === id);
+    return gesture ? gesture.name : `#${id}`;
+  };
+
+  const run = async () => {
+    if (!classifier) return;
+
+    setError('');
+    setProgress({
+      fold: 1,
+      folds: method === 'kfold' ? folds : 1,
+      epoch: 0,
+      epochs: classifier.trainingConfig.epochs
+    });
+    onRunningChange(true);
+    try {
+      setReport(await classifier.evaluate({ method, folds, onProgress: setProgress }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setProgress(null);
+      onRunningChange(false);
+    }
+  };
+
+  const exportReport = () => {
+    const named = {
+      ...report,
+      gestures: report.classIds.map(id => ({ id, name: gestureName(id) }))
+    };
+    downloadFile(JSON.stringify(named, null, 2), `gesture-evaluation-${Date.now()}.json`);
+  };
+
+  const running = progress !== null;
+
+  return (
+    <div className="mb-4 p-3 bg-slate-700/50 rounded-lg text-sm">
+      <div className="flex items-center gap-2 mb-2">
+        <ClipboardCheck className="w-4 h-4" />
+        <span className="font-semibold">Evaluation</span>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-2">
+        <select
+          value={method}
+          onChange={(e) => setMethod(e.target.value)}
+          disabled={disabled || running}
+          className="bg-slate-700 text-white rounded-lg px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+        >
+          <option value="holdout">Hold-out (80/20)</option>
+          <option value="kfold">K-fold</option>
+        </select>
+        {method === 'kfold' && (
+          <input
+            type="number"
+            min="2"
+            max="10"
+            value={folds}
+            onChange={(e) => setFolds(Math.max(2, Math.min(10, parseInt(e.target.value) || 2)))}
+            disabled={disabled || running}
+            className="w-16 bg-slate-700 text-white rounded-lg px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+          />
+        )}
+        <button
+          onClick={run}
+          disabled={disabled || running}
+          className="flex items-center gap-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-1 rounded-lg font-semibold transition-colors"
+        >
+          <Play className="w-4 h-4" />
+          Evaluate
+        </button>
+        {report && (
+          <button
+            onClick={exportReport}
+            disabled={running}
+            className="ml-auto flex items-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-3 py-1 rounded-lg font-semibold transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            Export
+          </button>
+        )}
+      </div>
+
+      {running && (
+        <div className="text-gray-400 mb-2">
+          Fold {progress.fold}/{progress.folds} · epoch {progress.epoch}/{progress.epochs}
+        </div>
+      )}
+      {error && <div className="text-red-400 mb-2">{error}</div>}
+
+      {report && !running && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-4">
+            <span>Accuracy: <span className="font-mono">{percent(report.accuracy)}</span></span>
+            <span>Macro F1: <span className="font-mono">{percent(report.macroF1)}</span></span>
+            <span className="text-gray-400">
+              {report.evaluated} test {report.modelType === 'windowed' ? 'windows' : 'samples'}
+              {report.method === 'kfold' && `, ${report.folds} folds`}
+            </span>
+          </div>
+
+          {/* Confusion matrix: rows are true gestures, columns are predictions */}
+          <div className="overflow-x-auto">
+            <table className="text-xs font-mono border-collapse">
+              <thead>
+                <tr>
+                  <th className="p-1 text-left text-gray-400">true \ pred</th>
+                  {report.classIds.map(id => (
+                    <th key={id} className="p-1 text-gray-400" title={gestureName(id)}>
+                      {gestureName(id).slice(0, 4)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {report.matrix.map((row, i) => {
+                  const rowTotal = row.reduce((sum, v) => sum + v, 0);
+                  return (
+                    <tr key={report.classIds[i]}>
+                      <td className="p-1 text-gray-400">{gestureName(report.classIds[i])}</td>
+                      {row.map((count, j) => {
+                        const share = rowTotal ? count / rowTotal : 0;
+                        const color = i === j ? '34, 197, 94' : '239, 68, 68';
+                        return (
+                          <td
+                            key={j}
+                            className="p-1 text-center"
+                            style={{ backgroundColor: count ? `rgba(${color}, ${0.15 + share * 0.6})` : undefined }}
+                          >
+                            {count || ''}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-400">
+                <th className="text-left">Gesture</th>
+                <th className="text-right">Precision</th>
+                <th className="text-right">Recall</th>
+                <th className="text-right">F1</th>
+                <th className="text-right">n</th>
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {report.perClass.map(c => (
+                <tr key={c.gestureId} className={c.support > 0 && c.f1 < 0.8 ? 'text-yellow-400' : ''}>
+                  <td className="font-sans">{gestureName(c.gestureId)}</td>
+                  <td className="text-right">{percent(c.precision)}</td>
+                  <td className="text-right">{percent(c.recall)}</td>
+                  <td className="text-right">{percent(c.f1)}</td>
+                  <td className="text-right">{c.support}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {report.misclassified.length > 0 && (
+            <div>
+              <div className="text-gray-400 mb-1">Misclassified ({report.misclassified.length}):</div>
+              <div className="max-h-40 overflow-y-auto space-y-1 text-xs font-mono">
+                {report.misclassified.map((m, i) => (
+                  <div key={i} title={`sample ${m.sampleId}, take ${m.takeId}`}>
+                    <span className="font-sans">{gestureName(m.actualId)} → {gestureName(m.predictedId)}</span>
+                    <span className="text-gray-400"> {percent(m.confidence)} [{m.raw.join(', ')}]</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EvaluationReport;
@@ -0,0 +1,103 @@
+import React, { useState, useEffect } from 'react';
+import { GraduationCap } from 'lucide-react';
+
+const inputClass = 'w-16 bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none';
+
+const FineTunePanel = ({ classifier }) => {
+  const [settings, setSettings] = useState(classifier ? classifier.fineTuning : null);
+  const [pending, setPending] = useState(0);
+  const [status, setStatus] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!classifier) return undefined;
+    const refresh = () => {
+      setSettings(classifier.fineTuning);
+      setPending(classifier.pendingCorrections());
+      setStatus(classifier.fineTuneStatus);
+    };
+    refresh();
+    return classifier.subscribe(refresh);
+  }, [classifier]);
+
+  if (!classifier || !settings) return null;
+
+  const apply = (changes) => classifier.setFineTuning(changes);
+
+  const numberField = (label, key, props) => (
+    <label className="flex items-center gap-2">
+      <span className="text-gray-400">{label}</span>
+      <input
+        type="number"
+        value={settings[key]}
+        onChange={(e) => setSettings({ ...settings, [key]: e.target.value })}
+        onBlur={(e) => apply({ [key]: Number(e.target.value) })}
+        className={inputClass}
+        {...props}
+      />
+    </label>
+  );
+
+  const fineTune = async () => {
+    setMessage('');
+    try {
+      const history = await classifier.fineTune();
+      setMessage(history
+        ? `Saved ${classifier.activeModel.name} v${classifier.activeModel.version}`
+        : 'The model was replaced while fine-tuning; the result was discarded');
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-4 border border-slate-700 mb-8 text-sm">
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <span className="flex items-center gap-2 font-semibold">
+          <GraduationCap className="w-4 h-4" />
+          Corrections
+        </span>
+        <span className="text-gray-400">
+          {pending} correction{pending === 1 ? '' : 's'} not yet learned by the active model
+        </span>
+        <button
+          onClick={fineTune}
+          disabled={pending === 0 || status !== null || !classifier.activeModel}
+          className="ml-auto bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-1 rounded-lg font-semibold transition-colors"
+        >
+          {status ? `Fine-tuning… epoch ${status.epoch}/${status.epochs}` : 'Fine-tune now'}
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.auto}
+            onChange={(e) => apply({ auto: e.target.checked })}
+          />
+          Fine-tune in the background after
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={settings.autoAfter}
+            onChange={(e) => setSettings({ ...settings, autoAfter: e.target.value })}
+            onBlur={(e) => apply({ autoAfter: Number(e.target.value) })}
+            className={inputClass}
+          />
+          corrections
+        </label>
+        {numberField('Epochs', 'epochs', { min: 1, max: 50 })}
+        {numberField('Replay per correction', 'replayRatio', { min: 0, max: 20, step: 0.5 })}
+      </div>
+
+      {message && <p className="text-xs text-gray-400 mt-2">{message}</p>}
+      {!classifier.activeModel && (
+        <p className="text-xs text-gray-500 mt-2">Train a model in the trainer first; corrections are saved to the dataset either way.</p>
+      )}
+    </div>
+  );
+};
+
+export default FineTunePanel;
@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { GitMerge, Check, X, Trash2 } from 'lucide-react';
+import { createId } from '../utils/id';
+import { useGestures } from '../gestures/useGestures';
+
+const FusionPanel = ({ fusion, classifier }) => {
+  const gestures = useGestures();
+  const [settings, setSettings] = useState(fusion.settings);
+  const [disagreements, setDisagreements] = useState(fusion.disagreements);
+  const [labeled, setLabeled] = useState(0);
+  const [error, setError] = useState('');
+
+  useEffect(() => fusion.subscribe(setDisagreements), [fusion]);
+
+  const gestureName = (id) => {
+    const gesture = gestures.find(g => g.id === id);
+    return gesture ? gesture.name : `#${id}`;
+  };
+
+  const save = (changes) => {
+    fusion.setSettings(changes);
+    setSettings(fusion.settings);
+  };
+
+  // The packets the model saw for a disagreement become one take in the
+  // active dataset, so a windowed model gets a whole window to learn from.
+  // Packets from the other hand mode do not fit the classifier and stay in
+  // the list
+  const label = (entry, gestureId) => {
+    if (!classifier) return;
+    setError('');
+    try {
+      classifier.addSamples(entry.packets || [entry.sensorData], gestureId, createId('take'));
+    } catch (err) {
+      setError(`Could not label these packets: ${err.message}`);
+      return;
+    }
+    fusion.removeDisagreement(entry.id);
+    setLabeled(prev => prev + 1);
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-4 border border-slate-700 mb-8 text-sm">
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <span className="flex items-center gap-2 font-semibold">
+          <GitMerge className="w-4 h-4" />
+          Fusion
+        </span>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-400">ESP32 weight</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={settings.espWeight}
+            onChange={(e) => save({ espWeight: Number(e.target.value) })}
+          />
+          <span className="font-mono w-10">{(settings.espWeight * 100).toFixed(0)}%</span>
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-400">Log disagreements above</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={settings.minConfidence}
+            onChange={(e) => save({ minConfidence: Number(e.target.value) })}
+          />
+          <span className="font-mono w-10">{(settings.minConfidence * 100).toFixed(0)}%</span>
+        </label>
+      </div>
+
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-gray-400">
+          Disagreements ({disagreements.length})
+          {labeled > 0 && <span className="text-green-400"> · {labeled} labeled this session</span>}
+        </span>
+        {disagreements.length > 0 && (
+          <button
+            onClick={() => fusion.clearDisagreements()}
+            className="flex items-center gap-1 text-red-400 hover:text-red-300"
+          >
+            <Trash2 className="w-3 h-3" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+
+      {disagreements.length === 0 ? (
+        <p className="text-gray-500 text-center py-2">No disagreements logged</p>
+      ) : (
+        <div className="max-h-64 overflow-y-auto space-y-1">
+          {disagreements.map(entry => (
+            <div key={entry.id} className="flex flex-wrap items-center gap-2 p-2 bg-slate-700/50 rounded">
+              <span className="text-gray-400 text-xs">{new Date(entry.timestamp).toLocaleTimeString()}</span>
+              <span>
+                ESP32 <span className="font-semibold">{gestureName(entry.espId)}</span>
+                {' vs ML '}
+                <span className="font-semibold">{gestureName(entry.mlId)}</span>
+                <span className="text-gray-400"> ({(entry.mlConfidence * 100).toFixed(0)}%)</span>
+              </span>
+              <div className="ml-auto flex items-center gap-1">
+                <button
+                  onClick={() => label(entry, entry.espId)}
+                  disabled={!classifier}
+                  title="Save the packets behind this prediction as samples of the ESP32 gesture"
+                  className="flex items-center gap-1 px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-xs"
+                >
+                  <Check className="w-3 h-3" />
+                  ESP32
+                </button>
+                <button
+                  onClick={() => label(entry, entry.mlId)}
+                  disabled={!classifier}
+                  title="Save the packets behind this prediction as samples of the ML gesture"
+                  className="flex items-center gap-1 px-2 py-1 rounded bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 text-xs"
+                >
+                  <Check className="w-3 h-3" />
+                  ML
+                </button>
+                <select
+                  value=""
+                  onChange={(e) => label(entry, parseInt(e.target.value))}
+                  disabled={!classifier}
+                  className="bg-slate-700 text-white text-xs rounded px-1 py-1 border border-slate-600"
+                >
+                  <option value="" disabled>Other…</option>
+                  {gestures.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+                </select>
+                <button
+                  onClick={() => fusion.removeDisagreement(entry.id)}
+                  title="Dismiss"
+                  className="p-1 text-gray-400 hover:text-white"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FusionPanel;
@@ -1,59 +1,101 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Brain, Play, Square, Download, Upload, Trash2, BarChart3 } from 'lucide-react';
+import { Brain, Play, Square, Download, Upload, Trash2, BarChart3, Database } from 'lucide-react';
+import { datasetToJSON, datasetToCSV, parseDataset } from '../ml/datasetIO';
+import { createId } from '../utils/id';
+import { downloadFile } from '../utils/download';
+import DatasetManager from './DatasetManager';
+import EvaluationReport from './EvaluationReport';
+import TrainingConfigPanel from './TrainingConfigPanel';
+import AugmentationPanel from './AugmentationPanel';
+import ModelLibraryPanel from './ModelLibraryPanel';
+import GestureVocabulary from './GestureVocabulary';
+import GuidedCollection from './GuidedCollection';
+import { gestureRegistry } from '../gestures/GestureRegistry';
+import { useGestures } from '../gestures/useGestures';
 
-const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
+const GestureTrainer = ({ sensorData, subscribePackets, onTrainingComplete, classifier, deviceName, onCalibrationImport }) => {
   const [isRecording, setIsRecording] = useState(false);
   const [currentGesture, setCurrentGesture] = useState(0);
   const [samples, setSamples] = useState({});
   const [isTraining, setIsTraining] = useState(false);
   const [trainingProgress, setTrainingProgress] = useState(null);
   const [stats, setStats] = useState(null);
-  const recordingIntervalRef = useRef(null);
+  const [importMode, setImportMode] = useState('merge');
+  const [modelType, setModelType] = useState('snapshot');
+  const [windowSize, setWindowSize] = useState(20);
+  const [isEvaluating, setIsEvaluating] = useState(false);
+  const [modelName, setModelName] = useState('Gesture model');
+  const [isCollecting, setIsCollecting] = useState(false);
+  const recordingTakeRef = useRef(null);
+  const fileInputRef = useRef(null);
 
-  const gestureNames = [
-    'IDLE', 'FIST', 'OPEN_HAND', 'WAVE_LEFT', 'WAVE_RIGHT',
-    'TILT_UP', 'TILT_DOWN', 'TILT_RIGHT', 'TILT_LEFT'
-  ];
+  const gestures = useGestures();
 
+  // Keep the selection valid when the vocabulary changes
   useEffect(() => {
-    if (classifier) {
-      updateStats();
+    if (!gestures.some(g => g.id === currentGesture)) {
+      setCurrentGesture(gestures[0].id);
     }
+  }, [gestures]);
+
+  useEffect(() => {
+    if (!classifier) return undefined;
+    updateStats();
+    return classifier.subscribe(updateStats);
   }, [classifier]);
 
+  // One sample per packet, straight from the packet handler
+  useEffect(() => {
+    if (!isRecording || !classifier || !subscribePackets) return undefined;
+    return subscribePackets((data) => {
+      // Packets can arrive after stopping, before this effect is cleaned up
+      if (!recordingTakeRef.current) return;
+      classifier.addSample(data, currentGesture, recordingTakeRef.current);
+      setSamples(prev => ({
+        ...prev,
+        [currentGesture]: (prev[currentGesture] || 0) + 1
+      }));
+      updateStats();
+    });
+  }, [isRecording, classifier, currentGesture, subscribePackets]);
+
   const updateStats = () => {
     if (classifier) {
       setStats(classifier.getTrainingStats());
+      setModelType(classifier.modelType);
+      setWindowSize(classifier.windowSize);
+      if (classifier.activeModel) {
+        setModelName(classifier.activeModel.name);
+      }
     }
   };
 
+  const changeModelType = async (type, size = windowSize) => {
+    if (classifier) {
+      await classifier.setModelType(type, size);
+      updateStats();
+    }
+  };
+
+  const trainableCount = stats ? (stats.totalWindows ?? stats.totalSamples) : 0;
+  // A background fine-tune saves a model version too, so wait for it
+  const isFineTuning = Boolean(classifier && classifier.fineTuneStatus);
+
   const startRecording = () => {
     if (!sensorData || Object.values(sensorData).every(v => v === 0)) {
       alert('No sensor data available. Connect to ESP32 first.');
       return;
     }
 
+    recordingTakeRef.current = createId('take');
     setIsRecording(true);
-    const gestureName = gestureNames[currentGesture];
-    
-    // Record samples every 100ms
-    recordingIntervalRef.current = setInterval(() => {
-      if (classifier && sensorData) {
-        classifier.addSample(sensorData, currentGesture);
-        setSamples(prev => ({
-          ...prev,
-          [currentGesture]: (prev[currentGesture] || 0) + 1
-        }));
-        updateStats();
-      }
-    }, 100);
   };
 
   const stopRecording = () => {
     setIsRecording(false);
-    if (recordingIntervalRef.current) {
-      clearInterval(recordingIntervalRef.current);
-      recordingIntervalRef.current = null;
+    recordingTakeRef.current = null;
+    if (classifier) {
+      classifier.notify();
     }
   };
 
@@ -64,12 +106,12 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
     }
 
     setIsTraining(true);
-    setTrainingProgress({ epoch: 0, loss: '0', accuracy: '0' });
+    setTrainingProgress({ epoch: 0, epochs: classifier.trainingConfig.epochs, loss: '0', accuracy: '0' });
 
     try {
       await classifier.train((progress) => {
         setTrainingProgress(progress);
-      });
+      }, { name: modelName.trim() || 'Gesture model' });
 
       alert('Training completed successfully!');
       if (onTrainingComplete) {
@@ -83,27 +125,37 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
     }
   };
 
-  const clearData = () => {
-    if (classifier) {
-      classifier.clearTrainingData();
+  const clearData = async () => {
+    if (classifier && confirm('Delete all samples in the active dataset?')) {
+      await classifier.clearTrainingData();
       setSamples({});
-      updateStats();
     }
   };
 
-  const exportData = () => {
+  const exportData = (format) => {
     if (classifier && stats) {
-      const data = {
-        stats: stats,
-        timestamp: new Date().toISOString()
-      };
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `gesture-training-data-${Date.now()}.json`;
-      a.click();
-      URL.revokeObjectURL(url);
+      const samples = classifier.getDataset();
+      const options = { device: deviceName, features: classifier.featureNames };
+      if (format === 'csv') {
+        downloadFile(datasetToCSV(samples, gestures, options), `gesture-training-data-${Date.now()}.csv`, 'text/csv');
+      } else {
+        downloadFile(datasetToJSON(samples, gestures, options), `gesture-training-data-${Date.now()}.json`);
+      }
+    }
+  };
+
+  const importData = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !classifier) return;
+
+    try {
+      const { samples, metadata } = parseDataset(await file.text(), file.name, gestures, classifier.featureNames);
+      await classifier.importSamples(samples, { replace: importMode === 'replace' });
+      setSamples({});
+      alert(`Imported ${samples.length} samples from ${metadata.device || 'unknown device'}`);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
     }
   };
 
@@ -112,6 +164,11 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
       <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
         <Brain className="w-5 h-5" />
         ML Training
+        {classifier && classifier.hands > 1 && (
+          <span className="text-sm font-normal px-2 py-0.5 rounded bg-indigo-600/50 border border-indigo-400">
+            Two-handed · {classifier.hands} gloves
+          </span>
+        )}
       </h3>
 
       {/* Gesture Selection */}
@@ -120,23 +177,77 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
         <select
           value={currentGesture}
           onChange={(e) => setCurrentGesture(parseInt(e.target.value))}
-          disabled={isRecording || isTraining}
+          disabled={isRecording || isCollecting || isTraining}
           className="w-full bg-slate-700 text-white rounded-lg px-4 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
         >
-          {gestureNames.map((name, idx) => (
-            <option key={idx} value={idx}>
-              {idx}: {name}
+          {gestures.map(gesture => (
+            <option key={gesture.id} value={gesture.id}>
+              {gesture.id}: {gesture.name}
             </option>
           ))}
         </select>
       </div>
 
+      <GestureVocabulary disabled={isRecording || isCollecting || isTraining} />
+
+      {/* Model Type */}
+      <div className="mb-4 flex gap-2">
+        <div className="flex-1">
+          <label className="block text-sm font-medium mb-2">Model:</label>
+          <select
+            value={modelType}
+            onChange={(e) => changeModelType(e.target.value)}
+            disabled={isRecording || isCollecting || isTraining}
+            className="w-full bg-slate-700 text-white rounded-lg px-4 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
+          >
+            <option value="snapshot">Snapshot (single packet)</option>
+            <option value="windowed">Windowed (1D-CNN)</option>
+          </select>
+        </div>
+        {modelType === 'windowed' && (
+          <div className="w-28">
+            <label className="block text-sm font-medium mb-2">Window:</label>
+            <input
+              type="number"
+              min="5"
+              max="100"
+              value={windowSize}
+              onChange={(e) => setWindowSize(parseInt(e.target.value) || 0)}
+              onBlur={() => changeModelType('windowed', Math.max(5, Math.min(100, windowSize)))}
+              disabled={isRecording || isCollecting || isTraining}
+              className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
+            />
+          </div>
+        )}
+      </div>
+      {classifier && !classifier.trained && (
+        <p className="-mt-2 mb-4 text-xs text-gray-400">
+          No trained model of this type yet; live prediction starts once one is trained.
+        </p>
+      )}
+
+      {classifier && (
+        <TrainingConfigPanel
+          classifier={classifier}
+          modelType={modelType}
+          disabled={isRecording || isCollecting || isTraining || isEvaluating}
+        />
+      )}
+
+      {classifier && (
+        <AugmentationPanel
+          classifier={classifier}
+          modelType={modelType}
+          disabled={isRecording || isCollecting || isTraining || isEvaluating}
+        />
+      )}
+
       {/* Recording Controls */}
       <div className="flex gap-2 mb-4">
         {!isRecording ? (
           <button
             onClick={startRecording}
-            disabled={isTraining}
+            disabled={isTraining || isEvaluating || isCollecting}
             className="flex-1 flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-4 py-2 rounded-lg font-semibold transition-colors"
           >
             <Play className="w-4 h-4" />
@@ -153,6 +264,16 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
         )}
       </div>
 
+      {classifier && (
+        <GuidedCollection
+          classifier={classifier}
+          gestures={gestures}
+          subscribePackets={subscribePackets}
+          disabled={isRecording || isTraining || isEvaluating}
+          onRunningChange={setIsCollecting}
+        />
+      )}
+
       {/* Training Stats */}
       {stats && (
         <div className="mb-4 p-3 bg-slate-700/50 rounded-lg">
@@ -162,10 +283,18 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
           </div>
           <div className="text-sm space-y-1">
             <div>Total Samples: <span className="font-mono">{stats.totalSamples}</span></div>
+            {stats.totalWindows !== undefined && (
+              <div>
+                Windows ({windowSize} packets): <span className="font-mono">{stats.totalWindows}</span>
+              </div>
+            )}
             <div className="grid grid-cols-2 gap-1 text-xs">
               {Object.entries(stats.samplesPerClass || {}).map(([gestureId, count]) => (
                 <div key={gestureId}>
-                  {gestureNames[gestureId]}: <span className="font-mono">{count}</span>
+                  {gestureRegistry.getName(Number(gestureId))}: <span className="font-mono">{count}</span>
+                  {stats.windowsPerClass && (
+                    <span className="text-gray-400"> ({stats.windowsPerClass[gestureId] || 0} win)</span>
+                  )}
                 </div>
               ))}
             </div>
@@ -173,11 +302,24 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
         </div>
       )}
 
+      <DatasetManager
+        classifier={classifier}
+        gestures={gestures}
+        disabled={isRecording || isCollecting || isTraining || isEvaluating}
+      />
+
+      <EvaluationReport
+        classifier={classifier}
+        gestures={gestures}
+        disabled={trainableCount < 10 || isRecording || isCollecting || isTraining || isFineTuning}
+        onRunningChange={setIsEvaluating}
+      />
+
       {/* Training Progress */}
       {isTraining && trainingProgress && (
         <div className="mb-4 p-3 bg-blue-900/30 rounded-lg border border-blue-500/50">
           <div className="text-sm space-y-1">
-            <div>Epoch: {trainingProgress.epoch}/50</div>
+            <div>Epoch: {trainingProgress.epoch}/{trainingProgress.epochs}</div>
             <div>Loss: {trainingProgress.loss}</div>
             <div>Accuracy: {trainingProgress.accuracy}</div>
             {trainingProgress.valLoss && (
@@ -190,17 +332,36 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
           <div className="mt-2 h-2 bg-slate-700 rounded-full overflow-hidden">
             <div
               className="h-full bg-blue-500 transition-all duration-300"
-              style={{ width: `${(trainingProgress.epoch / 50) * 100}%` }}
+              style={{ width: `${(trainingProgress.epoch / trainingProgress.epochs) * 100}%` }}
             />
           </div>
         </div>
       )}
 
+      {classifier && (
+        <ModelLibraryPanel
+          classifier={classifier}
+          gestures={gestures}
+          disabled={isRecording || isCollecting || isTraining || isEvaluating}
+          onCalibrationImport={onCalibrationImport}
+        />
+      )}
+
       {/* Action Buttons */}
       <div className="flex flex-wrap gap-2">
+        <input
+          type="text"
+          value={modelName}
+          onChange={(e) => setModelName(e.target.value)}
+          disabled={isTraining}
+          placeholder="Model name"
+          title="Saved as the next version of this name"
+          className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
+        />
         <button
           onClick={trainModel}
-          disabled={!stats || stats.totalSamples < 10 || isTraining || isRecording}
+          disabled={trainableCount < 10 || isTraining || isRecording || isCollecting || isEvaluating || isFineTuning}
+          title={isFineTuning ? 'Fine-tuning is running' : undefined}
           className="flex-1 flex items-center justify-center gap-2 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-4 py-2 rounded-lg font-semibold transition-colors"
         >
           <Brain className="w-4 h-4" />
@@ -208,25 +369,68 @@ const GestureTrainer = ({ sensorData, onTrainingComplete, classifier }) => {
         </button>
         <button
           onClick={clearData}
-          disabled={isTraining || isRecording || !stats || stats.totalSamples === 0}
+          disabled={isTraining || isRecording || isCollecting || !stats || stats.totalSamples === 0}
           className="flex items-center justify-center gap-2 bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-4 py-2 rounded-lg font-semibold transition-colors"
         >
           <Trash2 className="w-4 h-4" />
         </button>
-        <button
-          onClick={exportData}
-          disabled={!stats || stats.totalSamples === 0}
-          className="flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-4 py-2 rounded-lg font-semibold transition-colors"
-        >
-          <Download className="w-4 h-4" />
-        </button>
+      </div>
+
+      {/* Dataset Export / Import */}
+      <div className="mt-4 pt-4 border-t border-slate-700">
+        <div className="flex items-center gap-2 mb-2 text-sm">
+          <Database className="w-4 h-4" />
+          <span className="font-semibold">Dataset</span>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => exportData('json')}
+            disabled={!stats || stats.totalSamples === 0}
+            className="flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm font-semibold transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            JSON
+          </button>
+          <button
+            onClick={() => exportData('csv')}
+            disabled={!stats || stats.totalSamples === 0}
+            className="flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm font-semibold transition-colors"
+          >
+            <Download className="w-4 h-4" />
+            CSV
+          </button>
+          <select
+            value={importMode}
+            onChange={(e) => setImportMode(e.target.value)}
+            disabled={isTraining || isRecording || isCollecting}
+            className="ml-auto bg-slate-700 text-white text-sm rounded-lg px-2 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
+          >
+            <option value="merge">Merge</option>
+            <option value="replace">Replace</option>
+          </select>
+          <button
+            onClick={() => fileInputRef.current.click()}
+            disabled={isTraining || isRecording || isCollecting}
+            className="flex items-center justify-center gap-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-2 rounded-lg text-sm font-semibold transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+            Import
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            onChange={importData}
+            className="hidden"
+          />
+        </div>
       </div>
 
       {isRecording && (
         <div className="mt-3 text-center">
           <span className="inline-flex items-center gap-2 text-red-400 animate-pulse">
             <span className="w-2 h-2 bg-red-500 rounded-full" />
-            Recording {gestureNames[currentGesture]}...
+            Recording {gestureRegistry.getName(currentGesture)}...
           </span>
         </div>
       )}
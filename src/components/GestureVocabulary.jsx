@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { Tags, Plus, Trash2, RotateCcw } from 'lucide-react';
+import { gestureRegistry, GESTURE_COLORS } from '../gestures/GestureRegistry';
+import { gestureIconComponents, GestureIcon } from '../gestures/icons';
+import { useGestures } from '../gestures/useGestures';
+
+const GestureVocabulary = ({ disabled }) => {
+  const gestures = useGestures();
+  const [newName, setNewName] = useState('');
+  const [error, setError] = useState('');
+
+  const run = (fn) => {
+    try {
+      setError('');
+      fn();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addGesture = () => {
+    run(() => {
+      gestureRegistry.add({ name: newName });
+      setNewName('');
+    });
+  };
+
+  const removeGesture = (gesture) => {
+    if (confirm(`Remove ${gesture.name}? Its stored samples are kept but ignored for training.`)) {
+      run(() => gestureRegistry.remove(gesture.id));
+    }
+  };
+
+  const resetGestures = () => {
+    if (confirm('Reset the gesture vocabulary to the firmware defaults?')) {
+      gestureRegistry.reset();
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-slate-700/50 rounded-lg">
+      <div className="flex items-center gap-2 mb-2">
+        <Tags className="w-4 h-4" />
+        <span className="font-semibold flex-1">Gesture Vocabulary</span>
+        <button
+          onClick={resetGestures}
+          disabled={disabled}
+          className="text-gray-400 hover:text-white disabled:text-gray-600"
+        >
+          <RotateCcw className="w-3 h-3" />
+        </button>
+      </div>
+
+      <div className="space-y-1 max-h-48 overflow-y-auto text-xs mb-2">
+        {gestures.map(gesture => (
+          <div key={gesture.id} className="flex items-center gap-2">
+            <div className={`p-1 rounded bg-gradient-to-br ${gesture.color}`}>
+              <GestureIcon name={gesture.icon} className="w-3 h-3" />
+            </div>
+            <span className="font-mono text-gray-400 w-6">{gesture.id}</span>
+            <span className="font-semibold flex-1 truncate">{gesture.name}</span>
+            <select
+              value={gesture.icon}
+              onChange={(e) => run(() => gestureRegistry.update(gesture.id, { icon: e.target.value }))}
+              disabled={disabled}
+              className="bg-slate-700 text-white rounded px-1 py-0.5 border border-slate-600"
+            >
+              {Object.keys(gestureIconComponents).map(icon => (
+                <option key={icon} value={icon}>{icon}</option>
+              ))}
+            </select>
+            <select
+              value={gesture.color}
+              onChange={(e) => run(() => gestureRegistry.update(gesture.id, { color: e.target.value }))}
+              disabled={disabled}
+              className="w-20 bg-slate-700 text-white rounded px-1 py-0.5 border border-slate-600"
+            >
+              {GESTURE_COLORS.map(color => (
+                <option key={color} value={color}>{color.split(' ')[0].replace('from-', '')}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => removeGesture(gesture)}
+              disabled={disabled}
+              className="text-red-400 hover:text-red-300 disabled:text-gray-600"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addGesture()}
+          placeholder="e.g. PINCH"
+          disabled={disabled}
+          className="flex-1 min-w-0 bg-slate-700 text-white text-sm rounded-lg px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+        />
+        <button
+          onClick={addGesture}
+          disabled={disabled || !newName.trim()}
+          className="p-2 rounded-lg bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+        >
+          <Plus className="w-3 h-3" />
+        </button>
+      </div>
+
+      {error && <div className="mt-2 text-xs text-red-400">{error}</div>}
+    </div>
+  );
+};
+
+export default GestureVocabulary;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ListChecks, Play, Square, AlertTriangle } from 'lucide-react';
+import CollectionSession, { loadCollectionPlan, saveCollectionPlan, balanceWarnings } from '../ml/CollectionSession';
+
+const inputClass = 'w-full bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none';
+
+const PHASE_LABELS = {
+  countdown: 'Get ready',
+  take: 'Hold',
+  rest: 'Rest',
+  done: 'Session complete',
+  stopped: 'Session stopped'
+};
+
+// Plan fields edited in seconds but stored in milliseconds
+const SECONDS_FIELDS = [
+  ['Countdown (s)', 'countdownMs', 0],
+  ['Take (s)', 'takeMs', 1],
+  ['Rest (s)', 'restMs', 0]
+];
+
+/**
+ * Guided collection: scripted takes of the chosen gestures with countdowns,
+ * rests and trimming, per-class targets and balance warnings
+ * Frames are captured per packet through subscribePackets
+ */
+const GuidedCollection = ({ classifier, gestures, subscribePackets, disabled, onRunningChange }) => {
+  const [plan, setPlan] = useState(loadCollectionPlan);
+  const [state, setState] = useState({ phase: 'idle' });
+  const [now, setNow] = useState(Date.now());
+  const [, setStatsVersion] = useState(0);
+  const sessionRef = useRef(null);
+
+  const running = sessionRef.current !== null && sessionRef.current.running;
+  const selectedIds = plan.gestureIds
+    ? plan.gestureIds.filter(id => gestures.some(g => g.id === id))
+    : gestures.map(g => g.id);
+
+  useEffect(() => {
+    if (!subscribePackets) return undefined;
+    return subscribePackets((data) => {
+      if (sessionRef.current) {
+        sessionRef.current.capture(data);
+      }
+    });
+  }, [subscribePackets]);
+
+  useEffect(() => classifier.subscribe(() => setStatsVersion(v => v + 1)), [classifier]);
+
+  // Countdown display
+  useEffect(() => {
+    if (!running) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 100);
+    return () => clearInterval(timer);
+  }, [running]);
+
+  useEffect(() => () => sessionRef.current && sessionRef.current.stop(), []);
+
+  const updatePlan = (changes) => {
+    const next = { ...plan, ...changes };
+    saveCollectionPlan(next);
+    setPlan(next);
+  };
+
+  const toggleGesture = (id) => {
+    const next = selectedIds.includes(id)
+      ? selectedIds.filter(g => g !== id)
+      : [...selectedIds, id];
+    updatePlan({ gestureIds: next });
+  };
+
+  const start = () => {
+    const session = new CollectionSession({
+      classifier,
+      plan: {
+        ...plan,
+        gestureIds: selectedIds,
+        // Keep at least a third of each take after trimming
+        trimMs: Math.min(plan.trimMs, plan.takeMs / 3)
+      }
+    });
+    sessionRef.current = session;
+    session.subscribe((next) => {
+      setState(next);
+      if (!session.running) {
+        onRunningChange(false);
+      }
+    });
+    onRunningChange(true);
+    session.start();
+  };
+
+  const stop = () => {
+    if (sessionRef.current) {
+      sessionRef.current.stop();
+    }
+  };
+
+  const samplesPerClass = classifier.getTrainingStats().samplesPerClass;
+  const gestureName = (id) => (gestures.find(g => g.id === id) || { name: `#${id}` }).name;
+  const warnings = balanceWarnings(samplesPerClass, selectedIds, plan.targetPerClass, gestureName);
+  const remaining = state.phaseEndsAt ? Math.max(0, (state.phaseEndsAt - now) / 1000) : 0;
+
+  const numberField = (label, key, min, scale = 1) => (
+    <label className="block">
+      <span className="text-gray-400">{label}</span>
+      <input
+        type="number"
+        min={min}
+        step={scale === 1 ? 1 : 0.5}
+        value={plan[key] / scale}
+        onChange={(e) => updatePlan({ [key]: Math.max(min, Number(e.target.value) || 0) * scale })}
+        disabled={disabled || running}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <div className="mb-4 p-3 bg-slate-700/50 rounded-lg text-sm">
+      <div className="flex items-center gap-2 mb-2">
+        <ListChecks className="w-4 h-4" />
+        <span className="font-semibold">Guided Collection</span>
+        {!running ? (
+          <button
+            onClick={start}
+            disabled={disabled || selectedIds.length === 0}
+            className="ml-auto flex items-center gap-2 bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-3 py-1 rounded-lg font-semibold transition-colors"
+          >
+            <Play className="w-4 h-4" />
+            Start Session
+          </button>
+        ) : (
+          <button
+            onClick={stop}
+            className="ml-auto flex items-center gap-2 bg-red-600 hover:bg-red-700 px-3 py-1 rounded-lg font-semibold transition-colors"
+          >
+            <Square className="w-4 h-4" />
+            Stop
+          </button>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-x-3 gap-y-1 mb-2">
+        {gestures.map(gesture => (
+          <label key={gesture.id} className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={selectedIds.includes(gesture.id)}
+              onChange={() => toggleGesture(gesture.id)}
+              disabled={disabled || running}
+            />
+            {gesture.name}
+          </label>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mb-2">
+        {numberField('Repetitions', 'repetitions', 1)}
+        {SECONDS_FIELDS.map(([label, key, min]) => (
+          <React.Fragment key={key}>{numberField(label, key, min, 1000)}</React.Fragment>
+        ))}
+        {numberField('Trim (ms)', 'trimMs', 0)}
+        {numberField('Target / class', 'targetPerClass', 0)}
+      </div>
+
+      {state.phase !== 'idle' && (
+        <div className="my-3 p-3 rounded-lg bg-slate-800/70 text-center">
+          <div className="text-gray-400">
+            {PHASE_LABELS[state.phase]}
+            {state.take && ` · take ${state.index + 1}/${state.total}, repetition ${state.take.repetition}`}
+          </div>
+          {state.take && running && (
+            <div className={`text-3xl font-bold my-1 ${state.phase === 'take' ? 'text-green-400' : ''}`}>
+              {gestureName(state.take.gestureId)}
+            </div>
+          )}
+          {running && (
+            <div className="font-mono">
+              {remaining.toFixed(1)} s
+              {state.phase === 'take' && ` · ${state.frames} frames`}
+            </div>
+          )}
+          {state.lastTake && (
+            <div className="text-xs text-gray-400 mt-1">
+              Last take: {state.lastTake.kept} samples of {gestureName(state.lastTake.gestureId)} kept,
+              {' '}{state.lastTake.trimmed} trimmed
+              {state.skipped > 0 && ` · ${state.skipped} takes skipped (target reached)`}
+            </div>
+          )}
+        </div>
+      )}
+
+      {plan.targetPerClass > 0 && (
+        <div className="space-y-1 mb-2">
+          {selectedIds.map(id => {
+            const count = samplesPerClass[id] || 0;
+            return (
+              <div key={id} className="flex items-center gap-2 text-xs">
+                <span className="w-24 truncate">{gestureName(id)}</span>
+                <div className="flex-1 h-2 bg-slate-800 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full ${count >= plan.targetPerClass ? 'bg-green-500' : 'bg-blue-500'}`}
+                    style={{ width: `${Math.min(100, (count / plan.targetPerClass) * 100)}%` }}
+                  />
+                </div>
+                <span className="w-20 text-right font-mono">{count}/{plan.targetPerClass}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="text-xs text-amber-300 space-y-0.5">
+          {warnings.map(warning => (
+            <li key={warning} className="flex items-center gap-1">
+              <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+              {warning}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GuidedCollection;
@@ -0,0 +1,189 @@
+import React, { useState, useEffect, useRef, memo } from 'react';
+import { Box as BoxIcon, RotateCcw } from 'lucide-react';
+import { flexPercent } from '../calibration/calibration';
+
+// Which flex sensor bends which finger; the thumb follows both
+const FINGERS = [
+  { id: 'index', x: -39, length: 46, sensors: ['flex1'] },
+  { id: 'middle', x: -13, length: 52, sensors: ['flex1'] },
+  { id: 'ring', x: 13, length: 48, sensors: ['flex2'] },
+  { id: 'pinky', x: 37, length: 38, sensors: ['flex2'] }
+];
+
+const PALM = { width: 110, height: 120, depth: 22 };
+const FINGER = { width: 22, depth: 18 };
+const MAX_CURL = 80; // degrees per joint at 100% flex
+const CAMERA_TILT = 55;
+
+/**
+ * Box of six CSS faces centered on its parent's origin
+ */
+const Box = ({ width, height, depth, className }) => {
+  const faces = [
+    { w: width, h: height, t: `translateZ(${depth / 2}px)` },
+    { w: width, h: height, t: `rotateY(180deg) translateZ(${depth / 2}px)` },
+    { w: depth, h: height, t: `rotateY(90deg) translateZ(${width / 2}px)` },
+    { w: depth, h: height, t: `rotateY(-90deg) translateZ(${width / 2}px)` },
+    { w: width, h: depth, t: `rotateX(90deg) translateZ(${height / 2}px)` },
+    { w: width, h: depth, t: `rotateX(-90deg) translateZ(${height / 2}px)` }
+  ];
+  return faces.map((face, i) => (
+    <div
+      key={i}
+      className={`absolute border border-slate-900/40 ${className}`}
+      style={{
+        width: face.w,
+        height: face.h,
+        left: -face.w / 2,
+        top: -face.h / 2,
+        transform: face.t,
+        backfaceVisibility: 'hidden'
+      }}
+    />
+  ));
+};
+
+/**
+ * Two-segment finger hinged at the knuckle; the curl transform of each
+ * joint is written directly by the animation loop
+ */
+const Finger = ({ x, y, length, className, jointRefs }) => {
+  const segment = length / 2;
+  return (
+    <div className="absolute" style={{ transformStyle: 'preserve-3d', transform: `translate3d(${x}px, ${y}px, 0)` }}>
+      <div ref={el => { jointRefs[0] = el; }} style={{ transformStyle: 'preserve-3d' }}>
+        <div className="absolute" style={{ transformStyle: 'preserve-3d', transform: `translateY(${-segment / 2}px)` }}>
+          <Box width={FINGER.width} height={segment} depth={FINGER.depth} className={className} />
+        </div>
+        <div className="absolute" style={{ transformStyle: 'preserve-3d', transform: `translateY(${-segment}px)` }}>
+          <div ref={el => { jointRefs[1] = el; }} style={{ transformStyle: 'preserve-3d' }}>
+            <div className="absolute" style={{ transformStyle: 'preserve-3d', transform: `translateY(${-segment / 2}px)` }}>
+              <Box width={FINGER.width - 2} height={segment} depth={FINGER.depth - 2} className={className} />
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * 3D glove view: orientation from the OrientationFilter and finger curl
+ * from the flex sensors
+ * Like the live charts it animates from the filter, so packets do not
+ * re-render this component
+ */
+const HandView3D = ({ filter, calibration }) => {
+  const handRef = useRef(null);
+  const jointsRef = useRef({});
+  const [readout, setReadout] = useState({ pitch: 0, roll: 0, yaw: 0 });
+  const [autoBias, setAutoBias] = useState(filter.autoBias);
+  const calibrationRef = useRef(calibration);
+  calibrationRef.current = calibration;
+
+  [...FINGERS.map(f => f.id), 'thumb'].forEach(id => {
+    if (!jointsRef.current[id]) jointsRef.current[id] = [];
+  });
+
+  useEffect(() => {
+    let frame = null;
+    let lastReadout = 0;
+    const draw = (now) => {
+      const { pitch, roll, yaw } = filter.getOrientation();
+      if (handRef.current) {
+        handRef.current.style.transform =
+          `rotateX(${CAMERA_TILT}deg) rotateZ(${-yaw}deg) rotateX(${pitch}deg) rotateY(${roll}deg)`;
+      }
+
+      const data = filter.latest;
+      if (data) {
+        const curl = (sensor) => flexPercent(data[sensor], sensor, calibrationRef.current) / 100;
+        const setCurl = (id, amount) => jointsRef.current[id].forEach(joint => {
+          if (joint) joint.style.transform = `rotateX(${amount * MAX_CURL}deg)`;
+        });
+        FINGERS.forEach(finger => setCurl(finger.id, curl(finger.sensors[0])));
+        setCurl('thumb', (curl('flex1') + curl('flex2')) / 2 * 0.6);
+      }
+
+      // Numbers change too fast to read at 60 fps
+      if (now - lastReadout > 150) {
+        lastReadout = now;
+        setReadout({ pitch, roll, yaw });
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [filter]);
+
+  const toggleAutoBias = () => {
+    filter.autoBias = !autoBias;
+    setAutoBias(!autoBias);
+  };
+
+  const palmTop = -PALM.height / 2;
+  const skin = 'bg-gradient-to-br from-amber-200 to-amber-400';
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700 mb-8">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <h3 className="text-xl font-semibold flex items-center gap-2 mr-auto">
+          <BoxIcon className="w-5 h-5" />
+          3D Hand
+        </h3>
+        <label className="flex items-center gap-1 text-xs text-gray-400" title="Estimate the gyro offset while the glove is still">
+          <input type="checkbox" checked={autoBias} onChange={toggleAutoBias} />
+          auto gyro bias
+        </label>
+        <button
+          onClick={() => filter.zero()}
+          className="flex items-center gap-1 px-3 py-1 rounded bg-slate-700 hover:bg-slate-600 text-xs font-semibold transition-colors"
+        >
+          <RotateCcw className="w-3 h-3" />
+          Reset Orientation
+        </button>
+      </div>
+
+      <div className="grid md:grid-cols-[1fr_auto] gap-6 items-center">
+        <div className="relative h-72 overflow-hidden rounded-xl bg-slate-900/50" style={{ perspective: '700px' }}>
+          <div className="absolute left-1/2 top-1/2" style={{ transformStyle: 'preserve-3d' }}>
+            <div ref={handRef} style={{ transformStyle: 'preserve-3d' }}>
+              <Box width={PALM.width} height={PALM.height} depth={PALM.depth} className={skin} />
+              {FINGERS.map(finger => (
+                <Finger
+                  key={finger.id}
+                  x={finger.x}
+                  y={palmTop}
+                  length={finger.length}
+                  className={skin}
+                  jointRefs={jointsRef.current[finger.id]}
+                />
+              ))}
+              <div className="absolute" style={{ transformStyle: 'preserve-3d', transform: `translate3d(${-PALM.width / 2}px, 10px, 0) rotateZ(-50deg)` }}>
+                <Finger x={0} y={0} length={40} className={skin} jointRefs={jointsRef.current.thumb} />
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-2 font-mono text-sm min-w-[10rem]">
+          {[['Pitch', readout.pitch], ['Roll', readout.roll], ['Yaw', readout.yaw]].map(([label, value]) => (
+            <div key={label} className="flex justify-between gap-4">
+              <span className="text-gray-400">{label}</span>
+              <span>{value.toFixed(1)}°</span>
+            </div>
+          ))}
+          <div className="flex justify-between gap-4 text-xs text-gray-500 pt-2 border-t border-slate-700">
+            <span>Gyro bias</span>
+            <span>{['gx', 'gy', 'gz'].map(c => Math.round(filter.bias[c])).join(' / ')}</span>
+          </div>
+          <p className="text-xs text-gray-500 max-w-[12rem]">
+            Yaw is gyro-only and drifts; reset it with the hand in a known pose.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default memo(HandView3D);
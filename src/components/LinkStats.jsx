@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { Signal } from 'lucide-react';
+
+const REFRESH_MS = 500;
+
+const REASON_LABELS = {
+  format: 'format',
+  fields: 'field count',
+  number: 'not a number',
+  range: 'out of range',
+  gesture: 'gesture id',
+  version: 'version',
+  checksum: 'checksum',
+  other: 'other'
+};
+
+const formatAge = (ms) => (ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(1)} s`);
+
+/**
+ * Connection state, packet rate, rejected packets and sequence gaps per
+ * connected glove, with a stale flag when no valid packet arrived for staleMs
+ * Polls the PacketStats counters instead of re-rendering per packet
+ */
+const LinkStats = ({ links, staleMs }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const refresh = () => {
+      setSnapshots(links.map(link => ({ ...link, snapshot: link.stats.snapshot() })));
+      setNow(Date.now());
+    };
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [links]);
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-4 border border-slate-700 mb-8 text-sm space-y-2">
+      {snapshots.map(({ id, label, snapshot }) => {
+        const reasons = Object.entries(snapshot.errors)
+          .map(([reason, count]) => `${REASON_LABELS[reason] || reason}: ${count}`)
+          .join(', ');
+        // The link state changes rarely; read it from the current props
+        const link = (links.find(l => l.id === id) || {}).link || { status: 'connected' };
+        const reconnecting = link.status === 'reconnecting';
+        const stale = !reconnecting && snapshot.age > staleMs;
+        return (
+          <div key={id} className="flex flex-wrap items-center gap-x-6 gap-y-1">
+            <span className="flex items-center gap-2 font-semibold">
+              <Signal className="w-4 h-4" />
+              {label}
+            </span>
+            {reconnecting ? (
+              <span className="px-2 py-0.5 rounded-full text-xs bg-amber-500/30 border border-amber-400">
+                Reconnecting {link.attempt}/{link.maxAttempts}
+                {link.retryAt > now && ` in ${Math.ceil((link.retryAt - now) / 1000)} s`}
+              </span>
+            ) : stale ? (
+              <span className="px-2 py-0.5 rounded-full text-xs bg-red-500/30 border border-red-400">
+                Stale · no data for {formatAge(snapshot.age)}
+              </span>
+            ) : (
+              <span className="px-2 py-0.5 rounded-full text-xs bg-green-500/30 border border-green-400">
+                Live · {formatAge(snapshot.age)} ago
+              </span>
+            )}
+            <span>
+              <span className="font-mono">{snapshot.rate.toFixed(1)}</span>
+              <span className="text-gray-400"> pkt/s</span>
+            </span>
+            <span className="text-gray-400">
+              valid <span className="font-mono text-white">{snapshot.valid}</span>
+            </span>
+            <span className={snapshot.malformed > 0 ? 'text-amber-400' : 'text-gray-400'} title={reasons}>
+              malformed <span className="font-mono">{snapshot.malformed}</span>
+              {reasons && <span className="text-xs"> ({reasons})</span>}
+            </span>
+            <span className={snapshot.sequenceGaps > 0 ? 'text-amber-400' : 'text-gray-400'}>
+              seq gaps <span className="font-mono">{snapshot.sequenceGaps}</span>
+              {' · '}lost <span className="font-mono">{snapshot.lost}</span>
+            </span>
+            {snapshot.lastError && (
+              <span className="text-xs text-gray-500 truncate max-w-xs" title={snapshot.lastError.message}>
+                last: {snapshot.lastError.message}
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default LinkStats;
@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Library, RotateCcw, Trash2, Columns, Download, Upload } from 'lucide-react';
+import { downloadFile } from '../utils/download';
+
+const percent = (value) => (value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`);
+
+const describeLayers = (record) => {
+  const { trainingConfig: config } = record;
+  if (!config) return '–';
+  return record.modelType === 'windowed'
+    ? `conv ${config.convFilters.join('/')} · dense ${config.hiddenUnits[config.hiddenUnits.length - 1]}`
+    : `dense ${config.hiddenUnits.join('/')}`;
+};
+
+// Rows of the side-by-side comparison
+const COMPARE_ROWS = [
+  ['Created', r => new Date(r.createdAt).toLocaleString()],
+  ['Type', r => (r.modelType === 'windowed' ? `windowed (${r.windowSize})` : r.modelType || '–')],
+  ['Layers', describeLayers],
+  ['Epochs run', r => (r.training ? `${r.training.epochs} / ${r.trainingConfig.epochs}` : '–')],
+  ['Batch / LR', r => (r.trainingConfig ? `${r.trainingConfig.batchSize} / ${r.trainingConfig.learningRate}` : '–')],
+  ['Dropout', r => (r.trainingConfig ? r.trainingConfig.dropout : '–')],
+  ['Dataset', r => (r.dataset ? `${r.dataset.name} (${r.dataset.totalSamples})` : '–')],
+  ['Augmentation', r => (r.augmentation ? `${r.augmentation.copies} copies${r.augmentation.oversample ? ' + oversampling' : ''}` : 'off')],
+  ['Val accuracy', r => percent(r.training && r.training.valAccuracy)],
+  ['Eval accuracy', r => percent(r.evaluation && r.evaluation.accuracy)],
+  ['Eval macro F1', r => percent(r.evaluation && r.evaluation.macroF1)]
+];
+
+const ModelLibraryPanel = ({ classifier, gestures, disabled, onCalibrationImport }) => {
+  const [models, setModels] = useState([]);
+  const [activeId, setActiveId] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!classifier) return undefined;
+    refresh();
+    return classifier.subscribe(refresh);
+  }, [classifier]);
+
+  const refresh = async () => {
+    setActiveId(classifier.activeModel ? classifier.activeModel.id : null);
+    try {
+      setModels(await classifier.listModels());
+    } catch (err) {
+      console.error('Error listing models:', err);
+    }
+  };
+
+  // Gestures removed since a model was trained are named from its record
+  const gestureName = (id, records) => {
+    const gesture = gestures.find(g => g.id === id) ||
+      records.flatMap(r => r.gestures || []).find(g => g.id === id);
+    return gesture ? gesture.name : `#${id}`;
+  };
+
+  const activate = async (id) => {
+    try {
+      await classifier.activateModel(id);
+    } catch (err) {
+      alert(`Could not load model: ${err.message}`);
+    }
+  };
+
+  const remove = async (record) => {
+    if (confirm(`Delete ${record.name} v${record.version}?`)) {
+      try {
+        await classifier.deleteModel(record.id);
+        setCompareIds(prev => prev.filter(id => id !== record.id));
+      } catch (err) {
+        alert(`Could not delete model: ${err.message}`);
+      }
+    }
+  };
+
+  const exportPackage = async () => {
+    try {
+      downloadFile(await classifier.exportModel(), `${classifier.exportName()}.gesture-model.json`);
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+    }
+  };
+
+  const exportFiles = async () => {
+    try {
+      await classifier.downloadModelFiles();
+    } catch (err) {
+      alert(`Export failed: ${err.message}`);
+    }
+  };
+
+  const importModel = async (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    let prepared;
+    try {
+      prepared = await classifier.prepareImport(files);
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+      return;
+    }
+
+    const { info, check } = prepared;
+    const lines = [
+      `Replace the active model with "${info.name}" (${check.modelType}, ${check.numClasses} gestures)?`
+    ];
+    if (check.missing.length > 0) {
+      lines.push(`These gestures will be added: ${check.missing.map(g => g.name).join(', ')}`);
+    }
+    if (check.unused.length > 0) {
+      lines.push(`The model was not trained on: ${check.unused.map(g => g.name).join(', ')}`);
+    }
+    if (!confirm(lines.join('\n\n'))) {
+      prepared.model.dispose();
+      return;
+    }
+
+    try {
+      await classifier.importModel(prepared);
+      if (info.calibration && onCalibrationImport &&
+          confirm(`The model was trained with the calibration profile of ${info.calibration.user} on ${info.calibration.device}. Use it?`)) {
+        onCalibrationImport(info.calibration);
+      }
+    } catch (err) {
+      alert(`Import failed: ${err.message}`);
+    }
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds(prev => (prev.includes(id)
+      ? prev.filter(x => x !== id)
+      : [...prev, id].slice(-2)));
+  };
+
+  const compared = compareIds.map(id => models.find(m => m.id === id)).filter(Boolean);
+  const comparedGestureIds = [...new Set(compared.flatMap(r => r.classIds || []))];
+  const f1For = (record, gestureId) => {
+    const entry = record.evaluation && record.evaluation.perClass.find(c => c.gestureId === gestureId);
+    return entry ? percent(entry.f1) : '–';
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-slate-700/50 rounded-lg text-sm">
+      <div className="flex items-center gap-2 mb-2">
+        <Library className="w-4 h-4" />
+        <span className="font-semibold">Model Library</span>
+        <button
+          onClick={exportPackage}
+          disabled={disabled || !classifier.model}
+          title="Download the active model as one package file"
+          className="ml-auto flex items-center gap-1 px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-xs font-semibold transition-colors"
+        >
+          <Download className="w-3 h-3" />
+          Package
+        </button>
+        <button
+          onClick={exportFiles}
+          disabled={disabled || !classifier.model}
+          title="Download the active model as tfjs model.json and weights"
+          className="flex items-center gap-1 px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 text-xs font-semibold transition-colors"
+        >
+          <Download className="w-3 h-3" />
+          tfjs
+        </button>
+        <button
+          onClick={() => fileInputRef.current.click()}
+          disabled={disabled}
+          title="Import a model package, or model.json together with its weight files"
+          className="flex items-center gap-1 px-2 py-1 rounded bg-green-600 hover:bg-green-700 disabled:bg-gray-600 text-xs font-semibold transition-colors"
+        >
+          <Upload className="w-3 h-3" />
+          Import
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          multiple
+          accept=".json,.bin,application/json"
+          onChange={importModel}
+          className="hidden"
+        />
+      </div>
+
+      {models.length === 0 ? (
+        <p className="text-gray-500 text-xs">No saved models yet. Train one to add it here.</p>
+      ) : (
+        <div className="max-h-48 overflow-y-auto space-y-1">
+          {models.map(record => (
+            <div
+              key={record.id}
+              className={`flex items-center gap-2 p-2 rounded ${record.id === activeId ? 'bg-blue-900/40 border border-blue-500/50' : 'bg-slate-800/50'}`}
+            >
+              <input
+                type="checkbox"
+                checked={compareIds.includes(record.id)}
+                onChange={() => toggleCompare(record.id)}
+                title="Compare"
+              />
+              <div className="flex-1 min-w-0">
+                <div className="truncate">
+                  {record.name} <span className="text-gray-400">v{record.version}</span>
+                  {record.id === activeId && <span className="ml-2 text-xs text-blue-400">active</span>}
+                </div>
+                <div className="text-xs text-gray-400">
+                  {new Date(record.createdAt).toLocaleString()} · {record.modelType}
+                  {record.training && ` · val ${percent(record.training.valAccuracy)}`}
+                  {record.evaluation && ` · F1 ${percent(record.evaluation.macroF1)}`}
+                  {record.fineTuned && ` · fine-tuned from v${record.fineTuned.baseVersion} with ${record.fineTuned.corrections} correction${record.fineTuned.corrections === 1 ? '' : 's'}`}
+                </div>
+              </div>
+              {record.id !== activeId && (
+                <button
+                  onClick={() => activate(record.id)}
+                  disabled={disabled}
+                  title="Make active"
+                  className="p-1 text-blue-400 hover:text-blue-300 disabled:text-gray-600"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+              )}
+              <button
+                onClick={() => remove(record)}
+                disabled={disabled}
+                title="Delete"
+                className="p-1 text-red-400 hover:text-red-300 disabled:text-gray-600"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {compared.length === 2 && (
+        <div className="mt-3 overflow-x-auto">
+          <div className="flex items-center gap-2 mb-1 text-gray-400">
+            <Columns className="w-4 h-4" />
+            Comparison
+          </div>
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-400">
+                <th />
+                {compared.map(r => (
+                  <th key={r.id} className="text-right">{r.name} v{r.version}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="font-mono">
+              {COMPARE_ROWS.map(([label, value]) => (
+                <tr key={label}>
+                  <td className="font-sans text-gray-400">{label}</td>
+                  {compared.map(r => <td key={r.id} className="text-right">{value(r)}</td>)}
+                </tr>
+              ))}
+              {comparedGestureIds.map(id => (
+                <tr key={`f1-${id}`}>
+                  <td className="font-sans text-gray-400">F1 {gestureName(id, compared)}</td>
+                  {compared.map(r => <td key={r.id} className="text-right">{f1For(r, id)}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ModelLibraryPanel;
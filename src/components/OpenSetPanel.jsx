@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { HelpCircle, Check, X, Trash2 } from 'lucide-react';
+import { createId } from '../utils/id';
+import { useGestures } from '../gestures/useGestures';
+import { gestureRegistry } from '../gestures/GestureRegistry';
+import { BACKGROUND_GESTURE_NAME, REJECTION_REASONS } from '../ml/UnknownDetector';
+
+const CHECKS = ['confidence', 'entropy', 'distance'];
+
+const OpenSetPanel = ({ detector, classifier, classifiers }) => {
+  const gestures = useGestures();
+  const [settings, setSettings] = useState(detector.settings);
+  const [rejections, setRejections] = useState(detector.rejections);
+  const [calibration, setCalibration] = useState(classifier ? classifier.openSet : null);
+  const [labeled, setLabeled] = useState(0);
+
+  useEffect(() => detector.subscribe(setRejections), [detector]);
+
+  useEffect(() => {
+    if (!classifier) return undefined;
+    const refresh = () => setCalibration(classifier.openSet);
+    refresh();
+    return classifier.subscribe(refresh);
+  }, [classifier]);
+
+  const save = (changes) => {
+    detector.setSettings(changes);
+    setSettings(detector.settings);
+  };
+
+  const limits = detector.thresholds(calibration);
+
+  // The frames of a rejection become one take, so a windowed model gets
+  // exactly one window out of it
+  const label = (entry, gestureId) => {
+    const target = classifiers.find(c => c && c.hands === entry.hands);
+    if (!target) return;
+    target.addSamples(entry.frames, gestureId, createId('negative'));
+    detector.removeRejection(entry.id);
+    setLabeled(prev => prev + 1);
+  };
+
+  const backgroundId = () => {
+    const existing = gestureRegistry.findByName(BACKGROUND_GESTURE_NAME);
+    return existing ? existing.id : gestureRegistry.add({ name: BACKGROUND_GESTURE_NAME, icon: 'Circle' }).id;
+  };
+
+  const saveAllAsBackground = () => {
+    const id = backgroundId();
+    rejections.forEach(entry => label(entry, id));
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-4 border border-slate-700 mb-8 text-sm">
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        <span className="flex items-center gap-2 font-semibold">
+          <HelpCircle className="w-4 h-4" />
+          Unknown Gestures
+        </span>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => save({ enabled: e.target.checked })}
+          />
+          Reject unknown input
+        </label>
+        <label className="flex items-center gap-2">
+          <span className="text-gray-400">Accept</span>
+          <input
+            type="range"
+            min="0.8"
+            max="0.995"
+            step="0.005"
+            value={settings.coverage}
+            onChange={(e) => save({ coverage: Number(e.target.value) })}
+            disabled={!calibration}
+          />
+          <span className="font-mono w-12">{(settings.coverage * 100).toFixed(1)}%</span>
+          <span className="text-gray-400">of known samples per check</span>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mb-3">
+        {CHECKS.map(check => (
+          <label key={check} className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={settings.checks[check]}
+              onChange={(e) => save({ checks: { ...settings.checks, [check]: e.target.checked } })}
+              disabled={!calibration}
+            />
+            {REJECTION_REASONS[check]}
+            {calibration && limits[check] !== null && (
+              <span className="font-mono text-gray-400">
+                {check === 'confidence' ? '<' : '>'} {check === 'distance' ? limits[check].toFixed(2) : `${(limits[check] * 100).toFixed(0)}%`}
+              </span>
+            )}
+          </label>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-500 mb-3">
+        {calibration
+          ? `Thresholds calibrated on ${calibration.count} ${calibration.source === 'validation' ? 'validation' : 'training and validation'} samples. Predictions of ${BACKGROUND_GESTURE_NAME} are always rejected.`
+          : `This model has no calibration; predictions below ${(settings.minConfidence * 100).toFixed(0)}% confidence are rejected. Train the model with several takes per gesture to calibrate the checks.`}
+      </p>
+
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-gray-400">
+          Suggested negatives ({rejections.length})
+          {labeled > 0 && <span className="text-green-400"> · {labeled} labeled this session</span>}
+        </span>
+        {rejections.length > 0 && (
+          <div className="flex items-center gap-3">
+            <button
+              onClick={saveAllAsBackground}
+              title={`Save every logged input as a sample of ${BACKGROUND_GESTURE_NAME}`}
+              className="flex items-center gap-1 text-blue-400 hover:text-blue-300"
+            >
+              <Check className="w-3 h-3" />
+              All as {BACKGROUND_GESTURE_NAME}
+            </button>
+            <button
+              onClick={() => detector.clearRejections()}
+              className="flex items-center gap-1 text-red-400 hover:text-red-300"
+            >
+              <Trash2 className="w-3 h-3" />
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+
+      {rejections.length === 0 ? (
+        <p className="text-gray-500 text-center py-2">No rejected input logged</p>
+      ) : (
+        <div className="max-h-64 overflow-y-auto space-y-1">
+          {rejections.map(entry => (
+            <div key={entry.id} className="flex flex-wrap items-center gap-2 p-2 bg-slate-700/50 rounded">
+              <span className="text-gray-400 text-xs">{new Date(entry.timestamp).toLocaleTimeString()}</span>
+              <span>
+                closest <span className="font-semibold">{gestureRegistry.getName(entry.gestureId)}</span>
+                <span className="text-gray-400"> ({(entry.confidence * 100).toFixed(0)}%)</span>
+              </span>
+              <span className="text-xs text-gray-400">
+                {entry.reasons.map(reason => REJECTION_REASONS[reason]).join(', ')}
+                {' · '}{entry.count} frame{entry.count === 1 ? '' : 's'}
+                {entry.hands > 1 && ' · two-handed'}
+              </span>
+              <div className="ml-auto flex items-center gap-1">
+                <button
+                  onClick={() => label(entry, backgroundId())}
+                  title={`Save this input as a sample of ${BACKGROUND_GESTURE_NAME}, the background class`}
+                  className="flex items-center gap-1 px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 text-xs"
+                >
+                  <Check className="w-3 h-3" />
+                  {BACKGROUND_GESTURE_NAME}
+                </button>
+                <select
+                  value=""
+                  onChange={(e) => label(entry, parseInt(e.target.value))}
+                  className="bg-slate-700 text-white text-xs rounded px-1 py-1 border border-slate-600"
+                >
+                  <option value="" disabled>Label as…</option>
+                  {gestures.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+                </select>
+                <button
+                  onClick={() => detector.removeRejection(entry.id)}
+                  title="Dismiss"
+                  className="p-1 text-gray-400 hover:text-white"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OpenSetPanel;
@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useRef, memo } from 'react';
+import { LineChart, Pause, Play } from 'lucide-react';
+import { CHANNELS } from '../charts/TimeSeriesBuffer';
+import { gestureRegistry } from '../gestures/GestureRegistry';
+
+const WINDOWS_MS = [2000, 5000, 10000, 30000, 60000];
+
+const CHANNEL_COLORS = {
+  flex1: '#22d3ee',
+  flex2: '#e879f9',
+  ax: '#f87171',
+  ay: '#4ade80',
+  az: '#60a5fa',
+  gx: '#fb923c',
+  gy: '#a3e635',
+  gz: '#c084fc'
+};
+
+const LANES = [
+  { id: 'flex', label: 'Flex', channels: ['flex1', 'flex2'] },
+  { id: 'accel', label: 'Accel', channels: ['ax', 'ay', 'az'] },
+  { id: 'gyro', label: 'Gyro', channels: ['gx', 'gy', 'gz'] }
+];
+
+const LANE_HEIGHT = 110;
+const CONFIDENCE_HEIGHT = 60;
+const LANE_GAP = 8;
+
+/**
+ * Scrolling canvas charts for every sensor channel
+ * Drawn from the shared TimeSeriesBuffer in an animation loop; packets do
+ * not re-render this component
+ */
+const SensorCharts = ({ buffer, getThresholds }) => {
+  const canvasRef = useRef(null);
+  const [enabled, setEnabled] = useState(() => new Set(CHANNELS));
+  const [windowMs, setWindowMs] = useState(10000);
+  const [paused, setPaused] = useState(false);
+  const [showConfidence, setShowConfidence] = useState(true);
+  // The draw loop reads the latest options through a ref
+  const optionsRef = useRef({});
+  const pausedAtRef = useRef(null);
+  optionsRef.current = { enabled, windowMs, showConfidence };
+
+  useEffect(() => {
+    pausedAtRef.current = paused ? performance.now() : null;
+  }, [paused]);
+
+  useEffect(() => {
+    let frame = null;
+    const draw = () => {
+      drawCharts(canvasRef.current, buffer, optionsRef.current, pausedAtRef.current, getThresholds);
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [buffer, getThresholds]);
+
+  const toggleChannel = (channel) => {
+    setEnabled(prev => {
+      const next = new Set(prev);
+      if (next.has(channel)) {
+        next.delete(channel);
+      } else {
+        next.add(channel);
+      }
+      return next;
+    });
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700 mb-8">
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <h3 className="text-xl font-semibold flex items-center gap-2 mr-auto">
+          <LineChart className="w-5 h-5" />
+          Live Charts
+        </h3>
+        {CHANNELS.map(channel => (
+          <button
+            key={channel}
+            onClick={() => toggleChannel(channel)}
+            className={`px-2 py-1 rounded text-xs font-mono border transition-colors ${
+              enabled.has(channel) ? 'border-transparent text-slate-900' : 'border-slate-600 text-gray-500'
+            }`}
+            style={enabled.has(channel) ? { backgroundColor: CHANNEL_COLORS[channel] } : undefined}
+          >
+            {channel}
+          </button>
+        ))}
+        <label className="flex items-center gap-1 text-xs text-gray-400">
+          <input
+            type="checkbox"
+            checked={showConfidence}
+            onChange={(e) => setShowConfidence(e.target.checked)}
+          />
+          confidence
+        </label>
+        <select
+          value={windowMs}
+          onChange={(e) => setWindowMs(Number(e.target.value))}
+          className="bg-slate-700 text-white text-xs rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+        >
+          {WINDOWS_MS.map(ms => <option key={ms} value={ms}>{ms / 1000}s</option>)}
+        </select>
+        <button
+          onClick={() => setPaused(!paused)}
+          className="flex items-center gap-1 px-3 py-1 rounded bg-slate-700 hover:bg-slate-600 text-xs font-semibold transition-colors"
+        >
+          {paused ? <Play className="w-3 h-3" /> : <Pause className="w-3 h-3" />}
+          {paused ? 'Resume' : 'Pause'}
+        </button>
+      </div>
+      <canvas ref={canvasRef} className="w-full block" />
+    </div>
+  );
+};
+
+const drawCharts = (canvas, buffer, { enabled, windowMs, showConfidence }, pausedAt, getThresholds) => {
+  if (!canvas) return;
+
+  const lanes = LANES.filter(lane => lane.channels.some(c => enabled.has(c)));
+  const height = lanes.length * (LANE_HEIGHT + LANE_GAP) + (showConfidence ? CONFIDENCE_HEIGHT : 0);
+  const width = canvas.clientWidth;
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.height = `${height}px`;
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  ctx.font = '11px monospace';
+
+  const now = pausedAt ?? performance.now();
+  const from = now - windowMs;
+  const samples = buffer.range(from, now);
+  const x = (t) => ((t - from) / windowMs) * width;
+
+  let top = 0;
+  lanes.forEach(lane => {
+    const channels = lane.channels.filter(c => enabled.has(c));
+    const indices = channels.map(c => CHANNELS.indexOf(c));
+
+    // Auto-scale to the visible data
+    let min = Infinity;
+    let max = -Infinity;
+    samples.forEach(s => indices.forEach(i => {
+      min = Math.min(min, s.values[i]);
+      max = Math.max(max, s.values[i]);
+    }));
+    if (!Number.isFinite(min)) {
+      min = 0;
+      max = 1;
+    }
+    if (max - min < 1) {
+      max = min + 1;
+    }
+    const y = (v) => top + LANE_HEIGHT - ((v - min) / (max - min)) * (LANE_HEIGHT - 4) - 2;
+
+    ctx.fillStyle = 'rgba(51, 65, 85, 0.3)';
+    ctx.fillRect(0, top, width, LANE_HEIGHT);
+    ctx.fillStyle = '#94a3b8';
+    ctx.fillText(`${lane.label} ${Math.round(max)}`, 4, top + 12);
+    ctx.fillText(`${Math.round(min)}`, 4, top + LANE_HEIGHT - 4);
+
+    channels.forEach((channel, k) => {
+      ctx.strokeStyle = CHANNEL_COLORS[channel];
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      samples.forEach((s, j) => {
+        const px = x(s.t);
+        const py = y(s.values[indices[k]]);
+        if (j === 0) ctx.moveTo(px, py);
+        else ctx.lineTo(px, py);
+      });
+      ctx.stroke();
+    });
+
+    top += LANE_HEIGHT + LANE_GAP;
+  });
+
+  if (showConfidence) {
+    ctx.fillStyle = 'rgba(51, 65, 85, 0.3)';
+    ctx.fillRect(0, top, width, CONFIDENCE_HEIGHT);
+    const y = (v) => top + CONFIDENCE_HEIGHT - v * CONFIDENCE_HEIGHT;
+
+    // Threshold overlays
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1;
+    getThresholds().forEach(({ value, label, color }) => {
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(0, y(value));
+      ctx.lineTo(width, y(value));
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.fillText(label, width - 60, y(value) - 2);
+    });
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = '#facc15';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let drawing = false;
+    samples.forEach(s => {
+      if (s.confidence === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) ctx.lineTo(x(s.t), y(s.confidence));
+      else ctx.moveTo(x(s.t), y(s.confidence));
+      drawing = true;
+    });
+    ctx.stroke();
+    ctx.fillStyle = '#94a3b8';
+    ctx.fillText('ML confidence', 4, top + 12);
+  }
+
+  // Gesture change markers across all lanes
+  ctx.lineWidth = 1;
+  buffer.markersIn(from, now).forEach(marker => {
+    const px = x(marker.t);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.beginPath();
+    ctx.moveTo(px, 0);
+    ctx.lineTo(px, height);
+    ctx.stroke();
+    ctx.fillStyle = '#e2e8f0';
+    ctx.fillText(gestureRegistry.getName(marker.gestureId), px + 3, height - 4);
+  });
+};
+
+export default memo(SensorCharts);
@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Circle, Square, Play, Pause, Download, Upload, Trash2, Film } from 'lucide-react';
+import { listSessions, loadSession, saveSession, deleteSession, serializeSession, parseSessionFile } from '../session/sessionStore';
+import { REPLAY_SPEEDS } from '../transport/ReplayTransport';
+import { downloadFile } from '../utils/download';
+
+const formatTime = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+const SessionPanel = ({ recorder, isConnected, sourceLabel, replay, onReplay, onStopReplay }) => {
+  const [sessions, setSessions] = useState([]);
+  const [isRecording, setIsRecording] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    refreshSessions();
+  }, []);
+
+  // Follow playback position of the active replay
+  useEffect(() => {
+    if (!replay) {
+      setProgress(null);
+      return undefined;
+    }
+    replay.onProgress = setProgress;
+    replay.reportProgress();
+    return () => {
+      replay.onProgress = null;
+    };
+  }, [replay]);
+
+  // A dropped connection ends the recording
+  useEffect(() => {
+    if (!isConnected && isRecording) {
+      stopRecording();
+    }
+  }, [isConnected]);
+
+  const refreshSessions = async () => {
+    try {
+      setSessions(await listSessions());
+    } catch (err) {
+      setError(`Could not load sessions: ${err.message}`);
+    }
+  };
+
+  const startRecording = () => {
+    recorder.start(sourceLabel);
+    setIsRecording(true);
+  };
+
+  const stopRecording = async () => {
+    const session = recorder.stop();
+    setIsRecording(false);
+    if (!session) return;
+
+    try {
+      await saveSession(session);
+      await refreshSessions();
+    } catch (err) {
+      setError(`Could not save session: ${err.message}`);
+    }
+  };
+
+  const startReplay = async (id) => {
+    try {
+      setError('');
+      const session = await loadSession(id);
+      if (!session) {
+        throw new Error('session not found');
+      }
+      await onReplay(session);
+    } catch (err) {
+      setError(`Could not replay session: ${err.message}`);
+    }
+  };
+
+  const downloadSession = async (summary) => {
+    try {
+      setError('');
+      const session = await loadSession(summary.id);
+      if (!session) {
+        throw new Error('session not found');
+      }
+      downloadFile(serializeSession(session), `${summary.id}.json`);
+    } catch (err) {
+      setError(`Could not export session: ${err.message}`);
+    }
+  };
+
+  const removeSession = async (id) => {
+    try {
+      setError('');
+      await deleteSession(id);
+      await refreshSessions();
+    } catch (err) {
+      setError(`Could not delete session: ${err.message}`);
+    }
+  };
+
+  const importSession = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setError('');
+      const session = parseSessionFile(await file.text());
+      await saveSession(session);
+      await refreshSessions();
+    } catch (err) {
+      setError(`Import failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-6 border border-slate-700">
+      <h3 className="text-xl font-semibold mb-4 flex items-center gap-2">
+        <Film className="w-5 h-5" />
+        Sessions
+      </h3>
+
+      {/* Recording / Replay Controls */}
+      {replay && progress ? (
+        <div className="mb-4 p-3 bg-blue-900/30 rounded-lg border border-blue-500/50">
+          <div className="text-sm mb-2 truncate">{replay.session.name}</div>
+          <input
+            type="range"
+            min="0"
+            max={progress.duration}
+            value={progress.position}
+            onChange={(e) => replay.seek(parseFloat(e.target.value))}
+            className="w-full"
+          />
+          <div className="flex items-center justify-between text-xs font-mono text-gray-400 mb-2">
+            <span>{formatTime(progress.position)}</span>
+            <span>{formatTime(progress.duration)}</span>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => (progress.isPlaying ? replay.pause() : replay.play())}
+              className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 px-3 py-2 rounded-lg text-sm font-semibold transition-colors"
+            >
+              {progress.isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+            </button>
+            <select
+              value={progress.speed}
+              onChange={(e) => replay.setSpeed(parseFloat(e.target.value))}
+              className="bg-slate-700 text-white text-sm rounded-lg px-2 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
+            >
+              {REPLAY_SPEEDS.map(speed => (
+                <option key={speed} value={speed}>{speed}x</option>
+              ))}
+            </select>
+            <button
+              onClick={onStopReplay}
+              className="ml-auto flex items-center gap-2 bg-red-600 hover:bg-red-700 px-3 py-2 rounded-lg text-sm font-semibold transition-colors"
+            >
+              <Square className="w-4 h-4" />
+              Stop Replay
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex gap-2 mb-4">
+          {!isRecording ? (
+            <button
+              onClick={startRecording}
+              disabled={!isConnected}
+              className="flex-1 flex items-center justify-center gap-2 bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed px-4 py-2 rounded-lg font-semibold transition-colors"
+            >
+              <Circle className="w-4 h-4" />
+              Record Session
+            </button>
+          ) : (
+            <button
+              onClick={stopRecording}
+              className="flex-1 flex items-center justify-center gap-2 bg-slate-600 hover:bg-slate-500 px-4 py-2 rounded-lg font-semibold transition-colors"
+            >
+              <Square className="w-4 h-4" />
+              Stop Recording
+            </button>
+          )}
+          <button
+            onClick={() => fileInputRef.current.click()}
+            className="flex items-center justify-center gap-2 bg-blue-600 hover:bg-blue-700 px-4 py-2 rounded-lg font-semibold transition-colors"
+          >
+            <Upload className="w-4 h-4" />
+          </button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={importSession}
+            className="hidden"
+          />
+        </div>
+      )}
+
+      {error && (
+        <div className="mb-3 text-sm text-red-400">{error}</div>
+      )}
+
+      {/* Saved Sessions */}
+      <div className="space-y-2 max-h-48 overflow-y-auto">
+        {sessions.length === 0 ? (
+          <p className="text-gray-500 text-center py-4 text-sm">No recorded sessions</p>
+        ) : (
+          sessions.map(session => (
+            <div
+              key={session.id}
+              className="flex items-center justify-between gap-2 bg-slate-700/50 rounded-lg p-3 text-sm"
+            >
+              <div className="min-w-0">
+                <div className="font-semibold truncate">{session.name}</div>
+                <div className="text-xs text-gray-400">
+                  {formatTime(session.duration)} · {session.packetCount} packets · {session.source}
+                </div>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <button
+                  onClick={() => startReplay(session.id)}
+                  disabled={isRecording || !!replay || isConnected}
+                  className="p-2 rounded-lg bg-green-600 hover:bg-green-700 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Play className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => downloadSession(session)}
+                  className="p-2 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+                >
+                  <Download className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => removeSession(session.id)}
+                  disabled={replay && replay.session.id === session.id}
+                  className="p-2 rounded-lg bg-red-600 hover:bg-red-700 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionPanel;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { Cpu } from 'lucide-react';
+import { simulatedGestures } from '../simulator/SensorSimulator';
+
+const SimulatorPanel = ({ settings, onChange }) => {
+  const update = (key, value) => {
+    onChange({ ...settings, [key]: value });
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-4 border border-slate-700 mb-6">
+      <h3 className="text-sm font-semibold mb-3 flex items-center gap-2">
+        <Cpu className="w-4 h-4" />
+        Simulator
+      </h3>
+      <div className="grid md:grid-cols-3 gap-4 text-sm">
+        <div>
+          <label className="block mb-1 text-gray-400">Gesture</label>
+          <select
+            value={settings.gestureId}
+            onChange={(e) => update('gestureId', parseInt(e.target.value))}
+            className="w-full bg-slate-700 text-white rounded-lg px-3 py-2 border border-slate-600 focus:border-blue-500 focus:outline-none"
+          >
+            {simulatedGestures.map((name, idx) => (
+              <option key={idx} value={idx}>
+                {idx}: {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="flex justify-between mb-1 text-gray-400">
+            <span>Intensity</span>
+            <span className="font-mono">{Math.round(settings.intensity * 100)}%</span>
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="1.5"
+            step="0.05"
+            value={settings.intensity}
+            onChange={(e) => update('intensity', parseFloat(e.target.value))}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="flex justify-between mb-1 text-gray-400">
+            <span>Noise</span>
+            <span className="font-mono">{settings.noise.toFixed(1)}x</span>
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="5"
+            step="0.1"
+            value={settings.noise}
+            onChange={(e) => update('noise', parseFloat(e.target.value))}
+            className="w-full"
+          />
+        </div>
+        <div>
+          <label className="flex justify-between mb-1 text-gray-400">
+            <span>Packet loss</span>
+            <span className="font-mono">{Math.round(settings.packetLoss * 100)}%</span>
+          </label>
+          <input
+            type="range"
+            min="0"
+            max="0.5"
+            step="0.01"
+            value={settings.packetLoss}
+            onChange={(e) => update('packetLoss', parseFloat(e.target.value))}
+            className="w-full"
+          />
+        </div>
+        <label className="flex items-center gap-2 text-gray-400">
+          <input
+            type="checkbox"
+            checked={settings.binary}
+            onChange={(e) => update('binary', e.target.checked)}
+          />
+          Send binary frames
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default SimulatorPanel;
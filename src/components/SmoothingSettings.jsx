@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Filter, ChevronDown, ChevronRight, RotateCcw } from 'lucide-react';
+import { DEFAULT_SMOOTHING } from '../ml/PredictionSmoother';
+import { useGestures } from '../gestures/useGestures';
+
+const inputClass = 'w-full bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none';
+
+const FIELDS = [
+  { key: 'emaAlpha', label: 'Smoothing α (1 = off)', min: 0.05, max: 1, step: 0.05 },
+  { key: 'voteWindow', label: 'Vote window (1 = off)', min: 1, max: 30, step: 1 },
+  { key: 'enterThreshold', label: 'Enter threshold', min: 0, max: 1, step: 0.05 },
+  { key: 'exitThreshold', label: 'Exit threshold', min: 0, max: 1, step: 0.05 },
+  { key: 'dwellMs', label: 'Dwell time (ms)', min: 0, max: 2000, step: 50 }
+];
+
+const SmoothingSettings = ({ smoother }) => {
+  const gestures = useGestures();
+  const [settings, setSettings] = useState(smoother.settings);
+  const [expanded, setExpanded] = useState(false);
+
+  const save = (changes) => {
+    smoother.setSettings(changes);
+    setSettings(smoother.settings);
+  };
+
+  const updateOverride = (gestureId, key, value) => {
+    const current = { ...(settings.perGesture[gestureId] || {}) };
+    if (value === '') {
+      delete current[key];
+    } else {
+      current[key] = Number(value);
+    }
+    const perGesture = { ...settings.perGesture, [gestureId]: current };
+    if (Object.keys(current).length === 0) {
+      delete perGesture[gestureId];
+    }
+    save({ perGesture });
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur rounded-2xl p-4 border border-slate-700 mb-8 text-sm">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center gap-2 font-semibold"
+        >
+          {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          <Filter className="w-4 h-4" />
+          Prediction Smoothing
+        </button>
+        {expanded && (
+          <button
+            onClick={() => save(DEFAULT_SMOOTHING)}
+            className="ml-auto flex items-center gap-1 text-gray-400 hover:text-white"
+          >
+            <RotateCcw className="w-3 h-3" />
+            Defaults
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <>
+          <div className="mt-3 grid grid-cols-2 md:grid-cols-5 gap-2">
+            {FIELDS.map(({ key, label, ...props }) => (
+              <label key={key} className="block">
+                <span className="text-gray-400">{label}</span>
+                <input
+                  type="number"
+                  value={settings[key]}
+                  onChange={(e) => setSettings({ ...settings, [key]: e.target.value })}
+                  onBlur={(e) => save({ [key]: Math.max(props.min, Math.min(props.max, Number(e.target.value) || 0)) })}
+                  className={inputClass}
+                  {...props}
+                />
+              </label>
+            ))}
+          </div>
+
+          <div className="mt-3">
+            <div className="text-gray-400 mb-1">Per-gesture thresholds (blank = default):</div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-x-4 gap-y-1">
+              {gestures.map(g => {
+                const override = settings.perGesture[g.id] || {};
+                return (
+                  <div key={g.id} className="flex items-center gap-2">
+                    <span className="flex-1 truncate">{g.name}</span>
+                    {['enter', 'exit'].map(key => (
+                      <input
+                        key={key}
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        placeholder={key}
+                        value={override[key] ?? ''}
+                        onChange={(e) => updateOverride(g.id, key, e.target.value)}
+                        className="w-16 bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+                      />
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SmoothingSettings;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronRight } from 'lucide-react';
+import { TRAINING_PRESETS } from '../ml/trainingConfig';
+
+const inputClass = 'w-full bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none';
+
+const formatLayers = (layers) => layers.join(', ');
+const parseLayers = (text) => text.split(/[\s,]+/).filter(Boolean).map(Number);
+
+const TrainingConfigPanel = ({ classifier, modelType, disabled }) => {
+  const [config, setConfig] = useState(classifier.trainingConfig);
+  const [expanded, setExpanded] = useState(false);
+  // Layer lists are edited as text and applied on blur
+  const [hiddenText, setHiddenText] = useState(formatLayers(config.hiddenUnits));
+  const [convText, setConvText] = useState(formatLayers(config.convFilters));
+
+  useEffect(() => {
+    const refresh = () => {
+      setConfig(classifier.trainingConfig);
+      setHiddenText(formatLayers(classifier.trainingConfig.hiddenUnits));
+      setConvText(formatLayers(classifier.trainingConfig.convFilters));
+    };
+    refresh();
+    return classifier.subscribe(refresh);
+  }, [classifier]);
+
+  const apply = (changes) => {
+    const current = classifier.trainingConfig;
+    const changed = Object.entries(changes).some(([key, value]) => String(value) !== String(current[key]));
+    if (changed) {
+      classifier.setTrainingConfig({ ...current, ...changes, preset: 'custom' });
+    } else {
+      setConfig(current);
+    }
+  };
+
+  const numberField = (label, key, props) => (
+    <label className="block">
+      <span className="text-gray-400">{label}</span>
+      <input
+        type="number"
+        value={config[key]}
+        onChange={(e) => setConfig({ ...config, [key]: e.target.value })}
+        onBlur={(e) => apply({ [key]: Number(e.target.value) })}
+        disabled={disabled}
+        className={inputClass}
+        {...props}
+      />
+    </label>
+  );
+
+  return (
+    <div className="mb-4 p-3 bg-slate-700/50 rounded-lg text-sm">
+      <div className="flex items-center gap-2">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center gap-2 font-semibold"
+        >
+          {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+          <SlidersHorizontal className="w-4 h-4" />
+          Training Config
+        </button>
+        <select
+          value={config.preset}
+          onChange={(e) => classifier.setTrainingConfig({ preset: e.target.value })}
+          disabled={disabled}
+          className="ml-auto bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+        >
+          {Object.entries(TRAINING_PRESETS).map(([id, preset]) => (
+            <option key={id} value={id}>{preset.label}</option>
+          ))}
+          {config.preset === 'custom' && <option value="custom">Custom</option>}
+        </select>
+      </div>
+
+      {expanded && (
+        <div className="mt-3 grid grid-cols-2 gap-2">
+          {numberField('Epochs', 'epochs', { min: 1, max: 1000 })}
+          {numberField('Batch size', 'batchSize', { min: 1, max: 1024 })}
+          {numberField('Learning rate', 'learningRate', { min: 0.00001, max: 1, step: 0.0001 })}
+          {numberField('Dropout', 'dropout', { min: 0, max: 0.9, step: 0.05 })}
+          <label className="block">
+            <span className="text-gray-400">Hidden layers</span>
+            <input
+              value={hiddenText}
+              onChange={(e) => setHiddenText(e.target.value)}
+              onBlur={() => apply({ hiddenUnits: parseLayers(hiddenText) })}
+              disabled={disabled}
+              placeholder="64, 32"
+              className={`${inputClass} font-mono`}
+            />
+          </label>
+          {modelType === 'windowed' && (
+            <label className="block">
+              <span className="text-gray-400">Conv filters</span>
+              <input
+                value={convText}
+                onChange={(e) => setConvText(e.target.value)}
+                onBlur={() => apply({ convFilters: parseLayers(convText) })}
+                disabled={disabled}
+                placeholder="32, 64"
+                className={`${inputClass} font-mono`}
+              />
+            </label>
+          )}
+          <label className="col-span-2 flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={config.earlyStopping}
+              onChange={(e) => apply({ earlyStopping: e.target.checked })}
+              disabled={disabled}
+            />
+            Early stopping on validation loss
+            {config.earlyStopping && (
+              <span className="flex items-center gap-1 text-gray-400">
+                patience
+                <input
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={config.patience}
+                  onChange={(e) => setConfig({ ...config, patience: e.target.value })}
+                  onBlur={(e) => apply({ patience: Number(e.target.value) })}
+                  disabled={disabled}
+                  className="w-16 bg-slate-700 text-white rounded px-2 py-1 border border-slate-600 focus:border-blue-500 focus:outline-none"
+                />
+              </span>
+            )}
+          </label>
+          <label className="col-span-2 flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={config.classWeighting}
+              onChange={(e) => apply({ classWeighting: e.target.checked })}
+              disabled={disabled}
+            />
+            Weight classes by inverse frequency
+          </label>
+          <p className="col-span-2 text-xs text-gray-500">
+            Changing layers or dropout builds a new model at the next training run; the active model keeps predicting until then.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrainingConfigPanel;
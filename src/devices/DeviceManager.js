@@ -0,0 +1,129 @@
+import { parsePacket } from '../protocol/packet';
+import PacketStats from '../protocol/PacketStats';
+import { createId } from '../utils/id';
+
+const ROLES_KEY = 'gesture-device-roles';
+const DEFAULT_ROLES = ['Right', 'Left'];
+const HISTORY_LENGTH = 10;
+
+/**
+ * Additional gloves connected next to the primary one
+ * The primary glove runs the full pipeline (ML, actions, recording); each
+ * additional glove keeps its own latest packet and ESP32 gesture stream.
+ * Roles are stored per slot: slot 0 is the primary glove, slot 1 the first
+ * additional one, and so on.
+ */
+class DeviceManager {
+  constructor() {
+    this.devices = []; // { id, label, transport, link, stats, sensorData, gesture, history }
+    this.roles = this.loadRoles();
+    this.listeners = new Set();
+  }
+
+  loadRoles() {
+    try {
+      return JSON.parse(localStorage.getItem(ROLES_KEY)) || [...DEFAULT_ROLES];
+    } catch (err) {
+      console.error('Error loading device roles:', err);
+      return [...DEFAULT_ROLES];
+    }
+  }
+
+  roleOf(slot) {
+    return this.roles[slot] || `Glove ${slot + 1}`;
+  }
+
+  setRole(slot, role) {
+    this.roles[slot] = role;
+    localStorage.setItem(ROLES_KEY, JSON.stringify(this.roles));
+    this.notify();
+  }
+
+  /**
+   * Connect a transport as an additional glove
+   */
+  async add(transport) {
+    const device = {
+      id: createId('device'),
+      label: '',
+      transport,
+      link: { status: 'connected' },
+      stats: new PacketStats(),
+      sensorData: null,
+      gesture: null,
+      history: []
+    };
+
+    transport.onData = (data) => this.handlePacket(device, data);
+    transport.onDisconnect = () => this.detach(device);
+    transport.onStateChange = (status, detail) => {
+      device.link = { status, ...detail };
+      this.notify();
+    };
+    await transport.connect();
+
+    device.label = transport.label;
+    this.devices = [...this.devices, device];
+    this.notify();
+    return device;
+  }
+
+  handlePacket(device, data) {
+    let packet;
+    try {
+      packet = parsePacket(data);
+    } catch (err) {
+      device.stats.recordError(err);
+      return;
+    }
+    device.stats.record(packet);
+
+    const { gesture, sensorData } = packet;
+    device.sensorData = sensorData;
+    // The stream lists gesture changes, not every packet
+    if (!device.gesture || device.gesture.id !== gesture.id) {
+      device.history = [{ ...gesture, timestamp: Date.now() }, ...device.history].slice(0, HISTORY_LENGTH);
+    }
+    device.gesture = gesture;
+    this.notify();
+  }
+
+  detach(device) {
+    this.devices = this.devices.filter(d => d !== device);
+    this.notify();
+  }
+
+  async remove(id) {
+    const device = this.devices.find(d => d.id === id);
+    if (!device) return;
+    device.transport.onDisconnect = null;
+    await device.transport.disconnect();
+    this.detach(device);
+  }
+
+  async removeAll() {
+    await Promise.all(this.devices.map(d => this.remove(d.id)));
+  }
+
+  /**
+   * Latest packet of the first additional glove, the second hand of
+   * two-handed gestures
+   */
+  partnerData() {
+    return this.devices.length > 0 ? this.devices[0].sensorData : null;
+  }
+
+  /**
+   * Subscribe to device and packet changes; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.devices));
+  }
+}
+
+export default DeviceManager;
@@ -0,0 +1,162 @@
+/**
+ * Gesture Registry
+ * Single source of truth for the gesture vocabulary (id, name, icon, color)
+ * shared by the visualizer, the trainer and the classifier
+ */
+
+const STORAGE_KEY = 'gesture-registry';
+
+// Firmware gestures; ids match detectGesture() in esp32_gesture.ino
+export const DEFAULT_GESTURES = [
+  { id: 0, name: 'IDLE', icon: 'Activity', color: 'from-gray-400 to-gray-600' },
+  { id: 1, name: 'FIST', icon: 'Hand', color: 'from-red-500 to-orange-600' },
+  { id: 2, name: 'OPEN_HAND', icon: 'Hand', color: 'from-blue-500 to-cyan-600' },
+  { id: 3, name: 'WAVE_LEFT', icon: 'ArrowLeft', color: 'from-purple-500 to-pink-600' },
+  { id: 4, name: 'WAVE_RIGHT', icon: 'ArrowRight', color: 'from-green-500 to-emerald-600' },
+  { id: 5, name: 'TILT_UP', icon: 'TrendingUp', color: 'from-yellow-500 to-amber-600' },
+  { id: 6, name: 'TILT_DOWN', icon: 'TrendingDown', color: 'from-indigo-500 to-purple-600' },
+  { id: 7, name: 'TILT_RIGHT', icon: 'RotateCw', color: 'from-teal-500 to-cyan-600' },
+  { id: 8, name: 'TILT_LEFT', icon: 'RotateCcw', color: 'from-rose-500 to-pink-600' }
+];
+
+// Shown when the classifier rejects its input; never part of the vocabulary
+export const UNKNOWN_GESTURE_ID = -1;
+
+export const GESTURE_COLORS = [
+  'from-gray-400 to-gray-600',
+  'from-red-500 to-orange-600',
+  'from-blue-500 to-cyan-600',
+  'from-purple-500 to-pink-600',
+  'from-green-500 to-emerald-600',
+  'from-yellow-500 to-amber-600',
+  'from-indigo-500 to-purple-600',
+  'from-teal-500 to-cyan-600',
+  'from-rose-500 to-pink-600',
+  'from-lime-500 to-green-600',
+  'from-sky-500 to-blue-600',
+  'from-fuchsia-500 to-purple-600',
+  'from-orange-500 to-red-600'
+];
+
+const normalizeName = (name) => name.trim().toUpperCase().replace(/\s+/g, '_');
+
+const maxId = (gestures) => gestures.reduce((max, g) => Math.max(max, g.id), -1);
+
+class GestureRegistry {
+  constructor() {
+    const { gestures, nextId } = this.load();
+    this.gestures = gestures;
+    // Ids are never handed out twice, so samples, bindings and models of a
+    // removed gesture (or firmware packets of a removed firmware gesture)
+    // never take the label of a later one
+    this.nextId = nextId;
+    this.listeners = new Set();
+  }
+
+  load() {
+    const firstFree = (gestures) => Math.max(maxId(gestures), maxId(DEFAULT_GESTURES)) + 1;
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      // Older versions stored the gesture list alone
+      const gestures = Array.isArray(stored) ? stored : stored && stored.gestures;
+      if (Array.isArray(gestures) && gestures.length > 0) {
+        return {
+          gestures,
+          nextId: Math.max(firstFree(gestures), Number.isInteger(stored.nextId) ? stored.nextId : 0)
+        };
+      }
+    } catch (err) {
+      console.error('Error loading gesture registry:', err);
+    }
+    return { gestures: DEFAULT_GESTURES.map(g => ({ ...g })), nextId: firstFree(DEFAULT_GESTURES) };
+  }
+
+  save() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ gestures: this.gestures, nextId: this.nextId }));
+    this.listeners.forEach(listener => listener(this.gestures));
+  }
+
+  /**
+   * Subscribe to vocabulary changes; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  getAll() {
+    return this.gestures;
+  }
+
+  get(id) {
+    return this.gestures.find(g => g.id === id) || null;
+  }
+
+  getName(id) {
+    const gesture = this.get(id);
+    if (gesture) return gesture.name;
+    return id === UNKNOWN_GESTURE_ID ? 'UNKNOWN' : `#${id}`;
+  }
+
+  findByName(name) {
+    return this.gestures.find(g => g.name === name) || null;
+  }
+
+  /**
+   * Ids in registry order; the classifier's output units follow this order
+   */
+  getIds() {
+    return this.gestures.map(g => g.id);
+  }
+
+  add({ name, icon = 'Star', color }) {
+    const normalized = normalizeName(name);
+    if (!normalized) {
+      throw new Error('Gesture name is required');
+    }
+    if (this.findByName(normalized)) {
+      throw new Error(`Gesture ${normalized} already exists`);
+    }
+
+    const id = this.nextId++;
+    const gesture = {
+      id,
+      name: normalized,
+      icon,
+      color: color || GESTURE_COLORS[id % GESTURE_COLORS.length]
+    };
+    this.gestures = [...this.gestures, gesture];
+    this.save();
+    return gesture;
+  }
+
+  update(id, changes) {
+    const next = { ...changes };
+    if (next.name !== undefined) {
+      next.name = normalizeName(next.name);
+      const existing = this.findByName(next.name);
+      if (!next.name || (existing && existing.id !== id)) {
+        throw new Error(`Invalid or duplicate gesture name ${next.name}`);
+      }
+    }
+    this.gestures = this.gestures.map(g => (g.id === id ? { ...g, ...next } : g));
+    this.save();
+  }
+
+  remove(id) {
+    if (this.gestures.length <= 2) {
+      throw new Error('At least two gestures are required');
+    }
+    this.gestures = this.gestures.filter(g => g.id !== id);
+    this.save();
+  }
+
+  reset() {
+    this.gestures = DEFAULT_GESTURES.map(g => ({ ...g }));
+    this.save();
+  }
+}
+
+export const gestureRegistry = new GestureRegistry();
+
+export default GestureRegistry;
@@ -0,0 +1,31 @@
+import React from 'react';
+import {
+  Activity, Hand, Grab, ArrowLeft, ArrowRight, ArrowUp, ArrowDown, TrendingUp, TrendingDown,
+  RotateCw, RotateCcw, ThumbsUp, ThumbsDown, Pointer, Star, Circle, Zap, HelpCircle
+} from 'lucide-react';
+
+// Icons selectable for a gesture, keyed by the name stored in the registry
+export const gestureIconComponents = {
+  Activity,
+  Hand,
+  Grab,
+  ArrowLeft,
+  ArrowRight,
+  ArrowUp,
+  ArrowDown,
+  TrendingUp,
+  TrendingDown,
+  RotateCw,
+  RotateCcw,
+  ThumbsUp,
+  ThumbsDown,
+  Pointer,
+  Star,
+  Circle,
+  Zap
+};
+
+export const GestureIcon = ({ name, className = 'w-12 h-12' }) => {
+  const Icon = gestureIconComponents[name] || HelpCircle;
+  return <Icon className={className} />;
+};
@@ -0,0 +1,13 @@
+import { useState, useEffect } from 'react';
+import { gestureRegistry } from './GestureRegistry';
+
+/**
+ * Current gesture vocabulary, re-rendering when the registry changes
+ */
+export const useGestures = () => {
+  const [gestures, setGestures] = useState(gestureRegistry.getAll());
+
+  useEffect(() => gestureRegistry.subscribe(setGestures), []);
+
+  return gestures;
+};
@@ -0,0 +1,190 @@
+import { createId } from '../utils/id';
+
+const PLAN_KEY = 'gesture-collection-plan';
+
+export const DEFAULT_COLLECTION_PLAN = {
+  gestureIds: null, // null: every gesture of the vocabulary
+  repetitions: 3,
+  countdownMs: 3000,
+  takeMs: 3000,
+  restMs: 2000,
+  trimMs: 300, // dropped at the start and end of each take
+  targetPerClass: 200
+};
+
+export const loadCollectionPlan = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PLAN_KEY));
+    return { ...DEFAULT_COLLECTION_PLAN, ...stored };
+  } catch (err) {
+    console.error('Error loading collection plan:', err);
+    return { ...DEFAULT_COLLECTION_PLAN };
+  }
+};
+
+export const saveCollectionPlan = (plan) => {
+  localStorage.setItem(PLAN_KEY, JSON.stringify(plan));
+};
+
+/**
+ * Warnings for classes that are missing, below the target or much smaller
+ * than the largest class
+ */
+export const balanceWarnings = (samplesPerClass, gestureIds, target, nameOf = String) => {
+  const counts = gestureIds.map(id => ({ id, count: samplesPerClass[id] || 0 }));
+  const largest = counts.reduce((max, c) => (c.count > max.count ? c : max), { count: 0 });
+  const warnings = [];
+  counts.forEach(({ id, count }) => {
+    if (count === 0) {
+      warnings.push(`${nameOf(id)} has no samples`);
+    } else if (count < largest.count / 2) {
+      warnings.push(`${nameOf(id)} has ${count} samples, less than half of ${nameOf(largest.id)} (${largest.count})`);
+    } else if (target > 0 && count < target) {
+      warnings.push(`${nameOf(id)} has ${count} of ${target} target samples`);
+    }
+  });
+  return warnings;
+};
+
+/**
+ * Scripted data collection
+ * Runs takes of each planned gesture in rounds (A, B, C, A, B, C ...), each
+ * preceded by a countdown and followed by a rest. Frames are captured per
+ * packet through capture(); a take's frames are trimmed at both ends, so the
+ * movement into and out of the pose is not labelled, and then added to the
+ * classifier as one take. Takes of a class that reached its target are
+ * skipped.
+ */
+class CollectionSession {
+  constructor({ classifier, plan }) {
+    this.classifier = classifier;
+    this.plan = plan;
+    this.listeners = new Set();
+    this.timer = null;
+    this.state = { phase: 'idle' };
+  }
+
+  /**
+   * Subscribe to phase changes and captured frames; returns an unsubscribe
+   * function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.state));
+  }
+
+  get running() {
+    return !['idle', 'done', 'stopped'].includes(this.state.phase);
+  }
+
+  start() {
+    const { gestureIds, repetitions } = this.plan;
+    const queue = [];
+    for (let repetition = 1; repetition <= repetitions; repetition++) {
+      gestureIds.forEach(gestureId => queue.push({ gestureId, repetition }));
+    }
+    this.queue = queue;
+    this.frames = [];
+    this.state = {
+      phase: 'idle',
+      index: -1,
+      total: queue.length,
+      take: null,
+      phaseEndsAt: null,
+      added: {}, // gestureId -> samples added by this session
+      trimmed: 0,
+      skipped: 0,
+      lastTake: null // { gestureId, kept, trimmed }
+    };
+    this.next();
+  }
+
+  /**
+   * Abort; a take in progress is discarded
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.frames = [];
+    if (this.running) {
+      this.setPhase('stopped', null);
+    }
+  }
+
+  classCount(gestureId) {
+    return this.classifier.getTrainingStats().samplesPerClass[gestureId] || 0;
+  }
+
+  next() {
+    let index = this.state.index + 1;
+    const target = this.plan.targetPerClass;
+    while (index < this.queue.length && target > 0 && this.classCount(this.queue[index].gestureId) >= target) {
+      this.state.skipped++;
+      index++;
+    }
+    if (index >= this.queue.length) {
+      this.state.index = this.queue.length;
+      this.state.take = null;
+      this.setPhase('done', null);
+      return;
+    }
+
+    this.state.index = index;
+    this.state.take = this.queue[index];
+    this.setPhase('countdown', this.plan.countdownMs, () => this.beginTake());
+  }
+
+  beginTake() {
+    this.frames = [];
+    this.takeStartedAt = performance.now();
+    this.setPhase('take', this.plan.takeMs, () => this.endTake());
+  }
+
+  /**
+   * Record one packet; ignored outside a take
+   */
+  capture(sensorData, now = performance.now()) {
+    if (this.state.phase !== 'take') return;
+    this.frames.push({ sensorData, t: now - this.takeStartedAt });
+    this.state = { ...this.state, frames: this.frames.length };
+    this.notify();
+  }
+
+  endTake() {
+    const { trimMs, takeMs } = this.plan;
+    const kept = this.frames.filter(f => f.t >= trimMs && f.t <= takeMs - trimMs);
+    const { gestureId } = this.state.take;
+    if (kept.length > 0) {
+      this.classifier.addSamples(kept.map(f => f.sensorData), gestureId, createId('take'));
+    }
+    this.state.added[gestureId] = (this.state.added[gestureId] || 0) + kept.length;
+    this.state.trimmed += this.frames.length - kept.length;
+    this.state.lastTake = { gestureId, kept: kept.length, trimmed: this.frames.length - kept.length };
+    this.frames = [];
+
+    if (this.state.index + 1 < this.queue.length) {
+      this.setPhase('rest', this.plan.restMs, () => this.next());
+    } else {
+      this.next();
+    }
+  }
+
+  setPhase(phase, durationMs, then) {
+    this.state = {
+      ...this.state,
+      phase,
+      frames: 0,
+      phaseEndsAt: durationMs === null ? null : Date.now() + durationMs
+    };
+    if (then) {
+      this.timer = setTimeout(then, durationMs);
+    }
+    this.notify();
+  }
+}
+
+export default CollectionSession;
@@ -1,45 +1,163 @@
 import * as tf from '@tensorflow/tfjs';
+import SampleStore from './SampleStore';
+import ModelLibrary, { LEGACY_MODEL_URL } from './ModelLibrary';
+import { FEATURE_NAMES, featureNamesFor } from './datasetIO';
+import { serializeModel, readModelFiles, checkTopology, inspectModel } from './modelIO';
+import { createId } from '../utils/id';
+import { gestureRegistry } from '../gestures/GestureRegistry';
+import { normalizeWithProfile } from '../calibration/calibration';
+import { stratifiedSplit, groupedSplit, groupedKFold, confusionMatrix, metricsFromMatrix } from './evaluation';
+import { DEFAULT_TRAINING_CONFIG, resolveTrainingConfig, architectureChanged } from './trainingConfig';
+import {
+  loadAugmentation,
+  saveAugmentation,
+  resolveAugmentation,
+  augmentExample,
+  augmentTrainingSet
+} from './augmentation';
+import { getModelWorker } from './ModelWorkerClient';
+import { calibrateOpenSet, openSetScores, remapOpenSet } from './openSet';
+import {
+  CORRECTION_TAKE_PREFIX,
+  loadFineTune,
+  saveFineTune,
+  resolveFineTune,
+  isCorrectionTake
+} from './fineTuning';
+
+const MAX_MISCLASSIFIED = 200;
 
 /**
  * Machine Learning Gesture Classifier
- * Uses TensorFlow.js to classify gestures from sensor data
+ * Uses TensorFlow.js to classify gestures from sensor data. With hands > 1
+ * it works on the concatenated packets of several gloves, with datasets and
+ * models stored apart from the single-glove ones.
+ * The model object here is used for storage, import and export; fitting
+ * and inference run on a copy in the model worker.
  */
 class GestureClassifier {
-  constructor() {
+  constructor({ registry = gestureRegistry, hands = 1 } = {}) {
     this.model = null;
+    this.trained = false; // untrained models do not predict
     this.isTraining = false;
     this.trainingData = [];
     this.labels = [];
-    this.numFeatures = 8; // flex1, flex2, ax, ay, az, gx, gy, gz
-    this.numClasses = 9; // 0-8 gestures
+    this.rawData = [];
+    this.sampleMeta = []; // { id, takeId, createdAt } per sample
+    this.hands = hands;
+    this.store = new SampleStore({ hands });
+    this.library = new ModelLibrary({ hands });
+    this.activeModel = null; // library record of the loaded model
+    this.dataset = null;
+    this.listeners = new Set();
+    this.featureNames = featureNamesFor(hands);
+    this.numFeatures = this.featureNames.length; // flex1, flex2, ax, ay, az, gx, gy, gz per hand
+    this.registry = registry;
+    this.classIds = registry.getIds(); // gesture id for each output unit
+    this.modelType = 'snapshot'; // 'snapshot' or 'windowed'
+    this.windowSize = 20; // packets per window (~2.4s at the firmware's send rate)
+    this.windowStride = 2;
+    this.frameBuffer = [];
+    this.packetBuffer = []; // raw packets of frameBuffer
+    this.calibration = null;
+    this.partnerCalibration = null; // profile of the second glove's device
+    this.openSet = null; // open-set calibration of the current model
+    this.lastEvaluation = null;
+    this.trainingConfig = { ...DEFAULT_TRAINING_CONFIG };
+    this.rebuildPending = false; // the config's layers differ from the model's
+    this.augmentation = loadAugmentation();
+    this.fineTuning = loadFineTune();
+    this.fineTuneStatus = null; // { epoch, epochs, corrections } while fine-tuning
+    this.worker = getModelWorker();
+    this.slot = `live-${hands}h`; // worker slot of the inference copy
+    this.workerReady = Promise.resolve();
+    this.worker.subscribe(() => this.model && this.syncWorker());
+    registry.subscribe(() => this.syncClasses());
+  }
+
+  get numClasses() {
+    return this.classIds.length;
   }
 
   /**
    * Initialize or load a pre-trained model
    */
   async initialize() {
+    await this.loadStoredSamples();
+
     // Try to load saved model first
     const loaded = await this.loadModel();
-    if (loaded) {
-      return true;
+    if (!loaded) {
+      // Create a new model
+      this.resetModel();
     }
 
-    // Create a new model
-    this.model = tf.sequential({
+    this.notify();
+    return loaded;
+  }
+
+  /**
+   * Build an untrained model for the current model type
+   */
+  createModel() {
+    const model = this.modelType === 'windowed'
+      ? this.createWindowedModel()
+      : this.createSnapshotModel();
+    this.compileModel(model);
+    return model;
+  }
+
+  /**
+   * Dense network over the features of a single packet
+   */
+  createSnapshotModel() {
+    const { hiddenUnits, dropout } = this.trainingConfig;
+    const layers = hiddenUnits.flatMap((units, i) => [
+      tf.layers.dense({
+        ...(i === 0 ? { inputShape: [this.numFeatures] } : {}),
+        units,
+        activation: 'relu',
+        name: `dense${i + 1}`
+      }),
+      tf.layers.dropout({ rate: dropout })
+    ]);
+
+    return tf.sequential({
       layers: [
+        ...layers,
         tf.layers.dense({
-          inputShape: [this.numFeatures],
-          units: 64,
-          activation: 'relu',
-          name: 'dense1'
-        }),
-        tf.layers.dropout({ rate: 0.2 }),
+          units: this.numClasses,
+          activation: 'softmax',
+          name: 'output'
+        })
+      ]
+    });
+  }
+
+  /**
+   * 1D-CNN over a window of the last windowSize packets
+   */
+  createWindowedModel() {
+    const { convFilters, hiddenUnits, dropout } = this.trainingConfig;
+    const convLayers = convFilters.map((filters, i) => tf.layers.conv1d({
+      ...(i === 0 ? { inputShape: [this.windowSize, this.numFeatures] } : {}),
+      filters,
+      kernelSize: 3,
+      activation: 'relu',
+      padding: 'same',
+      name: `conv${i + 1}`
+    }));
+
+    return tf.sequential({
+      layers: [
+        ...convLayers,
+        tf.layers.globalMaxPooling1d({ name: 'pool' }),
+        tf.layers.dropout({ rate: dropout }),
         tf.layers.dense({
-          units: 32,
+          units: hiddenUnits[hiddenUnits.length - 1],
           activation: 'relu',
-          name: 'dense2'
+          name: 'dense1'
         }),
-        tf.layers.dropout({ rate: 0.2 }),
         tf.layers.dense({
           units: this.numClasses,
           activation: 'softmax',
@@ -47,81 +165,599 @@ class GestureClassifier {
         })
       ]
     });
+  }
 
-    this.model.compile({
-      optimizer: 'adam',
+  compileModel(model) {
+    model.compile({
+      optimizer: tf.train.adam(this.trainingConfig.learningRate),
       loss: 'categoricalCrossentropy',
       metrics: ['accuracy']
     });
+  }
+
+  /**
+   * Change hyperparameters; a new architecture is built when the next
+   * training run starts, so the trained model keeps predicting until then
+   */
+  setTrainingConfig(config) {
+    const next = resolveTrainingConfig(config);
+    if (architectureChanged(this.trainingConfig, next)) {
+      this.rebuildPending = true;
+    }
+    this.trainingConfig = next;
+    if (this.model && !this.isTraining) {
+      this.compileModel(this.model);
+    }
+    this.notify();
+  }
+
+  /**
+   * Change the augmentation applied to the training split
+   */
+  setAugmentation(settings) {
+    this.augmentation = resolveAugmentation({ ...this.augmentation, ...settings });
+    saveAugmentation(this.augmentation);
+    this.notify();
+  }
+
+  /**
+   * Change how corrections are fine-tuned into the active model
+   */
+  setFineTuning(settings) {
+    this.fineTuning = resolveFineTune({ ...this.fineTuning, ...settings });
+    saveFineTune(this.fineTuning);
+    this.notify();
+  }
+
+  /**
+   * Follow the gesture registry: rebuild the output layer when gestures are
+   * added or removed, keeping the trained weights of gestures that remain
+   */
+  syncClasses() {
+    const nextIds = this.registry.getIds();
+    if (nextIds.join(',') === this.classIds.join(',')) {
+      return;
+    }
+    if (this.model && !this.isTraining) {
+      const previous = this.model;
+      this.model = this.rebuildOutputLayer(previous, this.classIds, nextIds);
+      previous.dispose();
+      this.syncWorker();
+    }
+    this.classIds = nextIds;
+    this.notify();
+  }
+
+  rebuildOutputLayer(model, previousIds, nextIds) {
+    const hidden = model.layers.slice(0, -1).filter(layer => layer.getClassName() !== 'InputLayer');
+    const oldOutput = model.layers[model.layers.length - 1];
+    const output = tf.layers.dense({
+      units: nextIds.length,
+      activation: 'softmax',
+      name: 'output'
+    });
+    const features = hidden.reduce((tensor, layer) => layer.apply(tensor), model.inputs[0]);
+    const rebuilt = tf.model({ inputs: model.inputs, outputs: output.apply(features) });
+
+    // Copy weights of units whose gesture still exists
+    const [oldKernel, oldBias] = oldOutput.getWeights();
+    const [newKernel, newBias] = output.getWeights();
+    const kernel = newKernel.arraySync();
+    const bias = newBias.arraySync();
+    const oldKernelValues = oldKernel.arraySync();
+    const oldBiasValues = oldBias.arraySync();
+    nextIds.forEach((id, unit) => {
+      const previousUnit = previousIds.indexOf(id);
+      if (previousUnit !== -1) {
+        kernel.forEach((row, i) => {
+          row[unit] = oldKernelValues[i][previousUnit];
+        });
+        bias[unit] = oldBiasValues[previousUnit];
+      }
+    });
+    output.setWeights([tf.tensor2d(kernel), tf.tensor1d(bias)]);
+
+    this.compileModel(rebuilt);
+    return rebuilt;
+  }
+
+  /**
+   * Switch between the snapshot and windowed model
+   * Activates the newest library model of that type and window size; if
+   * there is none the model is reset to untrained weights, which do not
+   * predict until trained
+   */
+  async setModelType(modelType, windowSize = this.windowSize) {
+    const changed = modelType !== this.modelType ||
+      (modelType === 'windowed' && windowSize !== this.windowSize);
+    this.modelType = modelType;
+    this.windowSize = windowSize;
+    this.resetBuffer();
+    if (!changed || this.isTraining) return;
+
+    const matches = (m) => m.modelType === modelType &&
+      (modelType !== 'windowed' || m.windowSize === windowSize);
+    const record = (await this.library.list()).find(matches);
+    // Another type was chosen meanwhile
+    if (!matches(this)) return;
+    if (record) {
+      try {
+        await this.activateModel(record.id);
+        return;
+      } catch (err) {
+        console.error('Error loading model:', err);
+      }
+    }
+    this.activeModel = null;
+    this.resetModel();
+    this.notify();
+  }
+
+  /**
+   * Make model the current model and copy it to the worker, with the
+   * open-set calibration that belongs to it (none for untrained models)
+   */
+  replaceModel(model, openSet = null) {
+    if (this.model && this.model !== model) {
+      this.model.dispose();
+    }
+    this.model = model;
+    this.trained = true;
+    this.openSet = openSet;
+    this.syncWorker();
+  }
+
+  /**
+   * Replace the model with an untrained one built from the current config
+   */
+  resetModel() {
+    this.replaceModel(this.createModel());
+    this.trained = false;
+    this.rebuildPending = false;
+  }
+
+  syncWorker() {
+    this.workerReady = this.worker.load(this.slot, this.model)
+      .catch(err => console.error('Error loading model into the worker:', err));
+  }
+
+  /**
+   * Derive model type and window size from a model's input shape
+   */
+  detectModelType(model) {
+    const shape = model.inputs[0].shape;
+    if (shape.length === 3) {
+      this.modelType = 'windowed';
+      this.windowSize = shape[1];
+    } else {
+      this.modelType = 'snapshot';
+    }
+  }
+
+  /**
+   * Build sliding windows over each recording take
+   * Frames of a take are consecutive packets of one gesture
+   */
+  buildWindows() {
+    const takes = new Map();
+    this.sampleMeta.forEach((meta, i) => {
+      if (!takes.has(meta.takeId)) {
+        takes.set(meta.takeId, []);
+      }
+      takes.get(meta.takeId).push(i);
+    });
+
+    const windows = [];
+    const rawWindows = [];
+    const labels = [];
+    const refs = []; // index of each window's last frame
+    takes.forEach(indices => {
+      for (let start = 0; start + this.windowSize <= indices.length; start += this.windowStride) {
+        const frames = indices.slice(start, start + this.windowSize);
+        const last = frames[frames.length - 1];
+        windows.push(frames.map(i => this.trainingData[i]));
+        rawWindows.push(frames.map(i => this.rawData[i]));
+        labels.push(this.labels[last]);
+        refs.push(last);
+      }
+    });
+    return { windows, rawWindows, labels, refs };
+  }
 
-    return false;
+  /**
+   * Raw feature array of one packet, or of one packet per hand
+   */
+  featuresOf(sensorData) {
+    const packets = Array.isArray(sensorData) ? sensorData : [sensorData];
+    if (packets.length !== this.hands) {
+      throw new Error(`Expected sensor data from ${this.hands} glove(s), got ${packets.length}`);
+    }
+    return packets.flatMap(packet => FEATURE_NAMES.map(name => packet[name]));
   }
 
   /**
    * Add training sample
    */
-  addSample(sensorData, gestureId) {
-    const features = [
-      sensorData.flex1,
-      sensorData.flex2,
-      sensorData.ax,
-      sensorData.ay,
-      sensorData.az,
-      sensorData.gx,
-      sensorData.gy,
-      sensorData.gz
-    ];
+  addSample(sensorData, gestureId, takeId = null) {
+    const features = this.featuresOf(sensorData);
+
+    const sample = this.addRawSample(features, gestureId, takeId);
+    this.persistSamples([sample]);
+  }
+
+  /**
+   * Add the packets of one take at once
+   */
+  addSamples(sensorDataList, gestureId, takeId) {
+    const samples = sensorDataList.map(sensorData =>
+      this.addRawSample(this.featuresOf(sensorData), gestureId, takeId));
+    this.persistSamples(samples);
+    this.notify();
+  }
+
+  /**
+   * Add training sample from a raw feature array (in memory only)
+   */
+  addRawSample(features, gestureId, takeId = null, meta = {}) {
+    const sample = {
+      id: meta.id || createId('sample'),
+      takeId: takeId || 'untitled',
+      gestureId,
+      raw: features,
+      createdAt: meta.createdAt || Date.now()
+    };
 
     // Normalize features
     const normalized = this.normalizeFeatures(features);
     
     this.trainingData.push(normalized);
     this.labels.push(gestureId);
+    this.rawData.push(features);
+    this.sampleMeta.push({ id: sample.id, takeId: sample.takeId, createdAt: sample.createdAt });
+    return sample;
+  }
+
+  /**
+   * Write samples to the active dataset in IndexedDB
+   */
+  async persistSamples(samples) {
+    if (!this.dataset) return;
+    try {
+      await this.store.addSamples(this.dataset.id, samples);
+    } catch (err) {
+      console.error('Error saving samples:', err);
+    }
+  }
+
+  /**
+   * Load the active dataset's samples from IndexedDB
+   */
+  async loadStoredSamples() {
+    try {
+      this.dataset = await this.store.getActiveDataset();
+      const samples = await this.store.getSamples(this.dataset.id);
+      this.resetArrays();
+      samples.forEach(s => this.addRawSample(s.raw, s.gestureId, s.takeId, s));
+      console.log(`Loaded ${samples.length} samples from dataset "${this.dataset.name}"`);
+    } catch (err) {
+      console.error('Error loading stored samples:', err);
+    }
+    this.notify();
+  }
+
+  /**
+   * Subscribe to changes of the training set; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  /**
+   * List stored datasets
+   */
+  listDatasets() {
+    return this.store.listDatasets();
+  }
+
+  /**
+   * Create a dataset and make it active
+   */
+  async createDataset(name) {
+    const dataset = await this.store.createDataset(name);
+    await this.switchDataset(dataset.id);
+    return dataset;
+  }
+
+  async renameDataset(id, name) {
+    await this.store.renameDataset(id, name);
+    if (this.dataset && this.dataset.id === id) {
+      this.dataset = { ...this.dataset, name };
+    }
+    this.notify();
+  }
+
+  /**
+   * Delete a dataset and its samples; switches away if it was active
+   */
+  async deleteDataset(id) {
+    await this.store.deleteDataset(id);
+    if (this.dataset && this.dataset.id === id) {
+      this.store.clearActiveDataset();
+      await this.loadStoredSamples();
+    } else {
+      this.notify();
+    }
+  }
+
+  async switchDataset(id) {
+    this.store.setActiveDataset(id);
+    await this.loadStoredSamples();
+  }
+
+  /**
+   * Group samples by recording take
+   */
+  getTakes() {
+    const takes = new Map();
+    this.sampleMeta.forEach((meta, i) => {
+      if (!takes.has(meta.takeId)) {
+        takes.set(meta.takeId, {
+          takeId: meta.takeId,
+          gestureId: this.labels[i],
+          count: 0,
+          createdAt: meta.createdAt,
+          sampleIds: []
+        });
+      }
+      const take = takes.get(meta.takeId);
+      take.count++;
+      take.sampleIds.push(meta.id);
+    });
+    return Array.from(takes.values()).sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * Delete samples by id from memory and storage
+   */
+  async deleteSamples(ids) {
+    const remove = new Set(ids);
+    const keep = this.sampleMeta.map(meta => !remove.has(meta.id));
+    this.trainingData = this.trainingData.filter((_, i) => keep[i]);
+    this.labels = this.labels.filter((_, i) => keep[i]);
+    this.rawData = this.rawData.filter((_, i) => keep[i]);
+    this.sampleMeta = this.sampleMeta.filter((_, i) => keep[i]);
+
+    try {
+      await this.store.deleteSamples(ids);
+    } catch (err) {
+      console.error('Error deleting samples:', err);
+    }
+    this.notify();
+  }
+
+  /**
+   * Delete every sample of a recording take
+   */
+  async deleteTake(takeId) {
+    const ids = this.sampleMeta.filter(meta => meta.takeId === takeId).map(meta => meta.id);
+    await this.deleteSamples(ids);
+  }
+
+  /**
+   * Get all samples with raw and normalized features
+   */
+  getDataset() {
+    return this.labels.map((label, i) => ({
+      id: this.sampleMeta[i].id,
+      takeId: this.sampleMeta[i].takeId,
+      gestureId: label,
+      raw: this.rawData[i],
+      normalized: this.trainingData[i]
+    }));
+  }
+
+  /**
+   * Load samples ({ gestureId, raw, takeId }) into the training set
+   * Each take of the file becomes a new local take; files without take ids
+   * start a new take whenever the gesture changes, so windows never span
+   * two gestures
+   */
+  async importSamples(samples, { replace = false } = {}) {
+    if (replace) {
+      await this.clearTrainingData();
+    }
+    const takes = new Map(); // file take id -> local take id
+    let previous = null;
+    let takeId = null;
+    const added = samples.map(sample => {
+      if (sample.takeId) {
+        if (!takes.has(sample.takeId)) {
+          takes.set(sample.takeId, createId('import'));
+        }
+        takeId = takes.get(sample.takeId);
+      } else if (!previous || previous.takeId || previous.gestureId !== sample.gestureId) {
+        takeId = createId('import');
+      }
+      previous = sample;
+      return this.addRawSample(sample.raw, sample.gestureId, takeId);
+    });
+    await this.persistSamples(added);
+    this.notify();
   }
 
   /**
-   * Normalize sensor values to 0-1 range
+   * Normalize sensor values using the active calibration profile
+   * Falls back to fixed ranges (flex / 4095, accel/gyro / 32768); in a
+   * multi-glove packet the first hand uses the active profile and the
+   * others the profile of the second glove's device
    */
   normalizeFeatures(features) {
-    // Normalize flex sensors (0-4095 -> 0-1)
-    // Normalize accel/gyro (-32768 to 32767 -> -1 to 1)
-    return [
-      features[0] / 4095,  // flex1
-      features[1] / 4095,  // flex2
-      features[2] / 32768, // ax
-      features[3] / 32768, // ay
-      features[4] / 32768, // az
-      features[5] / 32768, // gx
-      features[6] / 32768, // gy
-      features[7] / 32768  // gz
-    ];
+    const size = FEATURE_NAMES.length;
+    if (features.length === size) {
+      return normalizeWithProfile(features, this.calibration);
+    }
+    const normalized = [];
+    for (let i = 0; i < features.length; i += size) {
+      const profile = i === 0 ? this.calibration : this.partnerCalibration;
+      normalized.push(...normalizeWithProfile(features.slice(i, i + size), profile));
+    }
+    return normalized;
+  }
+
+  /**
+   * Apply a calibration profile (or null) and re-normalize stored samples
+   * partnerProfile is used for the second glove; left out, the previous
+   * one is kept, e.g. while that glove is not connected
+   */
+  setCalibration(profile, partnerProfile = this.partnerCalibration) {
+    this.calibration = profile;
+    this.partnerCalibration = partnerProfile;
+    this.trainingData = this.rawData.map(features => this.normalizeFeatures(features));
+    this.resetBuffer();
+  }
+
+  /**
+   * Model inputs and output-unit labels for gestures in the registry, with
+   * the raw frames of each input for augmentation and its recording take
+   * Samples of removed gestures are skipped
+   */
+  getTrainingSet() {
+    const { windows, rawWindows, labels, refs } = this.modelType === 'windowed'
+      ? this.buildWindows()
+      : {
+        windows: this.trainingData,
+        rawWindows: this.rawData.map(raw => [raw]),
+        labels: this.labels,
+        refs: this.labels.map((_, i) => i)
+      };
+
+    const inputs = [];
+    const examples = [];
+    const classes = [];
+    const sampleRefs = [];
+    const takes = [];
+    labels.forEach((label, i) => {
+      const unit = this.classIds.indexOf(label);
+      if (unit !== -1) {
+        inputs.push(windows[i]);
+        examples.push(rawWindows[i]);
+        classes.push(unit);
+        sampleRefs.push(refs[i]);
+        takes.push(this.sampleMeta[refs[i]].takeId);
+      }
+    });
+    return { inputs, examples, classes, refs: sampleRefs, takes };
+  }
+
+  /**
+   * Inputs and classes to fit on for the given training indices, augmented
+   * if enabled
+   */
+  trainingSplit({ inputs, examples, classes }, indices) {
+    if (!this.augmentation.enabled) {
+      return { inputs: indices.map(i => inputs[i]), classes: indices.map(i => classes[i]) };
+    }
+    const augmented = augmentTrainingSet(
+      indices.map(i => examples[i]),
+      indices.map(i => classes[i]),
+      this.augmentation
+    );
+    return {
+      inputs: augmented.examples.map(frames => {
+        const normalized = frames.map(frame => this.normalizeFeatures(frame));
+        return this.modelType === 'windowed' ? normalized : normalized[0];
+      }),
+      classes: augmented.classes
+    };
+  }
+
+  /**
+   * A random training example with augmented copies, in raw units
+   */
+  previewAugmentation(count = 4) {
+    const { examples, classes } = this.getTrainingSet();
+    if (examples.length === 0) return null;
+    const index = Math.floor(Math.random() * examples.length);
+    return {
+      gestureId: this.classIds[classes[index]],
+      original: examples[index],
+      augmented: Array.from({ length: count }, () => augmentExample(examples[index], this.augmentation))
+    };
   }
 
   /**
-   * Train the model
+   * Fit a copy of model in the worker with the current training config,
+   * optionally validating on a held-out set; the fitted copy stays in the
+   * worker under slot
    */
-  async train(onProgress) {
-    if (this.trainingData.length < 10) {
-      throw new Error('Need at least 10 samples to train');
+  fitModel(slot, model, inputs, classes, { validation, onEpochEnd, config = this.trainingConfig } = {}) {
+    return this.worker.train(slot, model, {
+      inputs,
+      classes,
+      validation,
+      config,
+      numClasses: this.numClasses
+    }, onEpochEnd);
+  }
+
+  /**
+   * Training, evaluation and fine-tuning each save or replace models, so
+   * only one runs at a time
+   */
+  assertIdle() {
+    if (this.fineTuneStatus) {
+      throw new Error('Fine-tuning is running; wait for it to finish');
+    }
+    if (this.isTraining) {
+      throw new Error('Training is already running');
     }
+  }
+
+  assertEnoughData(count) {
+    if (count < 10) {
+      throw new Error(this.modelType === 'windowed'
+        ? `Need at least 10 windows of ${this.windowSize} packets to train`
+        : 'Need at least 10 samples to train');
+    }
+  }
+
+  /**
+   * Train the current model and save it to the library as the next version
+   * of name (defaults to the active model's name)
+   */
+  async train(onProgress, { name } = {}) {
+    this.assertIdle();
+    const set = this.getTrainingSet();
+    const { inputs, classes, takes } = set;
+    this.assertEnoughData(inputs.length);
 
     this.isTraining = true;
 
-    // Convert to tensors
-    const xs = tf.tensor2d(this.trainingData);
-    const ys = tf.oneHot(tf.tensor1d(this.labels, 'int32'), this.numClasses);
-
-    // Train the model
-    const history = await this.model.fit(xs, ys, {
-      epochs: 50,
-      batchSize: 32,
-      validationSplit: 0.2,
-      shuffle: true,
-      callbacks: {
+    // Validation split by take, stratified so every gesture with more than
+    // one take is represented
+    const { trainIdx, testIdx } = groupedSplit(classes, takes, 0.2);
+    const pick = (array, indices) => indices.map(i => array[i]);
+
+    const slot = `train-${this.hands}h`;
+    // Changed layers start from fresh weights, otherwise training continues
+    // from the current model
+    const fresh = this.rebuildPending ? this.createModel() : null;
+    const base = fresh || this.model;
+    try {
+      // Train a copy in the worker, then take its weights back
+      const train = this.trainingSplit(set, trainIdx);
+      const history = await this.fitModel(slot, base, train.inputs, train.classes, {
+        validation: { inputs: pick(inputs, testIdx), classes: pick(classes, testIdx) },
         onEpochEnd: (epoch, logs) => {
           if (onProgress) {
             onProgress({
               epoch: epoch + 1,
+              epochs: this.trainingConfig.epochs,
               loss: logs.loss.toFixed(4),
               accuracy: logs.acc ? logs.acc.toFixed(4) : 'N/A',
               valLoss: logs.val_loss ? logs.val_loss.toFixed(4) : 'N/A',
@@ -129,75 +765,425 @@ class GestureClassifier {
             });
           }
         }
+      });
+      const openSet = await this.calibrate(slot,
+        { inputs: pick(inputs, trainIdx), classes: pick(classes, trainIdx) },
+        { inputs: pick(inputs, testIdx), classes: pick(classes, testIdx) });
+      const trained = await this.worker.save(slot);
+      this.compileModel(trained);
+      this.replaceModel(trained, openSet);
+      this.rebuildPending = false;
+
+      // Save model
+      await this.saveModel(name, history);
+      return history;
+    } finally {
+      if (fresh) {
+        fresh.dispose();
       }
+      this.worker.dispose(slot);
+      this.isTraining = false;
+    }
+  }
+
+  /**
+   * Open-set calibration of the model fitted in slot, from the unaugmented
+   * training inputs and the validation inputs, whose takes it has not seen;
+   * null if there are too few validation inputs
+   */
+  async calibrate(slot, train, validation) {
+    const probabilities = validation.inputs.length > 0
+      ? await this.worker.predictBatch(slot, validation.inputs)
+      : [];
+    return calibrateOpenSet({
+      train,
+      validation: { ...validation, probabilities },
+      classIds: this.classIds
+    });
+  }
+
+  /**
+   * Save the packets behind a wrong live prediction as a correction take;
+   * starts a background fine-tune once enough corrections are pending, if
+   * enabled
+   */
+  addCorrection(packets, gestureId) {
+    const takeId = createId(CORRECTION_TAKE_PREFIX);
+    this.addSamples(packets, gestureId, takeId);
+    const { auto, autoAfter } = this.fineTuning;
+    if (auto && this.activeModel && !this.isTraining && !this.fineTuneStatus && !this.rebuildPending &&
+        this.pendingCorrections() >= autoAfter) {
+      this.fineTune().catch(err => console.error('Background fine-tune failed:', err));
+    }
+    return takeId;
+  }
+
+  /**
+   * Whether sample i is a correction made after the active model was saved
+   */
+  isPendingCorrection(i) {
+    const { activeModel } = this;
+    // A fine-tuned model knows the corrections made before its run started
+    const since = !activeModel ? 0
+      : activeModel.fineTuned ? activeModel.fineTuned.until : Date.parse(activeModel.createdAt);
+    const meta = this.sampleMeta[i];
+    return isCorrectionTake(meta.takeId) && meta.createdAt > since;
+  }
+
+  /**
+   * Number of corrections the active model has not learned yet
+   */
+  pendingCorrections() {
+    const takes = new Set();
+    this.sampleMeta.forEach((meta, i) => {
+      if (this.isPendingCorrection(i)) takes.add(meta.takeId);
     });
+    return takes.size;
+  }
 
-    // Clean up tensors
-    xs.dispose();
-    ys.dispose();
+  /**
+   * Continue training the active model on pending corrections plus a
+   * stratified replay of older samples, in the worker, and save the result
+   * as its next version. The open-set calibration of the full training run
+   * is kept. If the model is replaced meanwhile the result is discarded.
+   */
+  async fineTune() {
+    if (!this.activeModel) {
+      throw new Error('Train a model before fine-tuning it');
+    }
+    if (this.rebuildPending) {
+      throw new Error('The layers or dropout changed; train the model again before fine-tuning it');
+    }
+    this.assertIdle();
 
-    // Save model
-    await this.saveModel();
+    const set = this.getTrainingSet();
+    const corrected = [];
+    const older = [];
+    set.refs.forEach((ref, i) => (this.isPendingCorrection(ref) ? corrected : older).push(i));
+    if (corrected.length === 0) {
+      throw new Error(this.modelType === 'windowed'
+        ? `No corrections with a full window of ${this.windowSize} packets to learn from`
+        : 'No corrections to learn from');
+    }
 
-    this.isTraining = false;
-    return history;
+    const { epochs, learningRateScale, replayRatio } = this.fineTuning;
+    const replayFraction = older.length > 0
+      ? Math.min(1, (corrected.length * replayRatio) / older.length)
+      : 0;
+    const replay = replayFraction > 0
+      ? stratifiedSplit(older.map(i => set.classes[i]), replayFraction, Date.now()).testIdx.map(j => older[j])
+      : [];
+
+    const startedAt = Date.now();
+    const base = this.model;
+    const baseVersion = this.activeModel.version;
+    const corrections = this.pendingCorrections();
+    const slot = `finetune-${this.hands}h`;
+    this.fineTuneStatus = { epoch: 0, epochs, corrections };
+    this.notify();
+    try {
+      const train = this.trainingSplit(set, [...corrected, ...replay]);
+      const history = await this.fitModel(slot, base, train.inputs, train.classes, {
+        config: {
+          ...this.trainingConfig,
+          epochs,
+          learningRate: this.trainingConfig.learningRate * learningRateScale,
+          earlyStopping: false
+        },
+        onEpochEnd: (epoch) => {
+          this.fineTuneStatus = { ...this.fineTuneStatus, epoch: epoch + 1 };
+          this.notify();
+        }
+      });
+      if (this.model !== base) {
+        return null;
+      }
+
+      const tuned = await this.worker.save(slot);
+      this.compileModel(tuned);
+      this.replaceModel(tuned, this.openSet);
+      await this.saveModel(undefined, history, {
+        fineTuned: {
+          baseVersion,
+          corrections,
+          samples: corrected.length,
+          replay: replay.length,
+          epochs,
+          until: startedAt
+        }
+      });
+      return history;
+    } finally {
+      this.worker.dispose(slot);
+      this.fineTuneStatus = null;
+      this.notify();
+    }
+  }
+
+  /**
+   * Evaluate the current training set on fresh models
+   * method 'holdout' trains once on an 80/20 split, 'kfold' runs k-fold
+   * cross-validation; both split by recording take, so the model is tested
+   * on takes it has not seen. The active model is not touched
+   */
+  async evaluate({ method = 'holdout', testFraction = 0.2, folds = 5, onProgress } = {}) {
+    this.assertIdle();
+    const set = this.getTrainingSet();
+    const { inputs, classes, refs, takes } = set;
+    this.assertEnoughData(inputs.length);
+
+    const splits = method === 'kfold'
+      ? groupedKFold(classes, takes, folds)
+      : [groupedSplit(classes, takes, testFraction)];
+    if (splits.every(split => split.testIdx.length === 0)) {
+      throw new Error('Record at least two takes of a gesture to test on a take the model has not seen');
+    }
+    const pick = (array, indices) => indices.map(i => array[i]);
+
+    const actual = [];
+    const predicted = [];
+    const misclassified = [];
+
+    const slot = `eval-${this.hands}h`;
+    this.isTraining = true;
+    try {
+      for (let fold = 0; fold < splits.length; fold++) {
+        const { trainIdx, testIdx } = splits[fold];
+        if (testIdx.length === 0) continue;
+
+        const model = this.createModel();
+        const train = this.trainingSplit(set, trainIdx);
+        await this.fitModel(slot, model, train.inputs, train.classes, {
+          onEpochEnd: (epoch) => {
+            if (onProgress) {
+              onProgress({
+                fold: fold + 1,
+                folds: splits.length,
+                epoch: epoch + 1,
+                epochs: this.trainingConfig.epochs
+              });
+            }
+          }
+        });
+
+        model.dispose();
+        const probabilities = await this.worker.predictBatch(slot, pick(inputs, testIdx));
+
+        probabilities.forEach((probs, j) => {
+          const index = testIdx[j];
+          const confidence = Math.max(...probs);
+          const unit = probs.indexOf(confidence);
+          actual.push(classes[index]);
+          predicted.push(unit);
+
+          if (unit !== classes[index] && misclassified.length < MAX_MISCLASSIFIED) {
+            const ref = refs[index];
+            misclassified.push({
+              sampleId: this.sampleMeta[ref].id,
+              takeId: this.sampleMeta[ref].takeId,
+              actualId: this.classIds[classes[index]],
+              predictedId: this.classIds[unit],
+              confidence,
+              raw: this.rawData[ref]
+            });
+          }
+        });
+      }
+    } finally {
+      this.worker.dispose(slot);
+      this.isTraining = false;
+    }
+
+    const matrix = confusionMatrix(actual, predicted, this.numClasses);
+    const metrics = metricsFromMatrix(matrix);
+
+    this.lastEvaluation = {
+      method,
+      folds: splits.length,
+      createdAt: new Date().toISOString(),
+      modelType: this.modelType,
+      windowSize: this.modelType === 'windowed' ? this.windowSize : null,
+      classIds: [...this.classIds],
+      datasetId: this.dataset ? this.dataset.id : null,
+      sampleCount: this.trainingData.length,
+      trainingConfig: this.trainingConfig,
+      augmentation: this.augmentation.enabled ? this.augmentation : null,
+      matrix,
+      accuracy: metrics.accuracy,
+      macroPrecision: metrics.macroPrecision,
+      macroRecall: metrics.macroRecall,
+      macroF1: metrics.macroF1,
+      evaluated: metrics.total,
+      perClass: metrics.perClass.map((m, unit) => ({ gestureId: this.classIds[unit], ...m })),
+      misclassified
+    };
+    return this.lastEvaluation;
   }
 
   /**
    * Predict gesture from sensor data
+   * Runs in the worker; resolves to null if the frame was dropped because a
+   * newer one arrived before inference got to it. The result carries the
+   * open-set scores and the packets the model saw.
    */
   async predict(sensorData) {
     if (!this.model) {
       await this.initialize();
     }
+    // Untrained weights would only show noise as gestures
+    if (!this.trained) {
+      return { gestureId: 0, confidence: 0, probabilities: [], classIds: this.classIds };
+    }
 
-    const features = [
-      sensorData.flex1,
-      sensorData.flex2,
-      sensorData.ax,
-      sensorData.ay,
-      sensorData.az,
-      sensorData.gx,
-      sensorData.gy,
-      sensorData.gz
-    ];
+    const features = this.featuresOf(sensorData);
 
     const normalized = this.normalizeFeatures(features);
-    const input = tf.tensor2d([normalized]);
 
-    const prediction = this.model.predict(input);
-    const probabilities = await prediction.data();
-    const predictedClass = probabilities.indexOf(Math.max(...probabilities));
+    let input;
+    let packets;
+    if (this.modelType === 'windowed') {
+      // Rolling buffer of the most recent packets; every packet enters the
+      // window, even if its own inference is dropped
+      this.frameBuffer.push(normalized);
+      this.packetBuffer.push(sensorData);
+      if (this.frameBuffer.length > this.windowSize) {
+        this.frameBuffer.shift();
+        this.packetBuffer.shift();
+      }
+      if (this.frameBuffer.length < this.windowSize) {
+        return { gestureId: 0, confidence: 0, probabilities: [], classIds: this.classIds };
+      }
+      input = [...this.frameBuffer];
+      packets = [...this.packetBuffer];
+    } else {
+      input = normalized;
+      packets = [sensorData];
+    }
+
+    // The model may be loaded again meanwhile, e.g. after the worker failed
+    let ready;
+    do {
+      ready = this.workerReady;
+      await ready;
+    } while (ready !== this.workerReady);
+    const result = await this.worker.infer(this.slot, input);
+    if (!result) {
+      return null;
+    }
+
+    const { probabilities, latencyMs, inferenceMs } = result;
     const confidence = Math.max(...probabilities);
+    const gestureId = this.classIds[probabilities.indexOf(confidence)];
 
-    input.dispose();
-    prediction.dispose();
+    return {
+      gestureId,
+      confidence,
+      probabilities,
+      classIds: this.classIds,
+      openSet: openSetScores(this.openSet, input, probabilities, gestureId),
+      packets,
+      latencyMs,
+      inferenceMs
+    };
+  }
+
+  /**
+   * Live inference counters: backend, latency and dropped frames
+   */
+  inferenceStats() {
+    return this.worker.stats(this.slot);
+  }
+
+  /**
+   * Describe the model being saved: config, data it was trained on, final
+   * training logs and the evaluation if it was run on the same data
+   */
+  buildModelMetadata(history) {
+    const stats = this.getTrainingStats();
+    const logs = history ? history.history : {};
+    const last = (key) => (logs[key] && logs[key].length ? logs[key][logs[key].length - 1] : null);
+    const evaluation = this.lastEvaluation;
+    const evaluationCurrent = evaluation &&
+      evaluation.sampleCount === stats.totalSamples &&
+      evaluation.datasetId === (this.dataset ? this.dataset.id : null) &&
+      evaluation.modelType === this.modelType &&
+      evaluation.classIds.join(',') === this.classIds.join(',');
 
     return {
-      gestureId: predictedClass,
-      confidence: confidence,
-      probabilities: Array.from(probabilities)
+      modelType: this.modelType,
+      windowSize: this.modelType === 'windowed' ? this.windowSize : null,
+      classIds: [...this.classIds],
+      gestures: this.classIds.map(id => ({ id, name: this.registry.getName(id) })),
+      trainingConfig: this.trainingConfig,
+      augmentation: this.augmentation.enabled ? this.augmentation : null,
+      calibrationId: this.calibration ? this.calibration.id : null,
+      dataset: {
+        id: this.dataset ? this.dataset.id : null,
+        name: this.dataset ? this.dataset.name : null,
+        totalSamples: stats.totalSamples,
+        samplesPerClass: stats.samplesPerClass
+      },
+      training: history ? {
+        epochs: history.epoch.length,
+        loss: last('loss'),
+        accuracy: last('acc'),
+        valLoss: last('val_loss'),
+        valAccuracy: last('val_acc')
+      } : null,
+      evaluation: evaluationCurrent ? {
+        method: evaluation.method,
+        folds: evaluation.folds,
+        accuracy: evaluation.accuracy,
+        macroF1: evaluation.macroF1,
+        perClass: evaluation.perClass.map(({ gestureId, precision, recall, f1, support }) =>
+          ({ gestureId, precision, recall, f1, support }))
+      } : null
     };
   }
 
   /**
-   * Save model to IndexedDB
+   * Save the current model to the library and make it active; extra is
+   * added to its library record
+   * If saving fails the current model no longer matches any record, so no
+   * record stays active and the error is passed on
    */
-  async saveModel() {
+  async saveModel(name = this.activeModel ? this.activeModel.name : 'Gesture model', history = null, extra = {}) {
     try {
-      await this.model.save('indexeddb://gesture-model');
-      console.log('Model saved to IndexedDB');
+      this.model.setUserDefinedMetadata({
+        classIds: this.classIds,
+        trainingConfig: this.trainingConfig,
+        openSet: this.openSet
+      });
+      this.activeModel = await this.library.save(this.model, name, { ...this.buildModelMetadata(history), ...extra });
+      this.library.setActive(this.activeModel.id);
+      console.log(`Model saved as ${name} v${this.activeModel.version}`);
+      this.notify();
     } catch (err) {
       console.error('Error saving model:', err);
+      this.activeModel = null;
+      this.notify();
+      throw new Error(`The model was trained but could not be saved: ${err.message}`);
     }
   }
 
   /**
-   * Load model from IndexedDB
+   * Load a model from the library (the active one by default), falling back
+   * to the pre-library slot
    */
-  async loadModel() {
+  async loadModel(id = this.library.getActiveId()) {
     try {
-      this.model = await tf.loadLayersModel('indexeddb://gesture-model');
+      let model;
+      if (id) {
+        const loaded = await this.library.load(id);
+        model = loaded.model;
+        this.activeModel = loaded.record;
+      } else if (this.hands === 1) {
+        model = await tf.loadLayersModel(LEGACY_MODEL_URL);
+        this.activeModel = null;
+      } else {
+        return false;
+      }
+      this.useModel(model);
       console.log('Model loaded from IndexedDB');
       return true;
     } catch (err) {
@@ -206,12 +1192,186 @@ class GestureClassifier {
     }
   }
 
+  useModel(model) {
+    this.resetBuffer();
+    this.detectModelType(model);
+    const metadata = model.getUserDefinedMetadata();
+    if (metadata && metadata.trainingConfig) {
+      this.trainingConfig = resolveTrainingConfig(metadata.trainingConfig);
+    }
+    this.rebuildPending = false;
+    this.compileModel(model);
+    this.replaceModel(model, (metadata && metadata.openSet) || null);
+    this.classIds = metadata && metadata.classIds
+      ? metadata.classIds
+      : Array.from({ length: model.outputs[0].shape[1] }, (_, i) => i);
+    this.syncClasses();
+  }
+
+  /**
+   * Id of the calibration profile the active model was trained with: null
+   * for uncalibrated features, undefined if unknown (no library record, or
+   * one saved before profiles were recorded)
+   */
+  trainedCalibrationId() {
+    return this.activeModel ? this.activeModel.calibrationId : undefined;
+  }
+
+  async listModels() {
+    return this.library.list();
+  }
+
+  /**
+   * Switch to (or roll back to) a saved model
+   */
+  async activateModel(id) {
+    if (this.isTraining) {
+      throw new Error('Cannot switch models while training');
+    }
+    const { model, record } = await this.library.load(id);
+    this.useModel(model);
+    this.activeModel = record;
+    this.library.setActive(id);
+    this.notify();
+  }
+
+  async deleteModel(id) {
+    await this.library.remove(id);
+    if (this.activeModel && this.activeModel.id === id) {
+      this.activeModel = null;
+      if (!this.isTraining) {
+        this.resetModel();
+      }
+    }
+    this.notify();
+  }
+
+  exportName() {
+    const name = this.activeModel ? `${this.activeModel.name}-v${this.activeModel.version}` : 'gesture-model';
+    return name.replace(/[^\w.-]+/g, '-');
+  }
+
+  /**
+   * Export the current model as a single package file with its vocabulary,
+   * training config and calibration profile
+   */
+  async exportModel() {
+    return serializeModel(this.model, {
+      name: this.activeModel ? this.activeModel.name : 'Gesture model',
+      version: this.activeModel ? this.activeModel.version : null,
+      features: this.featureNames,
+      gestures: this.classIds.map(id => this.registry.get(id) || { id, name: this.registry.getName(id) }),
+      trainingConfig: this.trainingConfig,
+      calibration: this.calibration,
+      record: this.activeModel
+    });
+  }
+
+  /**
+   * Download the current model as tfjs model.json plus weights.bin; the
+   * vocabulary and calibration go in the model's user-defined metadata
+   */
+  async downloadModelFiles() {
+    this.model.setUserDefinedMetadata({
+      classIds: this.classIds,
+      trainingConfig: this.trainingConfig,
+      features: this.featureNames,
+      gestures: this.classIds.map(id => ({ id, name: this.registry.getName(id) })),
+      calibration: this.calibration,
+      openSet: this.openSet
+    });
+    await this.model.save(`downloads://${this.exportName()}`);
+  }
+
+  /**
+   * Load model files and check them against the local feature set and
+   * vocabulary without touching the active model
+   */
+  async prepareImport(files) {
+    const { artifacts, info } = await readModelFiles(files);
+    checkTopology(artifacts.modelTopology, this.featureNames);
+    const model = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    try {
+      const check = inspectModel(model, info, this.registry.getAll(), this.featureNames);
+      const unused = this.registry.getAll().filter(g => !check.units.some(u => u.name === g.name));
+      return { model, info, check: { ...check, unused } };
+    } catch (err) {
+      model.dispose();
+      throw err;
+    }
+  }
+
+  /**
+   * Replace the active model with a prepared import
+   * Missing gestures are added to the vocabulary; output units are mapped to
+   * local gesture ids by name and the model is saved to the library
+   */
+  async importModel({ model, info, check }) {
+    if (this.isTraining) {
+      model.dispose();
+      throw new Error('Cannot import a model while training');
+    }
+
+    check.missing.forEach(({ name, icon, color }) => this.registry.add({ name, icon, color }));
+    const localIds = check.units.map(g => this.registry.findByName(g.name).id);
+    const remoteToLocal = new Map(check.units.map((g, unit) => [g.id, localIds[unit]]));
+
+    model.setUserDefinedMetadata({
+      classIds: localIds,
+      trainingConfig: info.trainingConfig,
+      openSet: remapOpenSet(info.openSet, remoteToLocal)
+    });
+    const record = await this.library.save(model, info.name || 'Imported model', {
+      modelType: check.modelType,
+      windowSize: check.windowSize,
+      classIds: localIds,
+      gestures: localIds.map(id => ({ id, name: this.registry.getName(id) })),
+      trainingConfig: info.trainingConfig ? resolveTrainingConfig(info.trainingConfig) : null,
+      calibrationId: info.calibration ? info.calibration.id : null,
+      dataset: info.dataset || null,
+      training: info.training || null,
+      evaluation: info.evaluation ? {
+        ...info.evaluation,
+        perClass: info.evaluation.perClass.map(c => ({ ...c, gestureId: remoteToLocal.get(c.gestureId) }))
+      } : null,
+      importedFrom: info.exportedAt || null
+    });
+
+    this.useModel(model);
+    this.activeModel = record;
+    this.library.setActive(record.id);
+    this.notify();
+    return record;
+  }
+
+  /**
+   * Drop buffered packets, e.g. after reconnecting
+   */
+  resetBuffer() {
+    this.frameBuffer = [];
+    this.packetBuffer = [];
+  }
+
   /**
    * Clear training data
    */
-  clearTrainingData() {
+  async clearTrainingData() {
+    this.resetArrays();
+    if (this.dataset) {
+      try {
+        await this.store.clearDataset(this.dataset.id);
+      } catch (err) {
+        console.error('Error clearing stored samples:', err);
+      }
+    }
+    this.notify();
+  }
+
+  resetArrays() {
     this.trainingData = [];
     this.labels = [];
+    this.rawData = [];
+    this.sampleMeta = [];
   }
 
   /**
@@ -222,25 +1382,41 @@ class GestureClassifier {
     this.labels.forEach(label => {
       stats[label] = (stats[label] || 0) + 1;
     });
-    return {
+    const result = {
       totalSamples: this.trainingData.length,
       samplesPerClass: stats
     };
+
+    if (this.modelType === 'windowed') {
+      const windowsPerClass = {};
+      let totalWindows = 0;
+      this.getTakes().forEach(take => {
+        if (take.count >= this.windowSize) {
+          const count = Math.floor((take.count - this.windowSize) / this.windowStride) + 1;
+          windowsPerClass[take.gestureId] = (windowsPerClass[take.gestureId] || 0) + count;
+          totalWindows += count;
+        }
+      });
+      result.totalWindows = totalWindows;
+      result.windowsPerClass = windowsPerClass;
+    }
+
+    return result;
   }
 
   /**
-   * Reset model
+   * Reset model: delete the active saved model and start from an untrained one
    */
   async reset() {
-    this.model = null;
-    this.trainingData = [];
-    this.labels = [];
-    // Clear IndexedDB
-    try {
-      const db = await indexedDB.deleteDatabase('gesture-model');
-    } catch (err) {
-      console.error('Error clearing model:', err);
+    if (this.activeModel) {
+      await this.library.remove(this.activeModel.id);
+      this.activeModel = null;
+    }
+    if (this.hands === 1) {
+      await this.library.removeLegacy();
     }
+    this.resetModel();
+    await this.clearTrainingData();
   }
 }
 
@@ -0,0 +1,117 @@
+import { createId } from '../utils/id';
+
+const SETTINGS_KEY = 'gesture-fusion';
+const MAX_DISAGREEMENTS = 100;
+
+export const DECISION_MODES = [
+  { id: 'esp32', name: 'ESP32' },
+  { id: 'fusion', name: 'Fusion' },
+  { id: 'ml', name: 'ML' }
+];
+
+export const DEFAULT_FUSION = {
+  espWeight: 0.3, // share of the ESP32 prior in the fused probabilities
+  minConfidence: 0.6 // ML confidence needed before a mismatch counts as a disagreement
+};
+
+const copyFrame = (d) => (Array.isArray(d) ? d.map(p => ({ ...p })) : { ...d });
+
+/**
+ * Hybrid decision: mixes the firmware's rule-based label, used as a prior,
+ * into the classifier's probabilities and logs where the two disagree so
+ * those frames can be labeled for retraining
+ */
+class GestureFusion {
+  constructor() {
+    this.settings = this.loadSettings();
+    this.disagreements = [];
+    this.current = null; // { espId, mlId } while the sources disagree
+    this.listeners = new Set();
+  }
+
+  loadSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+      return { ...DEFAULT_FUSION, ...stored };
+    } catch (err) {
+      console.error('Error loading fusion settings:', err);
+      return { ...DEFAULT_FUSION };
+    }
+  }
+
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.disagreements));
+  }
+
+  /**
+   * Weighted mix of the ML probabilities and a one-hot ESP32 prior
+   * Returns the probabilities unchanged if the model has no unit for the
+   * ESP32 gesture
+   */
+  fuse(probabilities, classIds, espId) {
+    const espUnit = classIds.indexOf(espId);
+    if (espUnit === -1) {
+      return probabilities;
+    }
+    const weight = Math.max(0, Math.min(1, this.settings.espWeight));
+    return probabilities.map((p, unit) => (1 - weight) * p + (unit === espUnit ? weight : 0));
+  }
+
+  /**
+   * Compare the two sources for one packet; a new disagreement is logged
+   * once with the sensor frame where it started (an array of frames, one
+   * per glove, in two-handed mode) and the packets the model saw for it,
+   * a whole window for the windowed model
+   */
+  compare({ espId, mlId, mlConfidence, sensorData, packets = [sensorData] }, now = Date.now()) {
+    const disagree = espId !== mlId && mlConfidence >= this.settings.minConfidence;
+    if (!disagree) {
+      this.current = null;
+      return null;
+    }
+
+    if (!this.current || this.current.espId !== espId || this.current.mlId !== mlId) {
+      this.current = { espId, mlId };
+      this.disagreements = [
+        {
+          id: createId('disagreement'),
+          timestamp: now,
+          espId,
+          mlId,
+          mlConfidence,
+          sensorData: copyFrame(sensorData),
+          packets: packets.map(copyFrame)
+        },
+        ...this.disagreements
+      ].slice(0, MAX_DISAGREEMENTS);
+      this.notify();
+    }
+    return this.current;
+  }
+
+  reset() {
+    this.current = null;
+  }
+
+  removeDisagreement(id) {
+    this.disagreements = this.disagreements.filter(d => d.id !== id);
+    this.notify();
+  }
+
+  clearDisagreements() {
+    this.disagreements = [];
+    this.notify();
+  }
+}
+
+export default GestureFusion;
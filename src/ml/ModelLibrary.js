@@ -0,0 +1,113 @@
+import * as tf from '@tensorflow/tfjs';
+import { STORES, getAll, getRecord, putRecord, deleteRecord } from '../storage/database';
+import { createId } from '../utils/id';
+
+const ACTIVE_MODEL_KEY = 'gesture-active-model';
+
+// Single slot used before the library existed
+export const LEGACY_MODEL_URL = 'indexeddb://gesture-model';
+
+/**
+ * Named, versioned model storage
+ * Weights are saved by tfjs under their own indexeddb:// key; the metadata
+ * record (config, dataset summary, metrics) lives in the models store.
+ * Like datasets, two-handed models are listed and activated separately.
+ */
+class ModelLibrary {
+  constructor({ hands = 1 } = {}) {
+    this.hands = hands;
+    this.activeKey = hands === 1 ? ACTIVE_MODEL_KEY : `${ACTIVE_MODEL_KEY}-${hands}h`;
+  }
+
+  async list() {
+    const models = await getAll(STORES.models);
+    return models
+      .filter(m => (m.hands || 1) === this.hands)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async get(id) {
+    return getRecord(STORES.models, id);
+  }
+
+  /**
+   * Save a model as the next version of name
+   */
+  async save(model, name, metadata) {
+    const versions = (await this.list()).filter(m => m.name === name).map(m => m.version);
+    const id = createId('model');
+    const record = {
+      ...metadata,
+      id,
+      hands: this.hands,
+      name,
+      version: versions.length > 0 ? Math.max(...versions) + 1 : 1,
+      url: `indexeddb://gesture-models/${id}`,
+      createdAt: new Date().toISOString()
+    };
+
+    await model.save(record.url);
+    await putRecord(STORES.models, record);
+    return record;
+  }
+
+  async load(id) {
+    const record = await this.get(id);
+    if (!record) {
+      throw new Error('Model not found');
+    }
+    return { record, model: await tf.loadLayersModel(record.url) };
+  }
+
+  /**
+   * Delete the weights through tfjs model management, then the metadata
+   * record; if the weights cannot be removed the record is kept, so the
+   * model stays listed and can be deleted again
+   */
+  async remove(id) {
+    const record = await this.get(id);
+    if (!record) return;
+
+    try {
+      await tf.io.removeModel(record.url);
+    } catch (err) {
+      // Weights that are already gone do not keep the record
+      const stored = await tf.io.listModels();
+      if (stored[record.url]) {
+        throw new Error(`Could not remove the model weights: ${err.message}`);
+      }
+    }
+    await deleteRecord(STORES.models, id);
+    if (this.getActiveId() === id) {
+      this.setActive(null);
+    }
+  }
+
+  getActiveId() {
+    return localStorage.getItem(this.activeKey);
+  }
+
+  setActive(id) {
+    if (id) {
+      localStorage.setItem(this.activeKey, id);
+    } else {
+      localStorage.removeItem(this.activeKey);
+    }
+  }
+
+  /**
+   * Remove the pre-library model slot if it still exists
+   */
+  async removeLegacy() {
+    try {
+      const models = await tf.io.listModels();
+      if (models[LEGACY_MODEL_URL]) {
+        await tf.io.removeModel(LEGACY_MODEL_URL);
+      }
+    } catch (err) {
+      console.error('Error removing legacy model:', err);
+    }
+  }
+}
+
+export default ModelLibrary;
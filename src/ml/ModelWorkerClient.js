@@ -0,0 +1,230 @@
+import * as tf from '@tensorflow/tfjs';
+import ModelEngine, { modelToArtifacts, modelFromArtifacts, packInputs } from './modelEngine';
+
+const LATENCY_SMOOTHING = 0.1;
+
+/**
+ * Main-thread side of the model worker
+ * Promise-based requests for load, save, dispose, train and predict, plus
+ * live inference that never queues more than one frame per slot: a frame
+ * arriving while another waits replaces it, and the replaced one resolves
+ * to null. Falls back to running the engine on the main thread where
+ * module workers are unavailable, or once the worker fails.
+ */
+class ModelWorkerClient {
+  constructor() {
+    this.nextId = 1;
+    this.requests = new Map(); // id -> { resolve, reject, onProgress }
+    this.live = new Map(); // slot -> { busy, pending, stats }
+    this.listeners = new Set(); // called after falling back to the main thread
+    this.backend = null;
+
+    if (typeof Worker !== 'undefined') {
+      this.worker = new Worker(new URL('./modelWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = ({ data }) => this.handleMessage(data);
+      this.worker.onerror = (event) => this.fallBack(event.message || 'the worker could not start');
+      this.worker.onmessageerror = () => this.fallBack('a reply could not be read');
+    } else {
+      this.worker = null;
+      this.engine = new ModelEngine();
+      this.backend = tf.getBackend();
+    }
+  }
+
+  /**
+   * Subscribe to the fallback to the main thread; the worker's slots are
+   * gone by then, so models have to be loaded again
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Stop using a failed worker: requests in flight and waiting live frames
+   * are rejected, and later requests run on the main thread
+   */
+  fallBack(reason) {
+    if (!this.worker) return;
+    console.error(`Model worker failed (${reason}); running models on the main thread`);
+    this.worker.terminate();
+    this.worker = null;
+    this.engine = new ModelEngine();
+    this.backend = tf.getBackend();
+
+    const error = new Error(`Model worker failed: ${reason}`);
+    this.requests.forEach(request => request.reject(error));
+    this.requests.clear();
+    this.live.forEach(state => {
+      if (state.pending) {
+        state.pending.reject(error);
+        state.pending = null;
+      }
+    });
+    this.listeners.forEach(listener => listener());
+  }
+
+  handleMessage({ id, ready, backend, progress, result, error }) {
+    if (ready) {
+      this.backend = backend;
+      return;
+    }
+    const request = this.requests.get(id);
+    if (!request) return;
+    if (progress) {
+      if (request.onProgress) request.onProgress(progress);
+      return;
+    }
+    this.requests.delete(id);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  request(message, { onProgress, transfer = [] } = {}) {
+    if (!this.worker) {
+      return this.engine.handle(message, onProgress || (() => {}));
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject, onProgress });
+      this.worker.postMessage({ id, ...message }, transfer);
+    });
+  }
+
+  /**
+   * Copy a main-thread model into slot
+   */
+  async load(slot, model) {
+    const artifacts = await modelToArtifacts(model);
+    return this.request({ type: 'load', slot, artifacts }, { transfer: [artifacts.weightData] });
+  }
+
+  /**
+   * The model in slot, rebuilt on the main thread
+   */
+  async save(slot) {
+    const { artifacts } = await this.request({ type: 'save', slot });
+    return modelFromArtifacts(artifacts);
+  }
+
+  dispose(slot) {
+    return this.request({ type: 'dispose', slot });
+  }
+
+  /**
+   * Fit a copy of model in slot; onEpochEnd(epoch, logs) follows progress
+   */
+  async train(slot, model, { inputs, classes, validation, config, numClasses }, onEpochEnd) {
+    const artifacts = await modelToArtifacts(model);
+    const packed = packInputs(inputs);
+    const packedValidation = validation && validation.inputs.length > 0
+      ? { inputs: packInputs(validation.inputs), classes: validation.classes }
+      : null;
+    const { history } = await this.request({
+      type: 'train',
+      slot,
+      artifacts,
+      inputs: packed,
+      classes,
+      validation: packedValidation,
+      config,
+      numClasses
+    }, {
+      onProgress: ({ epoch, logs }) => onEpochEnd && onEpochEnd(epoch, logs),
+      transfer: [artifacts.weightData, packed.data.buffer]
+    });
+    return history;
+  }
+
+  /**
+   * Probabilities for a batch of inputs
+   */
+  async predictBatch(slot, inputs) {
+    const packed = packInputs(inputs);
+    const { probabilities } = await this.request({ type: 'predict', slot, inputs: packed }, {
+      transfer: [packed.data.buffer]
+    });
+    return probabilities;
+  }
+
+  liveState(slot) {
+    if (!this.live.has(slot)) {
+      this.live.set(slot, {
+        busy: false,
+        pending: null,
+        stats: { inferred: 0, dropped: 0, latencyMs: null, inferenceMs: null, averageMs: null }
+      });
+    }
+    return this.live.get(slot);
+  }
+
+  /**
+   * Live inference of one input; resolves to { probabilities, latencyMs,
+   * inferenceMs }, or null if a newer frame replaced it while waiting
+   */
+  infer(slot, input) {
+    const state = this.liveState(slot);
+    return new Promise((resolve, reject) => {
+      if (state.pending) {
+        state.stats.dropped++;
+        state.pending.resolve(null);
+      }
+      state.pending = { input, resolve, reject, queuedAt: performance.now() };
+      if (!state.busy) {
+        this.runLive(slot);
+      }
+    });
+  }
+
+  async runLive(slot) {
+    const state = this.liveState(slot);
+    while (state.pending) {
+      const frame = state.pending;
+      state.pending = null;
+      state.busy = true;
+      try {
+        const packed = packInputs([frame.input]);
+        const { probabilities, inferenceMs } = await this.request(
+          { type: 'predict', slot, inputs: packed },
+          { transfer: [packed.data.buffer] }
+        );
+        const latencyMs = performance.now() - frame.queuedAt;
+        const { stats } = state;
+        stats.inferred++;
+        stats.latencyMs = latencyMs;
+        stats.inferenceMs = inferenceMs;
+        stats.averageMs = stats.averageMs === null
+          ? latencyMs
+          : stats.averageMs + LATENCY_SMOOTHING * (latencyMs - stats.averageMs);
+        frame.resolve({ probabilities: probabilities[0], latencyMs, inferenceMs });
+      } catch (err) {
+        frame.reject(err);
+      }
+    }
+    state.busy = false;
+  }
+
+  /**
+   * Live inference counters of slot
+   */
+  stats(slot) {
+    return { backend: this.backend, worker: this.worker !== null, ...this.liveState(slot).stats };
+  }
+}
+
+let shared = null;
+
+/**
+ * The worker shared by all classifiers
+ */
+export const getModelWorker = () => {
+  if (!shared) {
+    shared = new ModelWorkerClient();
+  }
+  return shared;
+};
+
+export default ModelWorkerClient;
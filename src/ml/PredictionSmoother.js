@@ -0,0 +1,134 @@
+const SETTINGS_KEY = 'gesture-smoothing';
+
+export const DEFAULT_SMOOTHING = {
+  emaAlpha: 0.5, // weight of the newest probabilities; 1 disables smoothing
+  voteWindow: 5, // majority vote over the last N predictions; 1 disables voting
+  enterThreshold: 0.6,
+  exitThreshold: 0.4,
+  dwellMs: 150, // a new gesture must win this long before it is accepted
+  perGesture: {} // gestureId -> { enter, exit } overrides
+};
+
+/**
+ * Post-processing for ML predictions
+ * Exponential smoothing of the probabilities, a majority vote over recent
+ * predictions, enter/exit hysteresis and a minimum dwell time, the ML
+ * counterpart of the firmware's 3-frame debounce
+ */
+class PredictionSmoother {
+  constructor() {
+    this.settings = this.loadSettings();
+    this.reset();
+  }
+
+  loadSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+      return { ...DEFAULT_SMOOTHING, ...stored };
+    } catch (err) {
+      console.error('Error loading smoothing settings:', err);
+      return { ...DEFAULT_SMOOTHING };
+    }
+  }
+
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+    this.reset();
+  }
+
+  reset() {
+    this.probabilities = null;
+    this.classKey = '';
+    this.votes = [];
+    this.active = null; // accepted gesture id
+    this.pending = null; // { gestureId, since }
+  }
+
+  thresholds(gestureId) {
+    const override = this.settings.perGesture[gestureId] || {};
+    return {
+      enter: override.enter ?? this.settings.enterThreshold,
+      exit: override.exit ?? this.settings.exitThreshold
+    };
+  }
+
+  /**
+   * Feed one raw prediction ({ probabilities }) with the gesture id of each
+   * probability; returns the raw and smoothed decisions
+   */
+  update(prediction, classIds, now = performance.now()) {
+    const { probabilities } = prediction;
+    if (!probabilities || probabilities.length === 0) {
+      return { raw: null, level: null, smoothed: null };
+    }
+
+    // Start over when the model's classes change
+    const key = classIds.join(',');
+    if (key !== this.classKey) {
+      this.reset();
+      this.classKey = key;
+    }
+
+    const alpha = Math.max(0.01, Math.min(1, this.settings.emaAlpha));
+    this.probabilities = this.probabilities
+      ? probabilities.map((p, i) => alpha * p + (1 - alpha) * this.probabilities[i])
+      : [...probabilities];
+
+    const rawUnit = argmax(probabilities);
+    const raw = { gestureId: classIds[rawUnit], confidence: probabilities[rawUnit] };
+
+    // Majority vote over the smoothed per-frame winners
+    this.votes.push(argmax(this.probabilities));
+    if (this.votes.length > Math.max(1, this.settings.voteWindow)) {
+      this.votes.shift();
+    }
+    const candidateUnit = mode(this.votes);
+    const candidateId = classIds[candidateUnit];
+    const confidenceOf = (id) => this.probabilities[classIds.indexOf(id)] ?? 0;
+
+    // Hysteresis: the active gesture holds until it drops below its exit
+    // threshold; a new one needs its enter threshold for dwellMs
+    if (this.active !== null && confidenceOf(this.active) < this.thresholds(this.active).exit) {
+      this.active = null;
+    }
+
+    if (candidateId !== this.active && confidenceOf(candidateId) >= this.thresholds(candidateId).enter) {
+      if (!this.pending || this.pending.gestureId !== candidateId) {
+        this.pending = { gestureId: candidateId, since: now };
+      }
+      if (now - this.pending.since >= this.settings.dwellMs) {
+        this.active = candidateId;
+        this.pending = null;
+      }
+    } else {
+      this.pending = null;
+    }
+
+    return {
+      raw,
+      // Smoothed confidence of the vote winner, the value the thresholds apply to
+      level: confidenceOf(candidateId),
+      smoothed: this.active !== null
+        ? { gestureId: this.active, confidence: confidenceOf(this.active) }
+        : null
+    };
+  }
+}
+
+const argmax = (values) => values.indexOf(Math.max(...values));
+
+const mode = (values) => {
+  const counts = new Map();
+  let best = values[values.length - 1];
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  counts.forEach((count, v) => {
+    // Ties go to the most recent winner
+    if (count > counts.get(best)) {
+      best = v;
+    }
+  });
+  return best;
+};
+
+export default PredictionSmoother;
@@ -0,0 +1,94 @@
+import {
+  STORES, getAll, getRecord, putRecord, deleteRecord,
+  getAllByIndex, putRecords, deleteRecords, deleteByIndex
+} from '../storage/database';
+import { createId } from '../utils/id';
+
+const ACTIVE_DATASET_KEY = 'gesture-active-dataset';
+
+/**
+ * Persistent training sample storage
+ * Samples belong to a named dataset; one dataset is active at a time.
+ * Two-handed datasets (concatenated packets of two gloves) are kept apart
+ * from single-glove ones and have their own active dataset.
+ */
+class SampleStore {
+  constructor({ hands = 1 } = {}) {
+    this.hands = hands;
+    this.activeKey = hands === 1 ? ACTIVE_DATASET_KEY : `${ACTIVE_DATASET_KEY}-${hands}h`;
+  }
+
+  async listDatasets() {
+    const datasets = await getAll(STORES.datasets);
+    return datasets
+      .filter(d => (d.hands || 1) === this.hands)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  async getDataset(id) {
+    return getRecord(STORES.datasets, id);
+  }
+
+  async createDataset(name) {
+    const now = new Date().toISOString();
+    const dataset = { id: createId('dataset'), name, hands: this.hands, createdAt: now, updatedAt: now };
+    await putRecord(STORES.datasets, dataset);
+    return dataset;
+  }
+
+  async renameDataset(id, name) {
+    const dataset = await this.getDataset(id);
+    if (!dataset) {
+      throw new Error('Dataset not found');
+    }
+    await putRecord(STORES.datasets, { ...dataset, name, updatedAt: new Date().toISOString() });
+  }
+
+  async deleteDataset(id) {
+    await deleteByIndex(STORES.samples, 'datasetId', id);
+    await deleteRecord(STORES.datasets, id);
+  }
+
+  /**
+   * Return the active dataset, creating a default one on first use
+   */
+  async getActiveDataset() {
+    const activeId = localStorage.getItem(this.activeKey);
+    if (activeId) {
+      const dataset = await this.getDataset(activeId);
+      if (dataset) return dataset;
+    }
+
+    const datasets = await this.listDatasets();
+    const dataset = datasets[0] || await this.createDataset(this.hands === 1 ? 'Default' : 'Two-handed');
+    this.setActiveDataset(dataset.id);
+    return dataset;
+  }
+
+  setActiveDataset(id) {
+    localStorage.setItem(this.activeKey, id);
+  }
+
+  clearActiveDataset() {
+    localStorage.removeItem(this.activeKey);
+  }
+
+  async getSamples(datasetId) {
+    const samples = await getAllByIndex(STORES.samples, 'datasetId', datasetId);
+    return samples.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  async addSamples(datasetId, samples) {
+    await putRecords(STORES.samples, samples.map(sample => ({ ...sample, datasetId })));
+  }
+
+  async deleteSamples(ids) {
+    await deleteRecords(STORES.samples, ids);
+  }
+
+  async clearDataset(datasetId) {
+    await deleteByIndex(STORES.samples, 'datasetId', datasetId);
+  }
+}
+
+export default SampleStore;
@@ -0,0 +1,194 @@
+import { createId } from '../utils/id';
+import { quantile } from './openSet';
+
+const SETTINGS_KEY = 'gesture-open-set';
+const MAX_REJECTIONS = 100;
+const MAX_RECENT = 30;
+
+// Gesture name of the optional background class; predictions of it are
+// rejected like any other unknown input
+export const BACKGROUND_GESTURE_NAME = 'OTHER';
+
+export const REJECTION_REASONS = {
+  background: 'Background class',
+  confidence: 'Low confidence',
+  entropy: 'High entropy',
+  distance: 'Far from centroid'
+};
+
+export const DEFAULT_OPEN_SET = {
+  enabled: true,
+  coverage: 0.95, // share of held-out known-gesture samples each check accepts
+  checks: { confidence: true, entropy: false, distance: true },
+  minConfidence: 0.5 // fallback for models trained without calibration
+};
+
+/**
+ * Open-set rejection of ML predictions
+ * Turns a prediction's scores into accept/reject with thresholds taken from
+ * the model's calibration, and logs rejected input once per run of
+ * consecutive rejected frames, keeping its least confident frame, so it can
+ * be saved as a negative example
+ */
+class UnknownDetector {
+  constructor({ registry }) {
+    this.registry = registry;
+    this.settings = this.loadSettings();
+    this.rejections = [];
+    this.current = null; // entry of the ongoing run of rejected frames
+    this.recent = []; // rejected flag of the latest frames
+    this.listeners = new Set();
+  }
+
+  loadSettings() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+      return {
+        ...DEFAULT_OPEN_SET,
+        ...stored,
+        checks: { ...DEFAULT_OPEN_SET.checks, ...(stored && stored.checks) }
+      };
+    } catch (err) {
+      console.error('Error loading open-set settings:', err);
+      return { ...DEFAULT_OPEN_SET };
+    }
+  }
+
+  setSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(this.settings));
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.rejections));
+  }
+
+  /**
+   * Score limits for a model's calibration (or null for uncalibrated models)
+   */
+  thresholds(calibration) {
+    const { coverage, minConfidence } = this.settings;
+    if (!calibration) {
+      return { confidence: minConfidence, entropy: null, distance: null };
+    }
+    return {
+      confidence: quantile(calibration.quantiles.confidence, 1 - coverage),
+      entropy: quantile(calibration.quantiles.entropy, coverage),
+      distance: quantile(calibration.quantiles.distance, coverage)
+    };
+  }
+
+  /**
+   * Reasons to reject a prediction; an empty list accepts it
+   */
+  check(prediction, calibration) {
+    if (!this.settings.enabled || !prediction.openSet) {
+      return [];
+    }
+    const { checks } = this.settings;
+    const { confidence, entropy, distance } = prediction.openSet;
+    const limits = this.thresholds(calibration);
+    const reasons = [];
+
+    const gesture = this.registry.get(prediction.gestureId);
+    if (gesture && gesture.name === BACKGROUND_GESTURE_NAME) {
+      reasons.push('background');
+    }
+    // Without calibration only the fixed confidence cutoff applies
+    if ((checks.confidence || !calibration) && confidence < limits.confidence) {
+      reasons.push('confidence');
+    }
+    if (checks.entropy && limits.entropy !== null && entropy > limits.entropy) {
+      reasons.push('entropy');
+    }
+    if (checks.distance && limits.distance !== null && distance !== null && distance > limits.distance) {
+      reasons.push('distance');
+    }
+    return reasons;
+  }
+
+  /**
+   * Log a rejected frame; frames are the packets the model saw (one for the
+   * snapshot model, the window for the windowed model)
+   */
+  reject({ prediction, reasons, frames, hands }, now = Date.now()) {
+    this.remember(true);
+    if (this.current && this.current.hands === hands) {
+      this.current.count++;
+      if (prediction.confidence < this.current.confidence) {
+        Object.assign(this.current, {
+          gestureId: prediction.gestureId,
+          confidence: prediction.confidence,
+          reasons,
+          frames
+        });
+      }
+      this.rejections = [...this.rejections];
+      this.notify();
+      return;
+    }
+
+    this.current = {
+      id: createId('rejection'),
+      timestamp: now,
+      gestureId: prediction.gestureId,
+      confidence: prediction.confidence,
+      reasons,
+      frames,
+      hands,
+      count: 1
+    };
+    this.rejections = [this.current, ...this.rejections].slice(0, MAX_REJECTIONS);
+    this.notify();
+  }
+
+  /**
+   * An accepted frame ends the current run of rejected frames
+   */
+  accept() {
+    this.remember(false);
+    this.current = null;
+  }
+
+  remember(rejected) {
+    this.recent.push(rejected);
+    if (this.recent.length > MAX_RECENT) {
+      this.recent.shift();
+    }
+  }
+
+  /**
+   * Whether most of the last window frames were rejected, so a single
+   * rejected frame does not flash UNKNOWN
+   */
+  isUnknown(window) {
+    const latest = this.recent.slice(-Math.max(1, window));
+    return latest.filter(Boolean).length * 2 > latest.length;
+  }
+
+  reset() {
+    this.current = null;
+    this.recent = [];
+  }
+
+  removeRejection(id) {
+    if (this.current && this.current.id === id) {
+      this.current = null;
+    }
+    this.rejections = this.rejections.filter(r => r.id !== id);
+    this.notify();
+  }
+
+  clearRejections() {
+    this.current = null;
+    this.rejections = [];
+    this.notify();
+  }
+}
+
+export default UnknownDetector;
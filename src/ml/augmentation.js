@@ -0,0 +1,173 @@
+import { FEATURE_NAMES } from './datasetIO';
+
+/**
+ * Training data augmentation
+ * Works on raw sensor frames before normalization, so gains, offsets and
+ * rotations are in the glove's own units. A training example is a list of
+ * frames: one frame for snapshot models, a window for windowed models. Each
+ * frame holds 8 values per hand. Only the training split is augmented, never
+ * the validation or test data.
+ */
+
+const SETTINGS_KEY = 'gesture-augmentation';
+
+export const DEFAULT_AUGMENTATION = {
+  enabled: false,
+  copies: 2, // augmented copies of each training example
+  jitterFlex: 20, // Gaussian noise std, raw ADC units
+  jitterAccel: 200, // raw accelerometer units (16384 = 1 g)
+  jitterGyro: 100, // raw gyro units (131 = 1°/s)
+  flexGain: 0.1, // flex scaled by up to ±10% around its midpoint
+  flexOffset: 150, // flex shifted by up to ± this many ADC units
+  rotationDeg: 8, // accel and gyro rotated by up to ± this many degrees per axis
+  timeWarp: 0.2, // windowed only: local speed changes of up to ±20%
+  oversample: true // add augmented copies of smaller classes up to the largest
+};
+
+const ADC_MAX = 4095;
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+const HAND_SIZE = FEATURE_NAMES.length;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export const resolveAugmentation = (settings = {}) => {
+  const merged = { ...DEFAULT_AUGMENTATION, ...settings };
+  const number = (key, min, max) => {
+    const value = Number(merged[key]);
+    return Number.isFinite(value) ? clamp(value, min, max) : DEFAULT_AUGMENTATION[key];
+  };
+  return {
+    enabled: Boolean(merged.enabled),
+    copies: Math.round(number('copies', 0, 20)),
+    jitterFlex: number('jitterFlex', 0, 1000),
+    jitterAccel: number('jitterAccel', 0, 8000),
+    jitterGyro: number('jitterGyro', 0, 8000),
+    flexGain: number('flexGain', 0, 0.5),
+    flexOffset: number('flexOffset', 0, 1000),
+    rotationDeg: number('rotationDeg', 0, 45),
+    timeWarp: number('timeWarp', 0, 0.3),
+    oversample: Boolean(merged.oversample)
+  };
+};
+
+export const loadAugmentation = () => {
+  try {
+    return resolveAugmentation(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+  } catch (err) {
+    console.error('Error loading augmentation settings:', err);
+    return { ...DEFAULT_AUGMENTATION };
+  }
+};
+
+export const saveAugmentation = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+const uniform = (range, random) => (random() * 2 - 1) * range;
+
+// Box-Muller
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Rotation matrix for small random angles about x, y and z
+ */
+const randomRotation = (maxDeg, random) => {
+  const [a, b, c] = [0, 1, 2].map(() => uniform(maxDeg, random) * Math.PI / 180);
+  const [ca, sa, cb, sb, cc, sc] = [Math.cos(a), Math.sin(a), Math.cos(b), Math.sin(b), Math.cos(c), Math.sin(c)];
+  // Rz(c) * Ry(b) * Rx(a)
+  return [
+    [cc * cb, cc * sb * sa - sc * ca, cc * sb * ca + sc * sa],
+    [sc * cb, sc * sb * sa + cc * ca, sc * sb * ca - cc * sa],
+    [-sb, cb * sa, cb * ca]
+  ];
+};
+
+const rotate = (m, [x, y, z]) => m.map(row => row[0] * x + row[1] * y + row[2] * z);
+
+/**
+ * Resample frames along a smooth, monotonic time warp that keeps both ends
+ */
+const timeWarp = (frames, strength, random) => {
+  const n = frames.length;
+  if (n < 3 || strength === 0) return frames;
+  const amount = uniform(strength, random);
+  return frames.map((_, i) => {
+    const u = i / (n - 1);
+    const position = clamp(u + amount * Math.sin(Math.PI * u) / Math.PI, 0, 1) * (n - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(n - 1, lower + 1);
+    const t = position - lower;
+    return frames[lower].map((value, k) => value + (frames[upper][k] - value) * t);
+  });
+};
+
+/**
+ * One augmented copy of an example. Gain, offset and rotation are drawn once
+ * per hand and example, as for a different glove or fit; jitter per value.
+ */
+export const augmentExample = (frames, settings, random = Math.random) => {
+  const hands = frames[0].length / HAND_SIZE;
+  const perHand = Array.from({ length: hands }, () => ({
+    gain: 1 + uniform(settings.flexGain, random),
+    offset: uniform(settings.flexOffset, random),
+    rotation: randomRotation(settings.rotationDeg, random)
+  }));
+
+  const warped = timeWarp(frames, settings.timeWarp, random);
+  return warped.map(frame => {
+    const out = [];
+    perHand.forEach(({ gain, offset, rotation }, h) => {
+      const [f1, f2, ax, ay, az, gx, gy, gz] = frame.slice(h * HAND_SIZE, (h + 1) * HAND_SIZE);
+      const midpoint = ADC_MAX / 2;
+      const flex = [f1, f2].map(v =>
+        clamp(midpoint + (v - midpoint) * gain + offset + gaussian(random) * settings.jitterFlex, 0, ADC_MAX));
+      const accel = rotate(rotation, [ax, ay, az]).map(v =>
+        clamp(v + gaussian(random) * settings.jitterAccel, INT16_MIN, INT16_MAX));
+      const gyro = rotate(rotation, [gx, gy, gz]).map(v =>
+        clamp(v + gaussian(random) * settings.jitterGyro, INT16_MIN, INT16_MAX));
+      out.push(...flex, ...accel, ...gyro);
+    });
+    return out;
+  });
+};
+
+/**
+ * Originals plus augmented copies, and with oversampling further copies of
+ * random examples of each smaller class until it matches the largest
+ */
+export const augmentTrainingSet = (examples, classes, settings, random = Math.random) => {
+  const outExamples = [...examples];
+  const outClasses = [...classes];
+
+  examples.forEach((frames, i) => {
+    for (let copy = 0; copy < settings.copies; copy++) {
+      outExamples.push(augmentExample(frames, settings, random));
+      outClasses.push(classes[i]);
+    }
+  });
+
+  if (settings.oversample) {
+    const byClass = new Map();
+    classes.forEach((c, i) => {
+      if (!byClass.has(c)) byClass.set(c, []);
+      byClass.get(c).push(i);
+    });
+    const counts = new Map();
+    outClasses.forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+    const largest = Math.max(...counts.values());
+    byClass.forEach((indices, c) => {
+      for (let n = counts.get(c); n < largest; n++) {
+        const source = indices[Math.floor(random() * indices.length)];
+        outExamples.push(augmentExample(examples[source], settings, random));
+        outClasses.push(c);
+      }
+    });
+  }
+
+  return { examples: outExamples, classes: outClasses };
+};
@@ -0,0 +1,208 @@
+/**
+ * Training dataset export/import
+ * JSON and CSV files carry raw and normalized features, a gesture id and
+ * name and the recording take per sample, and metadata to validate against
+ * on import
+ */
+
+export const DATASET_FORMAT = 'gesture-dataset';
+export const DATASET_SCHEMA_VERSION = 1;
+export const FEATURE_NAMES = ['flex1', 'flex2', 'ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+/**
+ * Feature names for one glove, or hand1_flex1 ... hand2_gz for the
+ * concatenated packets of a two-handed set
+ */
+export const featureNamesFor = (hands = 1) => (hands === 1
+  ? FEATURE_NAMES
+  : Array.from({ length: hands }, (_, h) => FEATURE_NAMES.map(f => `hand${h + 1}_${f}`)).flat());
+
+const nameOf = (gestures, id) => {
+  const gesture = gestures.find(g => g.id === id);
+  return gesture ? gesture.name : `#${id}`;
+};
+
+const buildMetadata = (device, features) => ({
+  format: DATASET_FORMAT,
+  schemaVersion: DATASET_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  device: device || 'unknown',
+  features
+});
+
+/**
+ * Serialize a dataset as JSON
+ */
+export const datasetToJSON = (samples, gestures, { device, features = FEATURE_NAMES } = {}) => {
+  const data = {
+    ...buildMetadata(device, features),
+    gestures: gestures.map(({ id, name }) => ({ id, name })),
+    samples: samples.map(sample => ({
+      gestureId: sample.gestureId,
+      gestureName: nameOf(gestures, sample.gestureId),
+      takeId: sample.takeId,
+      raw: sample.raw,
+      normalized: sample.normalized
+    }))
+  };
+  return JSON.stringify(data, null, 2);
+};
+
+// Quote fields with a comma, quote or line break, doubling inner quotes
+const csvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const splitCSVLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells;
+};
+
+/**
+ * Serialize a dataset as CSV, metadata in leading "# key=value" lines
+ * Fields are quoted as in RFC 4180 where needed
+ */
+export const datasetToCSV = (samples, gestures, { device, features = FEATURE_NAMES } = {}) => {
+  const metadata = buildMetadata(device, features);
+  const lines = [
+    `# format=${metadata.format}`,
+    `# schemaVersion=${metadata.schemaVersion}`,
+    `# exportedAt=${metadata.exportedAt}`,
+    `# device=${metadata.device}`,
+    ['gesture_id', 'gesture_name', 'take_id', ...features, ...features.map(f => `norm_${f}`)].map(csvField).join(',')
+  ];
+
+  samples.forEach(sample => {
+    lines.push([
+      sample.gestureId,
+      nameOf(gestures, sample.gestureId),
+      sample.takeId,
+      ...sample.raw,
+      ...sample.normalized.map(v => +v.toFixed(6))
+    ].map(csvField).join(','));
+  });
+
+  return lines.join('\n');
+};
+
+const parseJSON = (text) => {
+  const data = JSON.parse(text);
+  if (data.format !== DATASET_FORMAT) {
+    throw new Error('Not a gesture dataset file');
+  }
+  if (!Array.isArray(data.samples)) {
+    throw new Error('Dataset has no samples');
+  }
+  return {
+    metadata: {
+      schemaVersion: data.schemaVersion,
+      exportedAt: data.exportedAt,
+      device: data.device,
+      features: data.features
+    },
+    samples: data.samples.map(s => ({
+      gestureId: s.gestureId,
+      gestureName: s.gestureName,
+      takeId: s.takeId,
+      raw: s.raw
+    }))
+  };
+};
+
+const parseCSV = (text, features) => {
+  const metadata = {};
+  const rows = [];
+
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+    if (line.startsWith('#')) {
+      const [key, ...rest] = line.slice(1).trim().split('=');
+      metadata[key] = rest.join('=');
+      return;
+    }
+    rows.push(splitCSVLine(line));
+  });
+
+  if (metadata.format !== DATASET_FORMAT) {
+    throw new Error('Not a gesture dataset file');
+  }
+
+  const [header, ...body] = rows;
+  if (!header) {
+    throw new Error('Dataset has no header row');
+  }
+  const column = (name) => header.indexOf(name);
+  const featureColumns = features.map(column);
+
+  return {
+    metadata: {
+      schemaVersion: Number(metadata.schemaVersion),
+      exportedAt: metadata.exportedAt,
+      device: metadata.device,
+      features: featureColumns.every(i => i !== -1) ? features : header
+    },
+    samples: body.map(cells => ({
+      gestureId: Number(cells[column('gesture_id')]),
+      gestureName: cells[column('gesture_name')],
+      takeId: column('take_id') !== -1 ? cells[column('take_id')] : undefined,
+      raw: featureColumns.map(i => Number(cells[i]))
+    }))
+  };
+};
+
+/**
+ * Parse and validate a dataset file against the expected feature names
+ * Samples are matched to local gestures by name, falling back to id
+ */
+export const parseDataset = (text, filename, gestures, features = FEATURE_NAMES) => {
+  const isCSV = filename.toLowerCase().endsWith('.csv');
+  const { metadata, samples } = isCSV ? parseCSV(text, features) : parseJSON(text);
+
+  if (!metadata.schemaVersion || metadata.schemaVersion > DATASET_SCHEMA_VERSION) {
+    throw new Error(`Unsupported schema version ${metadata.schemaVersion}`);
+  }
+  if (!Array.isArray(metadata.features) || metadata.features.join(',') !== features.join(',')) {
+    throw new Error(`Feature mismatch: expected ${features.join(', ')}`);
+  }
+
+  const validated = samples.map((sample, i) => {
+    const match = sample.gestureName !== undefined
+      ? gestures.find(g => g.name === sample.gestureName)
+      : gestures.find(g => g.id === sample.gestureId);
+    if (!match) {
+      throw new Error(`Sample ${i + 1}: unknown gesture "${sample.gestureName ?? sample.gestureId}"`);
+    }
+    const gestureId = match.id;
+    if (!Array.isArray(sample.raw) || sample.raw.length !== features.length ||
+        !sample.raw.every(Number.isFinite)) {
+      throw new Error(`Sample ${i + 1}: expected ${features.length} numeric features`);
+    }
+    return { gestureId, takeId: sample.takeId || null, raw: sample.raw };
+  });
+
+  return { metadata, samples: validated };
+};
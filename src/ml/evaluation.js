@@ -0,0 +1,165 @@
+/**
+ * Model evaluation helpers
+ * Stratified and take-grouped splits, confusion matrices and per-class
+ * precision/recall/F1
+ */
+
+// Small seeded PRNG so splits are reproducible between runs
+const mulberry32 = (seed) => () => {
+  let t = (seed += 0x6d2b79f5);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const shuffle = (array, random) => {
+  const result = [...array];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const groupByClass = (classes, random) => {
+  const groups = new Map();
+  classes.forEach((c, i) => {
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(i);
+  });
+  groups.forEach((indices, c) => groups.set(c, shuffle(indices, random)));
+  return groups;
+};
+
+/**
+ * Split indices so each class keeps the same share in the test set
+ * Classes with a single sample stay in the training set
+ */
+export const stratifiedSplit = (classes, testFraction = 0.2, seed = 42) => {
+  const random = mulberry32(seed);
+  const trainIdx = [];
+  const testIdx = [];
+
+  groupByClass(classes, random).forEach(indices => {
+    const testCount = indices.length > 1
+      ? Math.max(1, Math.round(indices.length * testFraction))
+      : 0;
+    testIdx.push(...indices.slice(0, testCount));
+    trainIdx.push(...indices.slice(testCount));
+  });
+
+  return { trainIdx: shuffle(trainIdx, random), testIdx };
+};
+
+/**
+ * Indices of each recording take, listed per class (the class of the take's
+ * first index) in shuffled order
+ */
+const groupTakesByClass = (classes, takes, random) => {
+  const members = new Map();
+  takes.forEach((take, i) => {
+    if (!members.has(take)) members.set(take, []);
+    members.get(take).push(i);
+  });
+  const groups = new Map();
+  members.forEach(indices => {
+    const c = classes[indices[0]];
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(indices);
+  });
+  groups.forEach((indices, c) => groups.set(c, shuffle(indices, random)));
+  return groups;
+};
+
+/**
+ * Split indices by recording take, so neighbouring packets and overlapping
+ * windows of one take never end up on both sides; each class sends whole
+ * takes to the test set until about testFraction of its samples are there
+ * Classes with a single take stay in the training set
+ */
+export const groupedSplit = (classes, takes, testFraction = 0.2, seed = 42) => {
+  const random = mulberry32(seed);
+  const trainIdx = [];
+  const testIdx = [];
+
+  groupTakesByClass(classes, takes, random).forEach(classTakes => {
+    const total = classTakes.reduce((sum, indices) => sum + indices.length, 0);
+    const target = Math.max(1, Math.round(total * testFraction));
+    let tested = 0;
+    classTakes.forEach((indices, i) => {
+      // The last take always trains
+      if (tested < target && i < classTakes.length - 1) {
+        testIdx.push(...indices);
+        tested += indices.length;
+      } else {
+        trainIdx.push(...indices);
+      }
+    });
+  });
+
+  return { trainIdx: shuffle(trainIdx, random), testIdx };
+};
+
+/**
+ * Group k-fold by recording take: every index is in the test set of exactly
+ * one fold, and all indices of a take are in the same fold
+ * Takes are dealt largest first to the fold with the fewest samples of
+ * their class, so folds stay roughly stratified
+ */
+export const groupedKFold = (classes, takes, k = 5, seed = 42) => {
+  const random = mulberry32(seed);
+  const foldMembers = Array.from({ length: k }, () => []);
+
+  groupTakesByClass(classes, takes, random).forEach(classTakes => {
+    const sizes = new Array(k).fill(0);
+    [...classTakes].sort((a, b) => b.length - a.length).forEach(indices => {
+      const fold = sizes.indexOf(Math.min(...sizes));
+      foldMembers[fold].push(...indices);
+      sizes[fold] += indices.length;
+    });
+  });
+
+  return foldMembers.map((testIdx, fold) => ({
+    trainIdx: shuffle(foldMembers.filter((_, f) => f !== fold).flat(), random),
+    testIdx
+  }));
+};
+
+export const confusionMatrix = (trueClasses, predictedClasses, numClasses) => {
+  const matrix = Array.from({ length: numClasses }, () => new Array(numClasses).fill(0));
+  trueClasses.forEach((actual, i) => {
+    matrix[actual][predictedClasses[i]]++;
+  });
+  return matrix;
+};
+
+/**
+ * Per-class precision/recall/F1 plus accuracy and macro averages
+ * Rows of the matrix are true classes, columns are predictions
+ */
+export const metricsFromMatrix = (matrix) => {
+  const total = matrix.flat().reduce((sum, v) => sum + v, 0);
+  const correct = matrix.reduce((sum, row, i) => sum + row[i], 0);
+
+  const perClass = matrix.map((row, i) => {
+    const tp = row[i];
+    const support = row.reduce((sum, v) => sum + v, 0);
+    const predicted = matrix.reduce((sum, r) => sum + r[i], 0);
+    const precision = predicted ? tp / predicted : 0;
+    const recall = support ? tp / support : 0;
+    const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+    return { precision, recall, f1, support };
+  });
+
+  const present = perClass.filter(c => c.support > 0);
+  const macro = (key) => (present.length ? present.reduce((sum, c) => sum + c[key], 0) / present.length : 0);
+
+  return {
+    accuracy: total ? correct / total : 0,
+    macroPrecision: macro('precision'),
+    macroRecall: macro('recall'),
+    macroF1: macro('f1'),
+    perClass,
+    total
+  };
+};
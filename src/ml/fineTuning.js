@@ -0,0 +1,51 @@
+/**
+ * Fine-tuning from live corrections
+ * A correction saves the packets behind a wrong live prediction as a take
+ * with the right label. Fine-tuning continues training the active model for
+ * a few epochs on the corrections made since it was saved, mixed with a
+ * replay of older samples so the other gestures are not forgotten.
+ */
+
+const SETTINGS_KEY = 'gesture-fine-tune';
+
+export const CORRECTION_TAKE_PREFIX = 'correction';
+
+export const DEFAULT_FINE_TUNE = {
+  auto: false, // fine-tune in the background once enough corrections are pending
+  autoAfter: 5, // pending corrections that start an automatic fine-tune
+  epochs: 5,
+  learningRateScale: 0.5, // share of the training config's learning rate
+  replayRatio: 4 // older samples replayed per correction sample
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+export const resolveFineTune = (settings = {}) => {
+  const merged = { ...DEFAULT_FINE_TUNE, ...settings };
+  const number = (key, min, max) => {
+    const value = Number(merged[key]);
+    return Number.isFinite(value) ? clamp(value, min, max) : DEFAULT_FINE_TUNE[key];
+  };
+  return {
+    auto: Boolean(merged.auto),
+    autoAfter: Math.round(number('autoAfter', 1, 100)),
+    epochs: Math.round(number('epochs', 1, 50)),
+    learningRateScale: number('learningRateScale', 0.01, 1),
+    replayRatio: number('replayRatio', 0, 20)
+  };
+};
+
+export const loadFineTune = () => {
+  try {
+    return resolveFineTune(JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {});
+  } catch (err) {
+    console.error('Error loading fine-tune settings:', err);
+    return { ...DEFAULT_FINE_TUNE };
+  }
+};
+
+export const saveFineTune = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const isCorrectionTake = (takeId) => takeId.startsWith(`${CORRECTION_TAKE_PREFIX}-`);
@@ -0,0 +1,188 @@
+import * as tf from '@tensorflow/tfjs';
+import { computeClassWeights } from './trainingConfig';
+
+/**
+ * Model work of the classifier: loading, fitting and running tfjs models
+ * Runs inside the model worker (or on the main thread where workers are not
+ * available). Models live in named slots, e.g. the live model of each
+ * classifier and temporary models for training and evaluation. Requests for
+ * the same slot run one after another; different slots interleave, so live
+ * inference continues while a model trains.
+ */
+
+/**
+ * Model artifacts without the Promise-returning parts, safe to post
+ */
+export const modelToArtifacts = async (model) => {
+  let artifacts = null;
+  await model.save(tf.io.withSaveHandler(async (saved) => {
+    artifacts = saved;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+  const weightData = Array.isArray(artifacts.weightData)
+    ? tf.io.concatenateArrayBuffers(artifacts.weightData)
+    : artifacts.weightData;
+  return {
+    modelTopology: artifacts.modelTopology,
+    weightSpecs: artifacts.weightSpecs,
+    weightData,
+    userDefinedMetadata: artifacts.userDefinedMetadata
+  };
+};
+
+export const modelFromArtifacts = (artifacts) => tf.loadLayersModel(tf.io.fromMemory(artifacts));
+
+/**
+ * Flatten nested input arrays into one Float32Array for transfer
+ */
+export const packInputs = (inputs) => {
+  const shape = [inputs.length];
+  let level = inputs[0];
+  while (Array.isArray(level)) {
+    shape.push(level.length);
+    level = level[0];
+  }
+  return { data: Float32Array.from(inputs.flat(shape.length - 1)), shape };
+};
+
+const toTensor = ({ data, shape }) => tf.tensor(data, shape);
+
+class ModelEngine {
+  constructor() {
+    this.models = new Map(); // slot -> tfjs model
+    this.queues = new Map(); // slot -> promise of the last request
+  }
+
+  /**
+   * Run task after earlier requests for the same slot
+   */
+  enqueue(slot, task) {
+    const previous = this.queues.get(slot) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.queues.set(slot, next);
+    return next;
+  }
+
+  replace(slot, model) {
+    const previous = this.models.get(slot);
+    this.models.set(slot, model);
+    if (previous && previous !== model) {
+      previous.dispose();
+    }
+  }
+
+  model(slot) {
+    const model = this.models.get(slot);
+    if (!model) {
+      throw new Error(`No model loaded in slot ${slot}`);
+    }
+    return model;
+  }
+
+  load({ slot, artifacts }) {
+    return this.enqueue(slot, async () => {
+      this.replace(slot, await modelFromArtifacts(artifacts));
+      return {};
+    });
+  }
+
+  save({ slot }) {
+    return this.enqueue(slot, async () => ({ artifacts: await modelToArtifacts(this.model(slot)) }));
+  }
+
+  dispose({ slot }) {
+    return this.enqueue(slot, async () => {
+      const model = this.models.get(slot);
+      if (model) {
+        model.dispose();
+        this.models.delete(slot);
+      }
+      return {};
+    });
+  }
+
+  /**
+   * Load artifacts into slot and fit them; returns the training history
+   */
+  train({ slot, artifacts, inputs, classes, validation, config, numClasses }, onProgress) {
+    return this.enqueue(slot, async () => {
+      const model = await modelFromArtifacts(artifacts);
+      this.replace(slot, model);
+      model.compile({
+        optimizer: tf.train.adam(config.learningRate),
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+      });
+
+      const { epochs, batchSize, earlyStopping, patience, classWeighting } = config;
+      const xs = toTensor(inputs);
+      const ys = tf.oneHot(tf.tensor1d(classes, 'int32'), numClasses);
+      const val = validation && validation.classes.length > 0
+        ? { xs: toTensor(validation.inputs), ys: tf.oneHot(tf.tensor1d(validation.classes, 'int32'), numClasses) }
+        : null;
+
+      const callbacks = [new tf.CustomCallback({
+        onEpochEnd: (epoch, logs) => onProgress({ epoch, logs: { ...logs } })
+      })];
+      if (earlyStopping) {
+        callbacks.push(tf.callbacks.earlyStopping({ monitor: val ? 'val_loss' : 'loss', patience }));
+      }
+
+      try {
+        const history = await model.fit(xs, ys, {
+          epochs,
+          batchSize,
+          validationData: val ? [val.xs, val.ys] : undefined,
+          classWeight: classWeighting ? computeClassWeights(classes, numClasses) : undefined,
+          shuffle: true,
+          callbacks
+        });
+        return { history: { epoch: history.epoch, history: history.history } };
+      } finally {
+        xs.dispose();
+        ys.dispose();
+        if (val) {
+          val.xs.dispose();
+          val.ys.dispose();
+        }
+      }
+    });
+  }
+
+  /**
+   * Class probabilities for a batch of inputs
+   */
+  predict({ slot, inputs }) {
+    return this.enqueue(slot, async () => {
+      const started = performance.now();
+      const xs = toTensor(inputs);
+      const output = this.model(slot).predict(xs);
+      const values = await output.data();
+      xs.dispose();
+      output.dispose();
+
+      const units = output.shape[1];
+      const probabilities = [];
+      for (let i = 0; i < values.length; i += units) {
+        probabilities.push(Array.from(values.subarray(i, i + units)));
+      }
+      return { probabilities, inferenceMs: performance.now() - started };
+    });
+  }
+
+  /**
+   * Dispatch a request message; progress events go to onProgress
+   */
+  handle({ type, ...payload }, onProgress) {
+    switch (type) {
+      case 'load': return this.load(payload);
+      case 'save': return this.save(payload);
+      case 'dispose': return this.dispose(payload);
+      case 'train': return this.train(payload, onProgress);
+      case 'predict': return this.predict(payload);
+      default: return Promise.reject(new Error(`Unknown request ${type}`));
+    }
+  }
+}
+
+export default ModelEngine;
@@ -0,0 +1,175 @@
+import * as tf from '@tensorflow/tfjs';
+import { FEATURE_NAMES } from './datasetIO';
+
+/**
+ * Trained model export/import
+ * A package is a single JSON file holding the tfjs model artifacts (weights
+ * base64-encoded) plus the gesture vocabulary, training config and
+ * calibration profile the model was trained with. A plain tfjs model.json
+ * with its weight files can be imported too.
+ */
+
+export const MODEL_FORMAT = 'gesture-model';
+export const MODEL_SCHEMA_VERSION = 1;
+
+const arrayBufferToBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so String.fromCharCode does not exceed the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const base64ToArrayBuffer = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+
+/**
+ * Serialize a model and the context it needs to run elsewhere
+ */
+export const serializeModel = async (model, { name, version, features = FEATURE_NAMES, gestures, trainingConfig, calibration, record }) => {
+  let artifacts = null;
+  await model.save(tf.io.withSaveHandler(async (saved) => {
+    artifacts = saved;
+    return { modelArtifactsInfo: { dateSaved: new Date(), modelTopologyType: 'JSON' } };
+  }));
+
+  const weightData = Array.isArray(artifacts.weightData)
+    ? tf.io.concatenateArrayBuffers(artifacts.weightData)
+    : artifacts.weightData;
+
+  const data = {
+    format: MODEL_FORMAT,
+    schemaVersion: MODEL_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    name,
+    version,
+    features,
+    gestures: gestures.map(({ id, name: gestureName, icon, color }) => ({ id, name: gestureName, icon, color })),
+    trainingConfig,
+    calibration: calibration || null,
+    training: record ? record.training : null,
+    evaluation: record ? record.evaluation : null,
+    dataset: record ? record.dataset : null,
+    augmentation: record ? record.augmentation || null : null,
+    modelTopology: artifacts.modelTopology,
+    weightSpecs: artifacts.weightSpecs,
+    weightData: arrayBufferToBase64(weightData),
+    userDefinedMetadata: artifacts.userDefinedMetadata
+  };
+  return JSON.stringify(data);
+};
+
+/**
+ * Read the selected files into { artifacts, info }
+ * Accepts one package file, or a tfjs model.json together with its weight files
+ */
+export const readModelFiles = async (files) => {
+  const jsonFile = files.find(f => f.name.toLowerCase().endsWith('.json'));
+  if (!jsonFile) {
+    throw new Error('Select a model package or a model.json file');
+  }
+  const data = JSON.parse(await jsonFile.text());
+
+  if (data.format === MODEL_FORMAT) {
+    if (!data.schemaVersion || data.schemaVersion > MODEL_SCHEMA_VERSION) {
+      throw new Error(`Unsupported schema version ${data.schemaVersion}`);
+    }
+    const { modelTopology, weightSpecs, weightData, userDefinedMetadata, ...info } = data;
+    return {
+      artifacts: { modelTopology, weightSpecs, weightData: base64ToArrayBuffer(weightData), userDefinedMetadata },
+      info: { ...info, openSet: (userDefinedMetadata && userDefinedMetadata.openSet) || null }
+    };
+  }
+
+  if (!data.modelTopology || !Array.isArray(data.weightsManifest)) {
+    throw new Error('Not a gesture model package or tfjs model.json');
+  }
+
+  // Plain tfjs export: vocabulary and config come from the model metadata
+  const weightFiles = files.filter(f => f !== jsonFile);
+  const handler = tf.io.browserFiles([jsonFile, ...weightFiles]);
+  const artifacts = await handler.load();
+  const metadata = artifacts.userDefinedMetadata || {};
+  return {
+    artifacts,
+    info: {
+      name: jsonFile.name.replace(/\.json$/i, ''),
+      features: metadata.features || null,
+      gestures: metadata.gestures || null,
+      trainingConfig: metadata.trainingConfig || null,
+      calibration: metadata.calibration || null,
+      openSet: metadata.openSet || null
+    }
+  };
+};
+
+const featureCountError = (count, features) =>
+  new Error(`Feature count mismatch: model expects ${count}, this app provides ${features.length}`);
+
+/**
+ * Check the input size in the topology before building the model, so a
+ * mismatch is reported instead of a tfjs shape error
+ */
+export const checkTopology = (modelTopology, features = FEATURE_NAMES) => {
+  const topology = modelTopology && (modelTopology.model_config || modelTopology);
+  const layers = topology && topology.config && topology.config.layers;
+  const first = layers && layers[0] && layers[0].config;
+  const shape = first && (first.batch_input_shape || first.batchInputShape);
+  if (shape && shape[shape.length - 1] !== features.length) {
+    throw featureCountError(shape[shape.length - 1], features);
+  }
+};
+
+/**
+ * Check an imported model against the local feature set and vocabulary
+ * Returns the packaged gesture for each output unit and the gestures that
+ * are missing locally
+ */
+export const inspectModel = (model, info, localGestures, features = FEATURE_NAMES) => {
+  const inputShape = model.inputs[0].shape;
+  const numFeatures = inputShape[inputShape.length - 1];
+  const numClasses = model.outputs[0].shape[1];
+
+  if (numFeatures !== features.length) {
+    throw featureCountError(numFeatures, features);
+  }
+  if (Array.isArray(info.features) && info.features.join(',') !== features.join(',')) {
+    throw new Error(`Feature mismatch: expected ${features.join(', ')}`);
+  }
+  if (!info.gestures) {
+    throw new Error('Model has no gesture vocabulary');
+  }
+
+  // Output units follow the classIds saved with the model
+  const metadata = model.getUserDefinedMetadata() || {};
+  const unitIds = metadata.classIds || info.gestures.map(g => g.id);
+  if (unitIds.length !== numClasses) {
+    throw new Error(`Class count mismatch: model has ${numClasses} outputs but ${unitIds.length} gestures`);
+  }
+
+  const units = unitIds.map(id => {
+    const gesture = info.gestures.find(g => g.id === id);
+    if (!gesture) {
+      throw new Error(`Model output for gesture #${id} has no name`);
+    }
+    return gesture;
+  });
+  const missing = units.filter(g => !localGestures.some(local => local.name === g.name));
+
+  return {
+    numFeatures,
+    numClasses,
+    modelType: inputShape.length === 3 ? 'windowed' : 'snapshot',
+    windowSize: inputShape.length === 3 ? inputShape[1] : null,
+    units,
+    missing
+  };
+};
@@ -0,0 +1,26 @@
+import * as tf from '@tensorflow/tfjs';
+import ModelEngine from './modelEngine';
+
+/**
+ * Model worker entry
+ * Requests are { id, type, ...payload }; replies are { id, result } or
+ * { id, error }, and training posts { id, progress } after every epoch.
+ * WebGL needs a canvas the worker does not have, so models run on the CPU
+ * backend, which is fast enough for these small networks.
+ */
+const engine = new ModelEngine();
+
+const ready = tf.setBackend('cpu').then(() => {
+  self.postMessage({ ready: true, backend: tf.getBackend() });
+});
+
+self.onmessage = async ({ data: { id, ...request } }) => {
+  await ready;
+  try {
+    const result = await engine.handle(request, progress => self.postMessage({ id, progress }));
+    const transfer = result.artifacts ? [result.artifacts.weightData] : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
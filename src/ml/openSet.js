@@ -0,0 +1,149 @@
+/**
+ * Open-set scores for rejecting inputs that match no trained gesture
+ * Every prediction gets three scores: the winning probability, the
+ * normalized entropy of the probabilities and the distance of the input to
+ * the winning gesture's centroid, in units of that gesture's spread in the
+ * training data. Training records the distribution of each score on the
+ * held-out validation samples, which come from recording takes the model
+ * was not trained on, so thresholds can be picked as the share of
+ * known-gesture samples to accept instead of as raw values.
+ */
+
+export const CALIBRATION_VERSION = 1;
+const QUANTILE_STEPS = 100;
+const MIN_CALIBRATION_SAMPLES = 20;
+
+/**
+ * Feature vector the distance check works on: the normalized packet for
+ * the snapshot model, per-feature mean and spread over the window for the
+ * windowed model, so a gesture performed a little earlier or later in the
+ * window is not far from its centroid
+ */
+export const embed = (input) => {
+  if (!Array.isArray(input[0])) {
+    return input;
+  }
+  const size = input[0].length;
+  const mean = new Array(size).fill(0);
+  const spread = new Array(size).fill(0);
+  input.forEach(frame => frame.forEach((v, k) => { mean[k] += v / input.length; }));
+  input.forEach(frame => frame.forEach((v, k) => { spread[k] += (v - mean[k]) ** 2 / input.length; }));
+  return [...mean, ...spread.map(Math.sqrt)];
+};
+
+const distance = (a, b) => Math.sqrt(a.reduce((sum, v, k) => sum + (v - b[k]) ** 2, 0));
+
+/**
+ * Entropy of the probabilities divided by its maximum: 0 is certain,
+ * 1 is uniform
+ */
+export const normalizedEntropy = (probabilities) => {
+  if (probabilities.length < 2) return 0;
+  const entropy = probabilities.reduce((sum, p) => (p > 0 ? sum - p * Math.log(p) : sum), 0);
+  return entropy / Math.log(probabilities.length);
+};
+
+/**
+ * Values at 0%, 1%, ... 100% of the sorted values
+ */
+const quantileTable = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return Array.from({ length: QUANTILE_STEPS + 1 }, (_, i) => {
+    const position = (i / QUANTILE_STEPS) * (sorted.length - 1);
+    const low = Math.floor(position);
+    const high = Math.min(sorted.length - 1, low + 1);
+    return sorted[low] + (sorted[high] - sorted[low]) * (position - low);
+  });
+};
+
+/**
+ * Value below which a fraction of the calibration samples fall
+ */
+export const quantile = (table, fraction) => {
+  const position = Math.max(0, Math.min(1, fraction)) * QUANTILE_STEPS;
+  const low = Math.floor(position);
+  const high = Math.min(QUANTILE_STEPS, low + 1);
+  return table[low] + (table[high] - table[low]) * (position - low);
+};
+
+/**
+ * Scores of one prediction; distance is null if the calibration has no
+ * centroid for the predicted gesture
+ */
+export const openSetScores = (calibration, input, probabilities, gestureId) => {
+  const confidence = Math.max(...probabilities);
+  const entropy = normalizedEntropy(probabilities);
+  const centroid = calibration && calibration.centroids.find(c => c.gestureId === gestureId);
+  return {
+    confidence,
+    entropy,
+    distance: centroid ? distance(embed(input), centroid.center) / centroid.radius : null
+  };
+};
+
+/**
+ * Calibrate on a fitted model
+ * Centroids and their spread come from the training inputs; the score
+ * tables from the validation inputs the model classifies correctly, with
+ * its probabilities for them. Training inputs are never scored: the model
+ * is more confident on them than on new input, so the thresholds would
+ * reject too much. Returns null with fewer than 20 validation inputs.
+ */
+export const calibrateOpenSet = ({ train, validation, classIds }) => {
+  if (validation.inputs.length < MIN_CALIBRATION_SAMPLES) {
+    return null;
+  }
+
+  const groups = new Map();
+  train.inputs.forEach((input, i) => {
+    const unit = train.classes[i];
+    if (!groups.has(unit)) groups.set(unit, []);
+    groups.get(unit).push(embed(input));
+  });
+
+  const centroids = [];
+  groups.forEach((vectors, unit) => {
+    const center = vectors[0].map((_, k) => vectors.reduce((sum, v) => sum + v[k], 0) / vectors.length);
+    const rms = Math.sqrt(vectors.reduce((sum, v) => sum + distance(v, center) ** 2, 0) / vectors.length);
+    centroids.push({ gestureId: classIds[unit], center, radius: Math.max(rms, 1e-3) });
+  });
+  const calibration = { version: CALIBRATION_VERSION, centroids };
+
+  const { inputs, classes, probabilities } = validation;
+  const scored = inputs.map((input, i) => {
+    const unit = probabilities[i].indexOf(Math.max(...probabilities[i]));
+    return {
+      correct: unit === classes[i],
+      ...openSetScores(calibration, input, probabilities[i], classIds[unit])
+    };
+  });
+  // A model that gets nothing right still gets thresholds, if loose ones
+  const correct = scored.filter(s => s.correct);
+  const scores = correct.length > 0 ? correct : scored;
+
+  return {
+    ...calibration,
+    source: 'validation',
+    count: scores.length,
+    quantiles: {
+      confidence: quantileTable(scores.map(s => s.confidence)),
+      entropy: quantileTable(scores.map(s => s.entropy)),
+      distance: quantileTable(scores.map(s => s.distance).filter(d => d !== null))
+    }
+  };
+};
+
+/**
+ * Calibration of an imported model with its gesture ids mapped to local ids
+ */
+export const remapOpenSet = (calibration, idMap) => {
+  if (!calibration || calibration.version !== CALIBRATION_VERSION) {
+    return null;
+  }
+  return {
+    ...calibration,
+    centroids: calibration.centroids
+      .filter(c => idMap.has(c.gestureId))
+      .map(c => ({ ...c, gestureId: idMap.get(c.gestureId) }))
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * Training hyperparameters and architecture presets
+ * The active config is saved in the model metadata so a later session can
+ * retrain the same way
+ */
+
+export const TRAINING_PRESETS = {
+  tiny: {
+    label: 'Tiny / fast',
+    epochs: 20,
+    batchSize: 64,
+    learningRate: 0.003,
+    hiddenUnits: [16],
+    convFilters: [16],
+    dropout: 0.1,
+    earlyStopping: true,
+    patience: 3,
+    classWeighting: false
+  },
+  default: {
+    label: 'Default',
+    epochs: 50,
+    batchSize: 32,
+    learningRate: 0.001,
+    hiddenUnits: [64, 32],
+    convFilters: [32, 64],
+    dropout: 0.2,
+    earlyStopping: false,
+    patience: 5,
+    classWeighting: false
+  },
+  large: {
+    label: 'Large',
+    epochs: 100,
+    batchSize: 32,
+    learningRate: 0.0005,
+    hiddenUnits: [128, 64, 32],
+    convFilters: [64, 128],
+    dropout: 0.3,
+    earlyStopping: true,
+    patience: 10,
+    classWeighting: true
+  }
+};
+
+const { label: _label, ...defaults } = TRAINING_PRESETS.default;
+
+export const DEFAULT_TRAINING_CONFIG = { preset: 'default', ...defaults };
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+};
+
+const clampLayers = (layers, fallback) => {
+  const units = (Array.isArray(layers) ? layers : [])
+    .map(v => Math.round(clamp(v, 1, 1024, 0)))
+    .filter(v => v > 0);
+  return units.length > 0 ? units : fallback;
+};
+
+/**
+ * Build a complete, valid config from a preset name or partial values
+ */
+export const resolveTrainingConfig = (config = {}) => {
+  const base = TRAINING_PRESETS[config.preset] || TRAINING_PRESETS.default;
+  const merged = { ...base, ...config };
+
+  return {
+    preset: TRAINING_PRESETS[config.preset] ? config.preset : 'custom',
+    epochs: Math.round(clamp(merged.epochs, 1, 1000, base.epochs)),
+    batchSize: Math.round(clamp(merged.batchSize, 1, 1024, base.batchSize)),
+    learningRate: clamp(merged.learningRate, 0.00001, 1, base.learningRate),
+    hiddenUnits: clampLayers(merged.hiddenUnits, base.hiddenUnits),
+    convFilters: clampLayers(merged.convFilters, base.convFilters),
+    dropout: clamp(merged.dropout, 0, 0.9, base.dropout),
+    earlyStopping: Boolean(merged.earlyStopping),
+    patience: Math.round(clamp(merged.patience, 1, 100, base.patience)),
+    classWeighting: Boolean(merged.classWeighting)
+  };
+};
+
+/**
+ * Whether two configs build differently shaped models
+ */
+export const architectureChanged = (a, b) =>
+  a.hiddenUnits.join(',') !== b.hiddenUnits.join(',') ||
+  a.convFilters.join(',') !== b.convFilters.join(',') ||
+  a.dropout !== b.dropout;
+
+/**
+ * Inverse-frequency weights so rare gestures count as much as common ones
+ */
+export const computeClassWeights = (classes, numClasses) => {
+  const counts = new Array(numClasses).fill(0);
+  classes.forEach(c => counts[c]++);
+  const present = counts.filter(count => count > 0).length;
+
+  const weights = {};
+  counts.forEach((count, unit) => {
+    weights[unit] = count > 0 ? classes.length / (present * count) : 1;
+  });
+  return weights;
+};
@@ -0,0 +1,119 @@
+/**
+ * Glove orientation from the MPU6050
+ * Complementary filter: gyro rates are integrated for fast response and
+ * pulled towards the accelerometer's gravity angles to cancel drift. Yaw
+ * has no absolute reference and is gyro-only.
+ */
+
+// MPU6050 at ±250°/s
+const GYRO_LSB_PER_DPS = 131;
+const DEG = 180 / Math.PI;
+const MAX_DT = 0.5;
+
+// Stillness detection for the automatic gyro bias estimate
+const STILL_GYRO = 600; // raw units (~4.6°/s) after bias removal
+const STILL_ACCEL = 0.08; // fraction of 1 g
+const BIAS_RATE = 0.02;
+
+export const DEFAULT_ALPHA = 0.98;
+
+class OrientationFilter {
+  constructor({ alpha = DEFAULT_ALPHA } = {}) {
+    this.alpha = alpha;
+    this.autoBias = true;
+    this.bias = { gx: 0, gy: 0, gz: 0 };
+    this.gravity = 16384;
+    this.latest = null;
+    this.reset();
+  }
+
+  /**
+   * Start from the calibration profile's gyro bias and gravity, if any
+   */
+  setCalibration(profile) {
+    this.bias = profile ? { ...profile.gyroBias } : { gx: 0, gy: 0, gz: 0 };
+    this.gravity = profile ? profile.gravity : 16384;
+  }
+
+  reset() {
+    this.pitch = 0;
+    this.roll = 0;
+    this.yaw = 0;
+    this.reference = { pitch: 0, roll: 0 };
+    this.lastTime = null;
+    this.initialized = false;
+  }
+
+  /**
+   * Make the current pose the zero orientation
+   */
+  zero() {
+    this.reference = { pitch: this.pitch, roll: this.roll };
+    this.yaw = 0;
+  }
+
+  accelAngles({ ax, ay, az }) {
+    return {
+      pitch: Math.atan2(-ay, Math.sqrt(ax * ax + az * az)) * DEG,
+      roll: Math.atan2(ax, Math.sqrt(ay * ay + az * az)) * DEG
+    };
+  }
+
+  update(sensorData, now = performance.now()) {
+    this.latest = sensorData;
+    const accel = this.accelAngles(sensorData);
+    const gx = sensorData.gx - this.bias.gx;
+    const gy = sensorData.gy - this.bias.gy;
+    const gz = sensorData.gz - this.bias.gz;
+
+    if (!this.initialized) {
+      this.pitch = accel.pitch;
+      this.roll = accel.roll;
+      this.initialized = true;
+      this.lastTime = now;
+      return this.getOrientation();
+    }
+
+    const dt = Math.min(MAX_DT, Math.max(0, (now - this.lastTime) / 1000));
+    this.lastTime = now;
+
+    // Tilting up is a negative rotation about x, tilting right a negative
+    // rotation about y, so the gyro signs follow the accel angles
+    this.pitch = this.alpha * (this.pitch - (gx / GYRO_LSB_PER_DPS) * dt) + (1 - this.alpha) * accel.pitch;
+    this.roll = this.alpha * (this.roll - (gy / GYRO_LSB_PER_DPS) * dt) + (1 - this.alpha) * accel.roll;
+    this.yaw += (gz / GYRO_LSB_PER_DPS) * dt;
+
+    if (this.autoBias) {
+      this.updateBias(sensorData, gx, gy, gz);
+    }
+
+    return this.getOrientation();
+  }
+
+  /**
+   * Track the gyro offset while the hand is still: the residual rate is
+   * then drift, not motion
+   */
+  updateBias(sensorData, gx, gy, gz) {
+    const { ax, ay, az } = sensorData;
+    const magnitude = Math.sqrt(ax * ax + ay * ay + az * az);
+    const still = Math.abs(magnitude - this.gravity) < STILL_ACCEL * this.gravity &&
+      Math.abs(gx) < STILL_GYRO && Math.abs(gy) < STILL_GYRO && Math.abs(gz) < STILL_GYRO;
+    this.still = still;
+    if (still) {
+      this.bias.gx += BIAS_RATE * gx;
+      this.bias.gy += BIAS_RATE * gy;
+      this.bias.gz += BIAS_RATE * gz;
+    }
+  }
+
+  getOrientation() {
+    return {
+      pitch: this.pitch - this.reference.pitch,
+      roll: this.roll - this.reference.roll,
+      yaw: this.yaw
+    };
+  }
+}
+
+export default OrientationFilter;
@@ -0,0 +1,102 @@
+const RATE_WINDOW_MS = 2000;
+const SEQUENCE_MODULO = 256;
+
+/**
+ * Link statistics for one glove
+ * Counts accepted and rejected packets by reason, the packet rate, and for
+ * binary frames sequence gaps and the number of frames lost in them.
+ * Updated per packet without notifying; the UI polls snapshot().
+ */
+class PacketStats {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.received = 0;
+    this.valid = 0;
+    this.malformed = 0;
+    this.errors = {}; // reason -> count
+    this.lastError = null;
+    this.sequenceGaps = 0;
+    this.lost = 0;
+    this.duplicates = 0;
+    this.lastSeq = null;
+    this.lastPacketAt = null;
+    this.times = [];
+    this.startedAt = performance.now();
+  }
+
+  /**
+   * Count a packet that passed validation
+   */
+  record(packet, now = performance.now()) {
+    this.received++;
+    this.valid++;
+    this.lastPacketAt = now;
+    this.times.push(now);
+    this.prune(now);
+
+    if (packet.seq === null || packet.seq === undefined) return;
+    if (this.lastSeq !== null) {
+      const expected = (this.lastSeq + 1) % SEQUENCE_MODULO;
+      if (packet.seq === this.lastSeq) {
+        this.duplicates++;
+      } else if (packet.seq !== expected) {
+        this.sequenceGaps++;
+        this.lost += (packet.seq - expected + SEQUENCE_MODULO) % SEQUENCE_MODULO;
+      }
+    }
+    this.lastSeq = packet.seq;
+  }
+
+  /**
+   * Count a rejected packet; err is a PacketError or any parse failure
+   */
+  recordError(err) {
+    const reason = err.reason || 'other';
+    this.received++;
+    this.malformed++;
+    this.errors[reason] = (this.errors[reason] || 0) + 1;
+    this.lastError = { reason, message: err.message, timestamp: Date.now() };
+  }
+
+  prune(now) {
+    while (this.times.length > 0 && this.times[0] < now - RATE_WINDOW_MS) {
+      this.times.shift();
+    }
+  }
+
+  /**
+   * Valid packets per second over the last two seconds
+   */
+  rate(now = performance.now()) {
+    this.prune(now);
+    const span = Math.min(RATE_WINDOW_MS, now - this.startedAt);
+    return span > 0 ? (this.times.length * 1000) / span : 0;
+  }
+
+  /**
+   * Milliseconds since the last valid packet, or since the reset if none
+   */
+  age(now = performance.now()) {
+    return now - (this.lastPacketAt ?? this.startedAt);
+  }
+
+  snapshot(now = performance.now()) {
+    return {
+      rate: this.rate(now),
+      age: this.age(now),
+      received: this.received,
+      valid: this.valid,
+      malformed: this.malformed,
+      errors: { ...this.errors },
+      lastError: this.lastError,
+      sequenceGaps: this.sequenceGaps,
+      lost: this.lost,
+      duplicates: this.duplicates
+    };
+  }
+}
+
+export default PacketStats;
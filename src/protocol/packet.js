@@ -0,0 +1,190 @@
+import { gestureRegistry } from '../gestures/GestureRegistry';
+
+/**
+ * Glove packet protocol
+ * Text packets are "id:name|f1,f2,ax,ay,az,gx,gy,gz" lines. Binary frames
+ * are fixed 20-byte records (fits one BLE notification at the default MTU):
+ *
+ *   byte 0      0xA0 | version
+ *   byte 1      sequence number, wraps at 256
+ *   byte 2      gesture id
+ *   bytes 3-18  flex1, flex2, ax, ay, az, gx, gy, gz as little-endian int16
+ *   byte 19     CRC-8 (polynomial 0x07) of bytes 0-18
+ *
+ * Both are validated before anything downstream sees them; invalid input
+ * raises a PacketError with a short reason code for the link statistics.
+ */
+
+export const SENSOR_FIELDS = ['flex1', 'flex2', 'ax', 'ay', 'az', 'gx', 'gy', 'gz'];
+
+export const FRAME_MAGIC = 0xa0;
+export const FRAME_VERSION = 1;
+export const FRAME_SIZE = 20;
+
+const ADC_MAX = 4095;
+const INT16_MIN = -32768;
+const INT16_MAX = 32767;
+const MAX_GESTURE_ID = 255;
+// Ids of the gestureNames table in esp32_gesture.ino, valid even if the
+// gesture was removed from the local vocabulary
+const FIRMWARE_GESTURE_COUNT = 9;
+
+export class PacketError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'PacketError';
+    this.reason = reason; // format, fields, number, range, gesture, version, checksum
+  }
+}
+
+const checkGestureId = (id) => {
+  if (!Number.isInteger(id) || id < 0 || id > MAX_GESTURE_ID) {
+    throw new PacketError('gesture', `Invalid gesture id ${id}`);
+  }
+  if (id >= FIRMWARE_GESTURE_COUNT && !gestureRegistry.get(id)) {
+    throw new PacketError('gesture', `Unknown gesture id ${id}`);
+  }
+};
+
+const checkRanges = (sensorData) => {
+  ['flex1', 'flex2'].forEach(field => {
+    if (sensorData[field] < 0 || sensorData[field] > ADC_MAX) {
+      throw new PacketError('range', `${field} ${sensorData[field]} outside 0-${ADC_MAX}`);
+    }
+  });
+  SENSOR_FIELDS.slice(2).forEach(field => {
+    if (sensorData[field] < INT16_MIN || sensorData[field] > INT16_MAX) {
+      throw new PacketError('range', `${field} ${sensorData[field]} outside int16`);
+    }
+  });
+};
+
+/**
+ * Parse and validate one text packet
+ */
+export const parseTextPacket = (line) => {
+  const parts = line.trim().split('|');
+  if (parts.length !== 2) {
+    throw new PacketError('format', 'Expected "id:name|values"');
+  }
+
+  const [gesturePart, sensorPart] = parts;
+  const separator = gesturePart.indexOf(':');
+  const idText = separator === -1 ? '' : gesturePart.slice(0, separator);
+  const name = gesturePart.slice(separator + 1);
+  if (!/^\d+$/.test(idText) || !name) {
+    throw new PacketError('format', `Malformed gesture "${gesturePart}"`);
+  }
+  const id = Number(idText);
+  checkGestureId(id);
+
+  // A truncated notification usually loses trailing fields
+  const values = sensorPart.split(',');
+  if (values.length !== SENSOR_FIELDS.length) {
+    throw new PacketError('fields', `Expected ${SENSOR_FIELDS.length} values, got ${values.length}`);
+  }
+  const sensorData = {};
+  values.forEach((value, i) => {
+    if (!/^-?\d+$/.test(value.trim())) {
+      throw new PacketError('number', `${SENSOR_FIELDS[i]} is not an integer: "${value}"`);
+    }
+    sensorData[SENSOR_FIELDS[i]] = Number(value);
+  });
+  checkRanges(sensorData);
+
+  return { gesture: { id, name }, sensorData, seq: null, format: 'text' };
+};
+
+/**
+ * CRC-8, polynomial 0x07, initial value 0
+ */
+export const crc8 = (bytes, length = bytes.length) => {
+  let crc = 0;
+  for (let i = 0; i < length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+    }
+  }
+  return crc;
+};
+
+const toBytes = (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return new Uint8Array(data);
+};
+
+/**
+ * True if the first byte marks a binary frame; text packets start with an
+ * ASCII digit, so they never do
+ */
+export const isBinaryFrame = (data) => {
+  const bytes = toBytes(data);
+  return bytes.length > 0 && (bytes[0] & 0xf0) === FRAME_MAGIC;
+};
+
+/**
+ * Parse and validate one binary frame
+ */
+export const parseBinaryFrame = (data) => {
+  const bytes = toBytes(data);
+  if (bytes.length !== FRAME_SIZE) {
+    throw new PacketError('format', `Expected a ${FRAME_SIZE}-byte frame, got ${bytes.length} bytes`);
+  }
+  if ((bytes[0] & 0xf0) !== FRAME_MAGIC) {
+    throw new PacketError('format', 'Not a binary frame');
+  }
+  const version = bytes[0] & 0x0f;
+  if (version !== FRAME_VERSION) {
+    throw new PacketError('version', `Unsupported frame version ${version}`);
+  }
+  if (crc8(bytes, FRAME_SIZE - 1) !== bytes[FRAME_SIZE - 1]) {
+    throw new PacketError('checksum', 'Checksum mismatch');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const id = bytes[2];
+  checkGestureId(id);
+  const sensorData = {};
+  SENSOR_FIELDS.forEach((field, i) => {
+    sensorData[field] = view.getInt16(3 + i * 2, true);
+  });
+  checkRanges(sensorData);
+
+  return {
+    gesture: { id, name: gestureRegistry.getName(id) },
+    sensorData,
+    seq: bytes[1],
+    format: 'binary'
+  };
+};
+
+/**
+ * Build a binary frame, as the firmware does with BINARY_FRAMES enabled
+ */
+export const encodeFrame = (seq, gestureId, sensorData) => {
+  const bytes = new Uint8Array(FRAME_SIZE);
+  const view = new DataView(bytes.buffer);
+  bytes[0] = FRAME_MAGIC | FRAME_VERSION;
+  bytes[1] = seq & 0xff;
+  bytes[2] = gestureId;
+  SENSOR_FIELDS.forEach((field, i) => {
+    view.setInt16(3 + i * 2, sensorData[field], true);
+  });
+  bytes[FRAME_SIZE - 1] = crc8(bytes, FRAME_SIZE - 1);
+  return bytes;
+};
+
+/**
+ * Parse a packet as delivered by a transport: a text line or frame bytes
+ */
+export const parsePacket = (data) => (typeof data === 'string'
+  ? parseTextPacket(data)
+  : parseBinaryFrame(data));
+
+export const bytesToHex = (data) =>
+  Array.from(toBytes(data), b => b.toString(16).padStart(2, '0')).join('');
+
+export const hexToBytes = (hex) =>
+  new Uint8Array((hex.match(/../g) || []).map(pair => parseInt(pair, 16)));
@@ -0,0 +1,79 @@
+import { bytesToHex } from '../protocol/packet';
+
+/**
+ * Session Recorder
+ * Captures every raw packet and connection event with a high-resolution
+ * timestamp (ms since the recording started)
+ */
+class SessionRecorder {
+  constructor() {
+    this.isRecording = false;
+    this.startTime = 0;
+    this.startedAt = null;
+    this.source = '';
+    this.events = [];
+  }
+
+  /**
+   * Begin a new recording
+   */
+  start(source = '') {
+    this.isRecording = true;
+    this.startTime = performance.now();
+    this.startedAt = new Date().toISOString();
+    this.source = source;
+    this.events = [];
+    this.recordEvent('start', { source });
+  }
+
+  /**
+   * Stop recording and return the captured session
+   */
+  stop() {
+    if (!this.isRecording) {
+      return null;
+    }
+    this.recordEvent('stop');
+    this.isRecording = false;
+
+    const packets = this.events.filter(e => e.type === 'packet').length;
+    const duration = this.events[this.events.length - 1].t;
+
+    return {
+      id: `session-${Date.now()}`,
+      name: `Session ${new Date(this.startedAt).toLocaleString()}`,
+      createdAt: this.startedAt,
+      source: this.source,
+      duration,
+      packetCount: packets,
+      events: this.events
+    };
+  }
+
+  /**
+   * Record a raw packet exactly as the transport delivered it; binary
+   * frames are stored as hex so sessions stay JSON
+   */
+  recordPacket(data) {
+    if (this.isRecording) {
+      this.events.push(typeof data === 'string'
+        ? { t: this.now(), type: 'packet', data }
+        : { t: this.now(), type: 'packet', data: bytesToHex(data), encoding: 'hex' });
+    }
+  }
+
+  /**
+   * Record a connection event (connect, disconnect, ...)
+   */
+  recordEvent(type, details = {}) {
+    if (this.isRecording) {
+      this.events.push({ t: this.now(), type, ...details });
+    }
+  }
+
+  now() {
+    return Math.round((performance.now() - this.startTime) * 1000) / 1000;
+  }
+}
+
+export default SessionRecorder;
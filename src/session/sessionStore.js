@@ -0,0 +1,56 @@
+import { STORES, getAll, getRecord, putRecord, deleteRecord } from '../storage/database';
+
+export const SESSION_FORMAT = 'gesture-session';
+export const SESSION_VERSION = 1;
+
+/**
+ * List saved sessions without their event arrays, newest first
+ */
+export const listSessions = async () => {
+  const sessions = await getAll(STORES.sessions);
+  return sessions
+    .map(({ events, ...summary }) => summary)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+export const loadSession = (id) => getRecord(STORES.sessions, id);
+
+export const saveSession = (session) => putRecord(STORES.sessions, session);
+
+export const deleteSession = (id) => deleteRecord(STORES.sessions, id);
+
+/**
+ * Serialize a session for download
+ */
+export const serializeSession = (session) => JSON.stringify({
+  format: SESSION_FORMAT,
+  version: SESSION_VERSION,
+  ...session
+});
+
+/**
+ * Parse a downloaded session file
+ */
+export const parseSessionFile = (text) => {
+  const data = JSON.parse(text);
+  if (data.format !== SESSION_FORMAT) {
+    throw new Error('Not a gesture session file');
+  }
+  if (data.version > SESSION_VERSION) {
+    throw new Error(`Unsupported session version ${data.version}`);
+  }
+  if (!Array.isArray(data.events)) {
+    throw new Error('Session file has no events');
+  }
+
+  const { format, version, ...session } = data;
+  const packets = session.events.filter(e => e.type === 'packet');
+  return {
+    ...session,
+    id: session.id || `session-${Date.now()}`,
+    name: session.name || 'Imported session',
+    createdAt: session.createdAt || new Date().toISOString(),
+    duration: session.duration ?? (session.events.length ? session.events[session.events.length - 1].t : 0),
+    packetCount: packets.length
+  };
+};
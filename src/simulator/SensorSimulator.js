@@ -0,0 +1,187 @@
+/**
+ * Sensor Simulator
+ * Generates glove readings that look like what the ESP32 reads from its
+ * flex sensors (12-bit ADC) and MPU6050 (±2g / ±250°/s, raw int16)
+ */
+
+// Same order and names as the firmware's gestureNames table
+export const simulatedGestures = [
+  'IDLE', 'FIST', 'OPEN_HAND', 'WAVE_LEFT', 'WAVE_RIGHT',
+  'TILT_UP', 'TILT_DOWN', 'TILT_RIGHT', 'TILT_LEFT'
+];
+
+// Firmware thresholds (esp32_gesture.ino)
+const FLEX_HIGH = 2600;
+const FLEX_LOW = 1200;
+const GYRO_THR = 8000;
+const ACC_THR = 14000;
+
+const ONE_G = 16384;
+const FLEX_REST = 1850;
+const FLEX_BENT = 2850;
+const FLEX_STRAIGHT = 1050;
+const MAX_TILT = (75 * Math.PI) / 180;
+const WAVE_AMPLITUDE = 14000;
+const WAVE_PERIOD_MS = 800;
+
+// Per-channel standard deviation at noise level 1, in raw units
+const NOISE_SIGMA = {
+  flex: 18,
+  accel: 80,
+  gyro: 40
+};
+
+// Static gyro offset of a typical uncalibrated MPU6050
+const GYRO_BIAS = { gx: -120, gy: 45, gz: 60 };
+
+const gaussian = () => {
+  // Box-Muller transform
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const lerp = (from, to, t) => from + (to - from) * t;
+
+/**
+ * Port of the firmware's detectGesture()
+ */
+export const detectGesture = ({ flex1: f1, flex2: f2, ax, ay, gz }) => {
+  if (gz < -GYRO_THR) return 3;
+  if (gz > GYRO_THR) return 4;
+  if (ay < -ACC_THR) return 5;
+  if (ay > ACC_THR) return 6;
+  if (ax > ACC_THR) return 7;
+  if (ax < -ACC_THR) return 8;
+
+  if (f1 > FLEX_HIGH - 200 && f2 > FLEX_HIGH - 200) return 1;
+  if (f1 < FLEX_LOW + 200 && f2 < FLEX_LOW + 200) return 2;
+
+  return 0;
+};
+
+/**
+ * Pulse shape for a wave: a fast swing in one direction followed by a
+ * slower, weaker return swing
+ */
+const waveSignal = (t, amplitude) => {
+  const phase = (t % WAVE_PERIOD_MS) / WAVE_PERIOD_MS;
+  if (phase < 0.35) {
+    return amplitude * Math.sin((Math.PI * phase) / 0.35);
+  }
+  return -0.3 * amplitude * Math.sin((Math.PI * (phase - 0.35)) / 0.65);
+};
+
+/**
+ * Ideal (noise free) reading for a gesture at time t
+ */
+const scriptGesture = (gestureId, t, intensity) => {
+  // Slow hand sway so the idle signal is not perfectly flat
+  const sway = Math.sin(t / 1300) * 0.04;
+
+  const reading = {
+    flex1: FLEX_REST,
+    flex2: FLEX_REST + 40,
+    ax: ONE_G * Math.sin(sway),
+    ay: ONE_G * Math.sin(sway * 0.6),
+    az: ONE_G * Math.cos(sway),
+    gx: Math.cos(t / 1300) * 150,
+    gy: 0,
+    gz: 0
+  };
+
+  const tilt = (axis, sign) => {
+    const angle = clamp(MAX_TILT * intensity, 0, Math.PI / 2);
+    reading[axis] = sign * ONE_G * Math.sin(angle);
+    reading.az = ONE_G * Math.cos(angle);
+  };
+
+  switch (simulatedGestures[gestureId]) {
+    case 'FIST':
+      reading.flex1 = lerp(FLEX_REST, FLEX_BENT, intensity);
+      reading.flex2 = lerp(FLEX_REST, FLEX_BENT + 60, intensity);
+      break;
+    case 'OPEN_HAND':
+      reading.flex1 = lerp(FLEX_REST, FLEX_STRAIGHT, intensity);
+      reading.flex2 = lerp(FLEX_REST, FLEX_STRAIGHT - 30, intensity);
+      break;
+    case 'WAVE_LEFT':
+      reading.gz = -waveSignal(t, WAVE_AMPLITUDE * intensity);
+      reading.ax += reading.gz * 0.15;
+      break;
+    case 'WAVE_RIGHT':
+      reading.gz = waveSignal(t, WAVE_AMPLITUDE * intensity);
+      reading.ax += reading.gz * 0.15;
+      break;
+    case 'TILT_UP':
+      tilt('ay', -1);
+      break;
+    case 'TILT_DOWN':
+      tilt('ay', 1);
+      break;
+    case 'TILT_RIGHT':
+      tilt('ax', 1);
+      break;
+    case 'TILT_LEFT':
+      tilt('ax', -1);
+      break;
+    default:
+      break;
+  }
+
+  return reading;
+};
+
+class SensorSimulator {
+  constructor({ gestureId = 0, intensity = 1, noise = 1 } = {}) {
+    this.gestureId = gestureId;
+    this.intensity = intensity;
+    this.noise = noise;
+    this.startTime = null;
+  }
+
+  /**
+   * Update gesture, intensity and/or noise level
+   */
+  setSettings({ gestureId, intensity, noise }) {
+    if (gestureId !== undefined) this.gestureId = gestureId;
+    if (intensity !== undefined) this.intensity = intensity;
+    if (noise !== undefined) this.noise = noise;
+  }
+
+  /**
+   * Produce one raw sensor reading
+   */
+  read(now = performance.now()) {
+    if (this.startTime === null) {
+      this.startTime = now;
+    }
+    const t = now - this.startTime;
+    const ideal = scriptGesture(this.gestureId, t, this.intensity);
+
+    const noisy = (value, sigma) => value + gaussian() * sigma * this.noise;
+
+    return {
+      flex1: Math.round(clamp(noisy(ideal.flex1, NOISE_SIGMA.flex), 0, 4095)),
+      flex2: Math.round(clamp(noisy(ideal.flex2, NOISE_SIGMA.flex), 0, 4095)),
+      ax: Math.round(clamp(noisy(ideal.ax, NOISE_SIGMA.accel), -32768, 32767)),
+      ay: Math.round(clamp(noisy(ideal.ay, NOISE_SIGMA.accel), -32768, 32767)),
+      az: Math.round(clamp(noisy(ideal.az, NOISE_SIGMA.accel), -32768, 32767)),
+      gx: Math.round(clamp(noisy(ideal.gx + GYRO_BIAS.gx, NOISE_SIGMA.gyro), -32768, 32767)),
+      gy: Math.round(clamp(noisy(ideal.gy + GYRO_BIAS.gy, NOISE_SIGMA.gyro), -32768, 32767)),
+      gz: Math.round(clamp(noisy(ideal.gz + GYRO_BIAS.gz, NOISE_SIGMA.gyro), -32768, 32767))
+    };
+  }
+}
+
+/**
+ * Format a reading the way the firmware does: "id:name|f1,f2,ax,ay,az,gx,gy,gz"
+ */
+export const formatPacket = (gestureId, r) => {
+  const name = simulatedGestures[gestureId];
+  return `${gestureId}:${name}|${r.flex1},${r.flex2},${r.ax},${r.ay},${r.az},${r.gx},${r.gy},${r.gz}`;
+};
+
+export default SensorSimulator;
@@ -0,0 +1,114 @@
+/**
+ * IndexedDB helper
+ * All app data except tfjs model weights lives in one database; object
+ * stores are created in upgrade() as the schema grows
+ */
+
+const DB_NAME = 'gesture-control';
+const DB_VERSION = 3;
+
+export const STORES = {
+  sessions: 'sessions',
+  datasets: 'datasets',
+  samples: 'samples',
+  models: 'models'
+};
+
+let dbPromise = null;
+
+const upgrade = (db) => {
+  if (!db.objectStoreNames.contains(STORES.sessions)) {
+    db.createObjectStore(STORES.sessions, { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains(STORES.datasets)) {
+    db.createObjectStore(STORES.datasets, { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains(STORES.samples)) {
+    const samples = db.createObjectStore(STORES.samples, { keyPath: 'id' });
+    samples.createIndex('datasetId', 'datasetId');
+  }
+  if (!db.objectStoreNames.contains(STORES.models)) {
+    db.createObjectStore(STORES.models, { keyPath: 'id' });
+  }
+};
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and create or upgrade) the database
+ */
+export const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, mode);
+  const result = await promisify(fn(tx.objectStore(storeName)));
+  return result;
+};
+
+export const getAll = (storeName) => withStore(storeName, 'readonly', store => store.getAll());
+
+export const getRecord = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+
+export const putRecord = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+
+export const deleteRecord = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
+
+export const getAllByIndex = (storeName, indexName, value) =>
+  withStore(storeName, 'readonly', store => store.index(indexName).getAll(value));
+
+/**
+ * Write several records in one transaction
+ */
+export const putRecords = async (storeName, values) => {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  values.forEach(value => store.put(value));
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+/**
+ * Delete several records by key in one transaction
+ */
+export const deleteRecords = async (storeName, keys) => {
+  const db = await openDatabase();
+  const tx = db.transaction(storeName, 'readwrite');
+  const store = tx.objectStore(storeName);
+  keys.forEach(key => store.delete(key));
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+/**
+ * Delete every record whose index matches value
+ */
+export const deleteByIndex = async (storeName, indexName, value) => {
+  const keys = await withStore(storeName, 'readonly', store => store.index(indexName).getAllKeys(value));
+  return deleteRecords(storeName, keys);
+};
@@ -0,0 +1,167 @@
+import Transport from './Transport';
+import { isBinaryFrame } from '../protocol/packet';
+
+export const SERVICE_UUID = '4fafc201-1fb5-459e-8fcc-c5c9c331914b';
+export const CHAR_UUID = 'beb5483e-36e1-4688-b7f5-ea07361b26a8';
+export const DEVICE_NAME = 'ESP32_Gesture';
+
+const REMEMBERED_DEVICE_KEY = 'gesture-ble-device';
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30000;
+
+/**
+ * Web Bluetooth transport
+ * Subscribes to notifications on the ESP32_Gesture characteristic. When the
+ * link drops it reconnects to the same device with exponential backoff, as
+ * the firmware keeps advertising while nothing is connected.
+ */
+class BLETransport extends Transport {
+  constructor({ device = null, autoReconnect = true, maxAttempts = 8 } = {}) {
+    super();
+    this.device = device; // reused without the chooser when given
+    this.characteristic = null;
+    this.autoReconnect = autoReconnect;
+    this.maxAttempts = maxAttempts;
+    this.reconnectTimer = null;
+    this.closing = false;
+    this.handleValueChanged = this.handleValueChanged.bind(this);
+    this.handleGattDisconnected = this.handleGattDisconnected.bind(this);
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && !!navigator.bluetooth;
+  }
+
+  /**
+   * The device picked last time, if the browser still grants access to it
+   * (navigator.bluetooth.getDevices, behind a flag in some browsers)
+   */
+  static async findRememberedDevice() {
+    if (!BLETransport.isSupported() || !navigator.bluetooth.getDevices) {
+      return null;
+    }
+    try {
+      const devices = await navigator.bluetooth.getDevices();
+      const rememberedId = localStorage.getItem(REMEMBERED_DEVICE_KEY);
+      return devices.find(d => d.id === rememberedId) ||
+        devices.find(d => d.name === DEVICE_NAME) ||
+        null;
+    } catch (err) {
+      console.error('Error listing permitted Bluetooth devices:', err);
+      return null;
+    }
+  }
+
+  get label() {
+    return this.device?.name || DEVICE_NAME;
+  }
+
+  async connect() {
+    if (!BLETransport.isSupported()) {
+      throw new Error('Web Bluetooth not supported. Use Chrome/Edge on desktop or Android.');
+    }
+
+    if (!this.device) {
+      this.device = await navigator.bluetooth.requestDevice({
+        filters: [{ name: DEVICE_NAME }],
+        optionalServices: [SERVICE_UUID]
+      });
+    }
+    this.closing = false;
+    this.device.addEventListener('gattserverdisconnected', this.handleGattDisconnected);
+
+    await this.openGatt();
+    localStorage.setItem(REMEMBERED_DEVICE_KEY, this.device.id);
+  }
+
+  /**
+   * Connect GATT and subscribe to the characteristic
+   */
+  async openGatt() {
+    const server = await this.device.gatt.connect();
+    const service = await server.getPrimaryService(SERVICE_UUID);
+    const characteristic = await service.getCharacteristic(CHAR_UUID);
+
+    this.characteristic = characteristic;
+    await characteristic.startNotifications();
+
+    characteristic.addEventListener('characteristicvaluechanged', this.handleValueChanged);
+
+    this.isConnected = true;
+  }
+
+  async disconnect() {
+    this.closing = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.characteristic) {
+      this.characteristic.removeEventListener('characteristicvaluechanged', this.handleValueChanged);
+      this.characteristic = null;
+    }
+    if (this.device) {
+      this.device.removeEventListener('gattserverdisconnected', this.handleGattDisconnected);
+      if (this.device.gatt.connected) {
+        this.device.gatt.disconnect();
+      }
+    }
+    this.isConnected = false;
+  }
+
+  handleValueChanged(event) {
+    const { value } = event.target;
+    // Binary frames are passed on as bytes, text packets as a string
+    if (isBinaryFrame(value)) {
+      this.emitData(new Uint8Array(value.buffer.slice(value.byteOffset, value.byteOffset + value.byteLength)));
+    } else {
+      this.emitData(new TextDecoder().decode(value));
+    }
+  }
+
+  handleGattDisconnected() {
+    if (this.characteristic) {
+      this.characteristic.removeEventListener('characteristicvaluechanged', this.handleValueChanged);
+      this.characteristic = null;
+    }
+    this.isConnected = false;
+    if (this.closing) return;
+
+    if (this.autoReconnect) {
+      this.scheduleReconnect(0);
+    } else {
+      this.emitDisconnect();
+    }
+  }
+
+  /**
+   * Retry after 1 s, 2 s, 4 s ... (at most 30 s) until maxAttempts fail
+   */
+  scheduleReconnect(attempt) {
+    if (attempt >= this.maxAttempts) {
+      this.emitDisconnect();
+      return;
+    }
+
+    const delay = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+    this.emitState('reconnecting', { attempt: attempt + 1, maxAttempts: this.maxAttempts, retryAt: Date.now() + delay });
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.openGatt();
+        if (this.closing) {
+          // disconnect() ran while GATT was connecting
+          await this.disconnect();
+          return;
+        }
+        this.emitState('connected');
+      } catch (err) {
+        if (!this.closing) {
+          this.scheduleReconnect(attempt + 1);
+        }
+      }
+    }, delay);
+  }
+}
+
+export default BLETransport;
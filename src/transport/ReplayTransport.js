@@ -0,0 +1,134 @@
+import Transport from './Transport';
+import { hexToBytes } from '../protocol/packet';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+/**
+ * Replays a recorded session through the normal packet pipeline
+ * Supports speed changes, pause and seek while running
+ */
+class ReplayTransport extends Transport {
+  constructor({ session, speed = 1 } = {}) {
+    super();
+    this.session = session;
+    this.packets = session.events.filter(e => e.type === 'packet');
+    this.duration = session.duration || 0;
+    this.speed = speed;
+    this.position = 0;
+    this.index = 0;
+    this.isPlaying = false;
+    this.timer = null;
+    this.anchorWall = 0;
+    this.anchorPosition = 0;
+    this.onProgress = null;
+  }
+
+  get label() {
+    return `Replay: ${this.session.name}`;
+  }
+
+  async connect() {
+    this.isConnected = true;
+    this.play();
+  }
+
+  async disconnect() {
+    this.pause();
+    this.isConnected = false;
+  }
+
+  play() {
+    if (this.isPlaying) return;
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+    this.isPlaying = true;
+    this.anchor();
+    this.tick();
+  }
+
+  pause() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.isPlaying) {
+      this.position = this.currentPosition();
+      this.isPlaying = false;
+    }
+    this.reportProgress();
+  }
+
+  /**
+   * Jump to a position in ms of session time
+   */
+  seek(position) {
+    this.position = Math.max(0, Math.min(this.duration, position));
+    this.index = this.packets.findIndex(p => p.t >= this.position);
+    if (this.index === -1) this.index = this.packets.length;
+    this.anchor();
+    if (this.isPlaying) {
+      clearTimeout(this.timer);
+      this.tick();
+    } else {
+      this.reportProgress();
+    }
+  }
+
+  setSpeed(speed) {
+    this.position = this.currentPosition();
+    this.speed = speed;
+    this.anchor();
+    if (this.isPlaying) {
+      clearTimeout(this.timer);
+      this.tick();
+    }
+  }
+
+  anchor() {
+    this.anchorWall = performance.now();
+    this.anchorPosition = this.position;
+  }
+
+  currentPosition() {
+    if (!this.isPlaying) return this.position;
+    const elapsed = (performance.now() - this.anchorWall) * this.speed;
+    return Math.min(this.duration, this.anchorPosition + elapsed);
+  }
+
+  tick() {
+    this.timer = null;
+    this.position = this.currentPosition();
+
+    while (this.index < this.packets.length && this.packets[this.index].t <= this.position) {
+      const packet = this.packets[this.index];
+      this.emitData(packet.encoding === 'hex' ? hexToBytes(packet.data) : packet.data);
+      this.index++;
+    }
+
+    if (this.index >= this.packets.length && this.position >= this.duration) {
+      this.isPlaying = false;
+      this.reportProgress();
+      return;
+    }
+
+    this.reportProgress();
+
+    const nextT = this.index < this.packets.length ? this.packets[this.index].t : this.duration;
+    const delay = Math.max(0, (nextT - this.position) / this.speed);
+    this.timer = setTimeout(() => this.tick(), delay);
+  }
+
+  reportProgress() {
+    if (this.onProgress) {
+      this.onProgress({
+        position: this.position,
+        duration: this.duration,
+        isPlaying: this.isPlaying,
+        speed: this.speed
+      });
+    }
+  }
+}
+
+export default ReplayTransport;
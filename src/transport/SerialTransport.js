@@ -0,0 +1,106 @@
+import Transport from './Transport';
+
+export const DEFAULT_BAUD_RATE = 115200;
+
+/**
+ * Web Serial transport
+ * Reads the packets the firmware prints with Serial.println over USB
+ */
+class SerialTransport extends Transport {
+  constructor({ baudRate = DEFAULT_BAUD_RATE } = {}) {
+    super();
+    this.baudRate = baudRate;
+    this.port = null;
+    this.reader = null;
+    this.readableClosed = null;
+    this.closing = false;
+  }
+
+  static isSupported() {
+    return typeof navigator !== 'undefined' && !!navigator.serial;
+  }
+
+  get label() {
+    const info = this.port?.getInfo?.() || {};
+    if (info.usbVendorId !== undefined) {
+      return `Serial ${info.usbVendorId.toString(16)}:${(info.usbProductId || 0).toString(16)}`;
+    }
+    return 'Serial port';
+  }
+
+  async connect() {
+    if (!SerialTransport.isSupported()) {
+      throw new Error('Web Serial not supported. Use Chrome/Edge on desktop.');
+    }
+
+    const port = await navigator.serial.requestPort();
+    await port.open({ baudRate: this.baudRate });
+
+    this.port = port;
+    this.closing = false;
+
+    const decoder = new TextDecoderStream();
+    this.readableClosed = port.readable.pipeTo(decoder.writable).catch(() => {});
+    this.reader = decoder.readable.getReader();
+
+    this.isConnected = true;
+    this.readLoop();
+  }
+
+  async readLoop() {
+    let buffer = '';
+    try {
+      while (true) {
+        const { value, done } = await this.reader.read();
+        if (done) break;
+
+        buffer += value;
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        lines.forEach(line => {
+          const trimmed = line.trim();
+          // The firmware also prints boot messages such as "Ready"
+          if (trimmed.includes('|')) {
+            this.emitData(trimmed);
+          }
+        });
+      }
+    } catch (err) {
+      console.error('Serial read error:', err);
+    } finally {
+      this.reader.releaseLock();
+      if (!this.closing) {
+        await this.closePort();
+        this.emitDisconnect();
+      }
+    }
+  }
+
+  async closePort() {
+    try {
+      await this.readableClosed;
+      await this.port.close();
+    } catch (err) {
+      console.error('Error closing serial port:', err);
+    }
+    this.port = null;
+  }
+
+  async disconnect() {
+    if (!this.port) {
+      this.isConnected = false;
+      return;
+    }
+    this.closing = true;
+    try {
+      await this.reader.cancel();
+    } catch (err) {
+      console.error('Error cancelling serial reader:', err);
+    }
+    await this.closePort();
+    this.isConnected = false;
+  }
+}
+
+export default SerialTransport;
@@ -0,0 +1,87 @@
+import Transport from './Transport';
+import SensorSimulator, { detectGesture, formatPacket } from '../simulator/SensorSimulator';
+import { encodeFrame } from '../protocol/packet';
+
+// Firmware loop timing: delay(30) per iteration, at most one packet per 120 ms
+const LOOP_INTERVAL_MS = 30;
+const SEND_INTERVAL_MS = 120;
+const DEBOUNCE_FRAMES = 3;
+
+/**
+ * Simulated glove
+ * Runs the firmware loop (read, detect, debounce, send) against SensorSimulator.
+ * Can send binary frames instead of text and drop a share of the packets
+ * to exercise the link statistics.
+ */
+class SimulatorTransport extends Transport {
+  constructor({ settings = {} } = {}) {
+    super();
+    this.simulator = new SensorSimulator(settings);
+    this.binary = !!settings.binary;
+    this.packetLoss = settings.packetLoss || 0;
+    this.seq = 0;
+    this.timer = null;
+    this.currentGesture = 0;
+    this.gestureCount = 0;
+    this.lastSend = 0;
+  }
+
+  static isSupported() {
+    return true;
+  }
+
+  get label() {
+    return 'Simulator';
+  }
+
+  /**
+   * Change the simulated gesture, intensity or noise while running
+   */
+  setSettings(settings) {
+    this.simulator.setSettings(settings);
+    if (settings.binary !== undefined) this.binary = settings.binary;
+    if (settings.packetLoss !== undefined) this.packetLoss = settings.packetLoss;
+  }
+
+  async connect() {
+    this.currentGesture = 0;
+    this.gestureCount = 0;
+    this.lastSend = 0;
+    this.timer = setInterval(() => this.tick(), LOOP_INTERVAL_MS);
+    this.isConnected = true;
+  }
+
+  async disconnect() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.isConnected = false;
+  }
+
+  tick() {
+    const now = performance.now();
+    const reading = this.simulator.read(now);
+
+    const detected = detectGesture(reading);
+    if (detected === this.currentGesture) {
+      if (this.gestureCount < DEBOUNCE_FRAMES) this.gestureCount++;
+    } else {
+      this.currentGesture = detected;
+      this.gestureCount = 0;
+    }
+
+    if (this.gestureCount === DEBOUNCE_FRAMES && now - this.lastSend >= SEND_INTERVAL_MS) {
+      // A lost packet still uses up its sequence number
+      if (Math.random() >= this.packetLoss) {
+        this.emitData(this.binary
+          ? encodeFrame(this.seq, this.currentGesture, reading)
+          : formatPacket(this.currentGesture, reading));
+      }
+      this.seq = (this.seq + 1) % 256;
+      this.lastSend = now;
+    }
+  }
+}
+
+export default SimulatorTransport;
@@ -0,0 +1,66 @@
+/**
+ * Base class for a sensor data source
+ * Subclasses deliver one "id:name|f1,f2,ax,ay,az,gx,gy,gz" line or one binary
+ * frame (Uint8Array) per packet through onData and call emitDisconnect when
+ * the link drops. Transports that recover a dropped link on their own report
+ * it through onStateChange ('reconnecting', then 'connected') instead.
+ */
+class Transport {
+  constructor() {
+    this.isConnected = false;
+    this.onData = null;
+    this.onDisconnect = null;
+    this.onStateChange = null;
+  }
+
+  /**
+   * Human readable name of the connected source
+   */
+  get label() {
+    return 'Unknown';
+  }
+
+  /**
+   * Open the connection
+   */
+  async connect() {
+    throw new Error('connect() not implemented');
+  }
+
+  /**
+   * Close the connection
+   */
+  async disconnect() {
+    this.isConnected = false;
+  }
+
+  /**
+   * Forward one packet to the listener
+   */
+  emitData(line) {
+    if (this.onData) {
+      this.onData(line);
+    }
+  }
+
+  /**
+   * Report a link state change with details such as the reconnect attempt
+   */
+  emitState(state, detail = {}) {
+    if (this.onStateChange) {
+      this.onStateChange(state, detail);
+    }
+  }
+
+  /**
+   * Notify the listener that the link dropped without disconnect() being called
+   */
+  emitDisconnect() {
+    this.isConnected = false;
+    if (this.onDisconnect) {
+      this.onDisconnect();
+    }
+  }
+}
+
+export default Transport;
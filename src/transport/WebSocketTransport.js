@@ -0,0 +1,92 @@
+import Transport from './Transport';
+import { isBinaryFrame, FRAME_SIZE } from '../protocol/packet';
+
+export const DEFAULT_WS_URL = 'ws://localhost:8765';
+
+/**
+ * WebSocket transport
+ * For bridge boxes that forward the glove's packets, one or more lines per
+ * text message or one or more binary frames per binary message
+ */
+class WebSocketTransport extends Transport {
+  constructor({ url = DEFAULT_WS_URL } = {}) {
+    super();
+    this.url = url;
+    this.socket = null;
+    this.closing = false;
+  }
+
+  static isSupported() {
+    return typeof WebSocket !== 'undefined';
+  }
+
+  get label() {
+    return this.url;
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      let socket;
+      try {
+        socket = new WebSocket(this.url);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+
+      this.closing = false;
+      socket.binaryType = 'arraybuffer';
+
+      socket.onopen = () => {
+        this.socket = socket;
+        this.isConnected = true;
+        resolve();
+      };
+
+      socket.onmessage = (event) => {
+        if (typeof event.data !== 'string' && isBinaryFrame(event.data)) {
+          const bytes = new Uint8Array(event.data);
+          for (let i = 0; i < bytes.length; i += FRAME_SIZE) {
+            this.emitData(bytes.slice(i, i + FRAME_SIZE));
+          }
+          return;
+        }
+        const text = typeof event.data === 'string'
+          ? event.data
+          : new TextDecoder().decode(event.data);
+        text.split('\n').forEach(line => {
+          const trimmed = line.trim();
+          if (trimmed) {
+            this.emitData(trimmed);
+          }
+        });
+      };
+
+      socket.onerror = () => {
+        if (!this.isConnected) {
+          reject(new Error(`Could not open ${this.url}`));
+        }
+      };
+
+      socket.onclose = () => {
+        const wasConnected = this.isConnected;
+        this.socket = null;
+        if (wasConnected && !this.closing) {
+          this.emitDisconnect();
+        }
+        this.isConnected = false;
+      };
+    });
+  }
+
+  async disconnect() {
+    this.closing = true;
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.isConnected = false;
+  }
+}
+
+export default WebSocketTransport;
@@ -0,0 +1,22 @@
+const SETTINGS_KEY = 'gesture-connection';
+
+export const DEFAULT_CONNECTION_SETTINGS = {
+  autoReconnect: true, // Bluetooth: reconnect with backoff when the link drops
+  maxAttempts: 8,
+  connectOnLoad: false, // Bluetooth: connect to the remembered device on page load
+  staleMs: 1000 // flag a glove as stale after this long without a valid packet
+};
+
+export const loadConnectionSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    return { ...DEFAULT_CONNECTION_SETTINGS, ...stored };
+  } catch (err) {
+    console.error('Error loading connection settings:', err);
+    return { ...DEFAULT_CONNECTION_SETTINGS };
+  }
+};
+
+export const saveConnectionSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,27 @@
+import BLETransport from './BLETransport';
+import SerialTransport from './SerialTransport';
+import WebSocketTransport from './WebSocketTransport';
+import SimulatorTransport from './SimulatorTransport';
+
+/**
+ * Available data sources, in the order shown in the picker
+ */
+export const transportTypes = [
+  { id: 'ble', name: 'Bluetooth', Transport: BLETransport },
+  { id: 'serial', name: 'USB Serial', Transport: SerialTransport },
+  { id: 'websocket', name: 'WebSocket', Transport: WebSocketTransport },
+  { id: 'simulator', name: 'Simulator', Transport: SimulatorTransport }
+];
+
+/**
+ * Create a transport instance by id
+ */
+export const createTransport = (type, options = {}) => {
+  const entry = transportTypes.find(t => t.id === type);
+  if (!entry) {
+    throw new Error(`Unknown transport: ${type}`);
+  }
+  return new entry.Transport(options);
+};
+
+export { BLETransport, SerialTransport, WebSocketTransport, SimulatorTransport };
@@ -0,0 +1,13 @@
+/**
+ * Trigger a browser download of text or binary content
+ */
+export const downloadFile = (content, filename, type = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
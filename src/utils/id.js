@@ -0,0 +1,9 @@
+let idCounter = 0;
+
+/**
+ * Generate a unique id for samples, takes, datasets and bindings
+ */
+export const createId = (prefix) => {
+  idCounter = (idCounter + 1) % 1e6;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+};